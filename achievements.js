@@ -0,0 +1,354 @@
+// achievements.js - Lifetime statistics and achievements
+// Stats add up every finished solo game; achievements unlock when their
+// condition holds for the game in progress or the lifetime totals. Both are
+// kept in localStorage apart from the leaderboard, so clearing scores keeps
+// them. main.js feeds the tracker engine events and shows the unlocks.
+
+// Browsers load powerups.js and engine.js first as globals; Node resolves them explicitly
+const AchievementPowerUps = typeof POWER_UPS !== 'undefined' ? POWER_UPS : require('./powerups.js').POWER_UPS;
+const AchievementEvents = typeof ENGINE_EVENTS !== 'undefined' ? ENGINE_EVENTS : require('./engine.js').ENGINE_EVENTS;
+
+// =============================================================================
+// LIFETIME STATS
+// =============================================================================
+
+const STATS_STORAGE_KEY = 'neonSnakeStats';
+const ACHIEVEMENTS_STORAGE_KEY = 'neonSnakeAchievements';
+
+/**
+ * Creates empty lifetime stats
+ * @returns {Object} Stats with every count at zero
+ */
+function createStats() {
+  return {
+    gamesPlayed: 0,
+    fruitsByShape: {},                   // Fruits eaten, keyed by shape
+    longestSnake: 0,                     // Most segments at once
+    longestSurvival: 0,                  // Longest game in milliseconds of play
+    bombsDodged: 0,                      // Bombs that disappeared without being hit
+    deathsByCause: {}                    // Deaths keyed by engine cause ('self', 'bomb', 'wall')
+  };
+}
+
+/**
+ * Checks that a value is a whole, non-negative number
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a usable count
+ */
+function isStatCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Keeps only the usable counts of a saved {key: count} object
+ * @param {*} counts - Saved value
+ * @returns {Object} Valid counts
+ */
+function sanitizeStatCounts(counts) {
+  const valid = {};
+  if (!counts || typeof counts !== 'object') return valid;
+  Object.keys(counts).forEach(key => {
+    if (isStatCount(counts[key])) valid[key] = counts[key];
+  });
+  return valid;
+}
+
+/**
+ * Loads lifetime stats, dropping anything that doesn't validate
+ * @returns {Object} Stats, empty if none are saved
+ */
+function loadStats() {
+  const stats = createStats();
+  try {
+    const saved = JSON.parse(localStorage.getItem(STATS_STORAGE_KEY));
+    if (!saved || typeof saved !== 'object') return stats;
+
+    ['gamesPlayed', 'longestSnake', 'longestSurvival', 'bombsDodged'].forEach(key => {
+      if (isStatCount(saved[key])) stats[key] = saved[key];
+    });
+    stats.fruitsByShape = sanitizeStatCounts(saved.fruitsByShape);
+    stats.deathsByCause = sanitizeStatCounts(saved.deathsByCause);
+  } catch (error) {
+    console.warn('Unable to load stats from localStorage:', error);
+  }
+  return stats;
+}
+
+/**
+ * Saves lifetime stats
+ * @param {Object} stats - Stats to save
+ */
+function saveStats(stats) {
+  try {
+    localStorage.setItem(STATS_STORAGE_KEY, JSON.stringify(stats));
+  } catch (error) {
+    console.warn('Unable to save stats to localStorage:', error);
+  }
+}
+
+/**
+ * Adds a game to lifetime stats
+ * @param {Object} stats - Lifetime stats
+ * @param {Object} game - Game record from AchievementTracker
+ * @returns {Object} New stats including the game; a game still in progress
+ *   counts toward everything but games played
+ */
+function addGameToStats(stats, game) {
+  const total = {
+    gamesPlayed: stats.gamesPlayed + (game.finished ? 1 : 0),
+    fruitsByShape: { ...stats.fruitsByShape },
+    longestSnake: Math.max(stats.longestSnake, game.longestSnake),
+    longestSurvival: Math.max(stats.longestSurvival, Math.round(game.survival)),
+    bombsDodged: stats.bombsDodged + game.bombsDodged,
+    deathsByCause: { ...stats.deathsByCause }
+  };
+  Object.keys(game.fruitsByShape).forEach(shape => {
+    total.fruitsByShape[shape] = (total.fruitsByShape[shape] || 0) + game.fruitsByShape[shape];
+  });
+  if (game.deathCause) {
+    total.deathsByCause[game.deathCause] = (total.deathsByCause[game.deathCause] || 0) + 1;
+  }
+  return total;
+}
+
+/**
+ * Counts every fruit eaten
+ * @param {Object} fruitsByShape - Counts keyed by shape
+ * @returns {number} Total fruits
+ */
+function countFruits(fruitsByShape) {
+  return Object.values(fruitsByShape).reduce((sum, count) => sum + count, 0);
+}
+
+// =============================================================================
+// ACHIEVEMENTS
+// =============================================================================
+
+// Each check gets the game in progress (see AchievementTracker) and lifetime
+// stats that already include it
+const ACHIEVEMENTS = {
+  firstBite: {
+    label: 'First Bite',
+    description: 'Eat your first fruit',
+    check: (game, lifetime) => countFruits(lifetime.fruitsByShape) >= 1
+  },
+  centurion: {
+    label: 'Centurion',
+    description: 'Score 100 points in one game',
+    check: game => game.score >= 100
+  },
+  highRoller: {
+    label: 'High Roller',
+    description: 'Score 500 points in one game',
+    check: game => game.score >= 500
+  },
+  starGazer: {
+    label: 'Star Gazer',
+    description: 'Eat 5 star fruits in one game',
+    check: game => (game.fruitsByShape.star || 0) >= 5
+  },
+  longSnake: {
+    label: 'Long Snake',
+    description: 'Grow to 30 segments',
+    check: game => game.longestSnake >= 30
+  },
+  survivor: {
+    label: 'Survivor',
+    description: 'Last 3 minutes in one game',
+    check: game => game.survival >= 3 * 60 * 1000
+  },
+  comboMaster: {
+    label: 'Combo Master',
+    description: 'Chain 6 fruits into one combo',
+    check: game => game.bestCombo >= 6
+  },
+  daredevil: {
+    label: 'Daredevil',
+    description: 'Earn 5 close call bonuses in one game',
+    check: game => game.closeCalls >= 5
+  },
+  bombDodger: {
+    label: 'Bomb Dodger',
+    description: 'Outlast 100 bombs',
+    check: (game, lifetime) => lifetime.bombsDodged >= 100
+  },
+  secondWind: {
+    label: 'Second Wind',
+    description: 'Eat 10 speed fruits',
+    check: (game, lifetime) => (lifetime.fruitsByShape.speedreset || 0) >= 10
+  },
+  trimmed: {
+    label: 'Trimmed',
+    description: 'Eat 10 cut fruits',
+    check: (game, lifetime) => (lifetime.fruitsByShape.shrink || 0) >= 10
+  },
+  collector: {
+    label: 'Collector',
+    description: 'Pick up every kind of power-up',
+    check: (game, lifetime) => Object.keys(AchievementPowerUps).every(type => lifetime.fruitsByShape[type] > 0)
+  },
+  regular: {
+    label: 'Regular',
+    description: 'Play 25 games',
+    check: (game, lifetime) => lifetime.gamesPlayed >= 25
+  },
+  ouroboros: {
+    label: 'Ouroboros',
+    description: 'Run into your own tail 10 times',
+    check: (game, lifetime) => (lifetime.deathsByCause.self || 0) >= 10
+  }
+};
+
+/**
+ * Loads when each achievement was unlocked
+ * @returns {Object} Unlock times (ms since epoch) keyed by ACHIEVEMENTS id
+ */
+function loadUnlockedAchievements() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ACHIEVEMENTS_STORAGE_KEY));
+    const unlocked = sanitizeStatCounts(saved);
+    Object.keys(unlocked).forEach(id => {
+      if (!ACHIEVEMENTS.hasOwnProperty(id)) delete unlocked[id];
+    });
+    return unlocked;
+  } catch (error) {
+    console.warn('Unable to load achievements from localStorage:', error);
+    return {};
+  }
+}
+
+/**
+ * Saves unlocked achievements
+ * @param {Object} unlocked - Unlock times keyed by ACHIEVEMENTS id
+ */
+function saveUnlockedAchievements(unlocked) {
+  try {
+    localStorage.setItem(ACHIEVEMENTS_STORAGE_KEY, JSON.stringify(unlocked));
+  } catch (error) {
+    console.warn('Unable to save achievements to localStorage:', error);
+  }
+}
+
+// =============================================================================
+// ACHIEVEMENT TRACKER
+// =============================================================================
+
+/**
+ * Follows one solo game at a time: records what happens to player one, checks
+ * achievements whenever the engine reports events, and folds the game into
+ * the lifetime stats when it ends. Saving is left to the caller.
+ */
+class AchievementTracker {
+  /**
+   * @param {Object} stats - Lifetime stats, e.g. from loadStats()
+   * @param {Object} unlocked - Unlock times, e.g. from loadUnlockedAchievements()
+   */
+  constructor(stats, unlocked) {
+    this.stats = stats;
+    this.unlocked = unlocked;
+    this.game = null;                    // Record of the tracked game, or null
+  }
+
+  /**
+   * Starts tracking a game, new or continued from a save
+   * @param {Object} state - Engine state snapshot
+   */
+  startGame(state) {
+    this.game = {
+      score: 0,
+      fruitsByShape: {},
+      longestSnake: 0,
+      survival: 0,                       // Milliseconds of play
+      bombsDodged: 0,
+      closeCalls: 0,
+      bestCombo: 0,                      // Longest combo chain
+      deathCause: null,
+      finished: false
+    };
+    this.updateGame(state);
+  }
+
+  /**
+   * Stops tracking without recording anything, for games that don't count
+   */
+  discardGame() {
+    this.game = null;
+  }
+
+  /**
+   * Copies the running totals the engine keeps into the game record
+   * @param {Object} state - Engine state snapshot
+   */
+  updateGame(state) {
+    const player = state.players[0];
+    this.game.score = state.score;
+    this.game.fruitsByShape = { ...state.fruitsEaten };
+    this.game.longestSnake = Math.max(this.game.longestSnake, player.snake.length);
+    this.game.survival = state.elapsedTime;
+    this.game.bestCombo = Math.max(this.game.bestCombo, player.combo || 0);
+  }
+
+  /**
+   * Records one tick of the tracked game
+   * @param {Array} events - Events from SnakeEngine.step()
+   * @param {Object} state - Engine state after the tick
+   * @returns {Array} Ids of achievements this tick unlocked
+   */
+  recordTick(events, state) {
+    if (!this.game) return [];
+    this.updateGame(state);
+    if (events.length === 0) return [];
+
+    events.forEach(event => {
+      if (event.type === AchievementEvents.BOMB_DESPAWNED) this.game.bombsDodged++;
+      if (event.type === AchievementEvents.FRUIT_EATEN && event.player === 0 && event.bonuses.closeCall > 0) this.game.closeCalls++;
+    });
+    return this.checkAchievements();
+  }
+
+  /**
+   * Ends the tracked game and adds it to the lifetime stats
+   * @param {Object} state - Final engine state
+   * @returns {Array} Ids of achievements the finished game unlocked
+   */
+  finishGame(state) {
+    if (!this.game) return [];
+    this.updateGame(state);
+    this.game.finished = true;
+    this.game.deathCause = state.gameOver && state.deathCause !== 'complete' ? state.players[0].deathCause : null;
+
+    const unlocked = this.checkAchievements();
+    this.stats = addGameToStats(this.stats, this.game);
+    this.game = null;
+    return unlocked;
+  }
+
+  /**
+   * Unlocks every achievement whose condition now holds
+   * @returns {Array} Ids unlocked by this check
+   */
+  checkAchievements() {
+    const lifetime = addGameToStats(this.stats, this.game);
+    const now = Date.now();
+    return Object.keys(ACHIEVEMENTS).filter(id => {
+      if (this.unlocked.hasOwnProperty(id) || !ACHIEVEMENTS[id].check(this.game, lifetime)) return false;
+      this.unlocked[id] = now;
+      return true;
+    });
+  }
+}
+
+// Allow stats and achievements to be checked from Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createStats,
+    loadStats,
+    saveStats,
+    addGameToStats,
+    countFruits,
+    ACHIEVEMENTS,
+    loadUnlockedAchievements,
+    saveUnlockedAchievements,
+    AchievementTracker
+  };
+}
@@ -0,0 +1,353 @@
+// audio.js - Synthesized sound effects and background music
+// Everything is generated with Web Audio oscillators and noise, so there are no
+// sound files to download. main.js decides when sounds play; this module only
+// knows how they sound. Without Web Audio every method quietly does nothing.
+
+// Browsers load fruits.js first as globals; Node resolves them explicitly
+const AudioGetFruitDefinition = typeof getFruitDefinition !== 'undefined' ? getFruitDefinition : require('./fruits.js').getFruitDefinition;
+
+// =============================================================================
+// AUDIO CONSTANTS
+// =============================================================================
+
+const DEFAULT_FRUIT_PITCH = 523.25;      // Hz (C5), for fruit types that set no pitch
+
+// Sound effects as lists of voices. A voice is an oscillator wave ('sine',
+// 'square', 'sawtooth', 'triangle') or 'noise', gliding from `from` Hz to `to`
+// Hz, starting `at` seconds into the effect and fading out over `duration`.
+const SOUND_EFFECTS = {
+  speedreset: [
+    { wave: 'sine', from: 1200, to: 300, at: 0, duration: 0.35, gain: 0.3 },
+    { wave: 'triangle', from: 600, to: 150, at: 0.05, duration: 0.35, gain: 0.2 }
+  ],
+  shrink: [
+    { wave: 'square', from: 900, to: 450, at: 0, duration: 0.08, gain: 0.15 },
+    { wave: 'square', from: 700, to: 350, at: 0.09, duration: 0.08, gain: 0.15 },
+    { wave: 'square', from: 500, to: 250, at: 0.18, duration: 0.12, gain: 0.15 }
+  ],
+  bombSpawn: [
+    { wave: 'square', from: 220, to: 110, at: 0, duration: 0.18, gain: 0.15 }
+  ],
+  bombDespawn: [
+    { wave: 'triangle', from: 330, to: 660, at: 0, duration: 0.15, gain: 0.15 }
+  ],
+  death: [
+    { wave: 'sawtooth', from: 440, to: 40, at: 0, duration: 0.8, gain: 0.3 },
+    { wave: 'noise', at: 0, duration: 0.5, gain: 0.35 }
+  ],
+  levelComplete: [
+    { wave: 'square', from: 523.25, at: 0, duration: 0.12, gain: 0.15 },
+    { wave: 'square', from: 783.99, at: 0.12, duration: 0.12, gain: 0.15 },
+    { wave: 'square', from: 1046.5, at: 0.24, duration: 0.3, gain: 0.15 }
+  ],
+  pause: [
+    { wave: 'sine', from: 660, at: 0, duration: 0.08, gain: 0.2 },
+    { wave: 'sine', from: 440, at: 0.09, duration: 0.14, gain: 0.2 }
+  ],
+  powerup: [
+    { wave: 'triangle', from: 440, to: 880, at: 0, duration: 0.12, gain: 0.2 },
+    { wave: 'triangle', from: 660, to: 1320, at: 0.1, duration: 0.18, gain: 0.2 }
+  ],
+  shield: [
+    { wave: 'noise', at: 0, duration: 0.2, gain: 0.25 },
+    { wave: 'sine', from: 880, to: 1760, at: 0.05, duration: 0.25, gain: 0.2 }
+  ],
+  countdown: [
+    { wave: 'square', from: 880, at: 0, duration: 0.1, gain: 0.12 }
+  ],
+  highScore: [
+    { wave: 'triangle', from: 1046.5, at: 0, duration: 0.12, gain: 0.25 },
+    { wave: 'triangle', from: 1318.5, at: 0.1, duration: 0.12, gain: 0.25 },
+    { wave: 'triangle', from: 1568, at: 0.2, duration: 0.12, gain: 0.25 },
+    { wave: 'triangle', from: 2093, at: 0.3, duration: 0.35, gain: 0.25 }
+  ]
+};
+
+// Background music: one bar per chord, sixteen steps per bar. Each chord is a
+// bass note followed by the three notes the arpeggio and lead pick from (MIDI).
+const MUSIC_CHORDS = [
+  [45, 57, 60, 64],                      // Am
+  [41, 57, 60, 65],                      // F
+  [48, 55, 60, 64],                      // C
+  [43, 55, 59, 62]                       // G
+];
+const MUSIC_STEPS_PER_BAR = 16;
+const MUSIC_MIN_STEP = 0.07;             // Shortest step in seconds, so top speed stays listenable
+const MUSIC_LOOKAHEAD = 0.12;            // Seconds of music scheduled ahead of the clock
+const MUSIC_SCHEDULE_INTERVAL = 25;      // Milliseconds between scheduling passes
+const MUSIC_LEAD_CHANCE = 0.35;          // Chance of a lead note on each off-beat eighth
+
+// Volumes before the player changes anything (0-1)
+const DEFAULT_AUDIO_SETTINGS = {
+  master: 0.8,
+  music: 0.5,
+  sfx: 0.8,
+  muted: false
+};
+
+/**
+ * Converts a MIDI note number to a frequency
+ * @param {number} note - MIDI note (69 is A4)
+ * @returns {number} Frequency in Hz
+ */
+function midiToFrequency(note) {
+  return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+/**
+ * Builds the sound of eating a scoring fruit: a quick chirp at the pitch its
+ * fruit type registered (see fruits.js)
+ * @param {string} shape - Fruit shape
+ * @returns {Array} Voices for SoundSystem.playVoices()
+ */
+function createFruitSound(shape) {
+  const definition = AudioGetFruitDefinition(shape);
+  const pitch = definition && definition.pitch ? definition.pitch : DEFAULT_FRUIT_PITCH;
+  return [
+    { wave: 'square', from: pitch, to: pitch * 1.5, at: 0, duration: 0.09, gain: 0.15 },
+    { wave: 'sine', from: pitch * 2, at: 0.05, duration: 0.12, gain: 0.15 }
+  ];
+}
+
+// =============================================================================
+// SOUND SYSTEM
+// =============================================================================
+
+/**
+ * Owns the audio context, the volume mix and the music sequencer. The context
+ * is created on the first user gesture, since browsers keep audio suspended
+ * until the player interacts with the page.
+ */
+class SoundSystem {
+  constructor() {
+    this.context = null;
+    this.masterGain = null;
+    this.musicGain = null;
+    this.sfxGain = null;
+    this.noiseBuffer = null;
+    this.volumes = { ...DEFAULT_AUDIO_SETTINGS };
+
+    // Music sequencer state
+    this.musicPlaying = false;
+    this.musicTimer = null;
+    this.stepDuration = MUSIC_MIN_STEP * 2;
+    this.nextStepTime = 0;
+    this.step = 0;
+  }
+
+  /**
+   * Creates or resumes the audio context. Call from user gesture handlers;
+   * calling it again later is cheap and recovers a context the browser suspended.
+   */
+  unlock() {
+    if (!this.context) {
+      const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+      if (!AudioContextClass) return;
+      this.context = new AudioContextClass();
+      this.buildGraph();
+      if (this.musicPlaying) this.startSequencer();
+    }
+    if (this.context.state === 'suspended' || this.context.state === 'interrupted') {
+      this.context.resume();
+    }
+  }
+
+  /**
+   * Wires the music and effect buses into the master volume and makes the
+   * shared noise buffer
+   */
+  buildGraph() {
+    const context = this.context;
+    this.masterGain = context.createGain();
+    this.musicGain = context.createGain();
+    this.sfxGain = context.createGain();
+    this.musicGain.connect(this.masterGain);
+    this.sfxGain.connect(this.masterGain);
+    this.masterGain.connect(context.destination);
+    this.applyVolumes();
+
+    // One second of white noise, reused by every noise voice
+    this.noiseBuffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+    const samples = this.noiseBuffer.getChannelData(0);
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = Math.random() * 2 - 1;
+    }
+  }
+
+  /**
+   * Sets the volume mix
+   * @param {Object} volumes - {master, music, sfx} from 0 to 1, and muted
+   */
+  setVolumes(volumes) {
+    this.volumes = { ...volumes };
+    this.applyVolumes();
+  }
+
+  /**
+   * Pushes the volume mix to the gain nodes, if they exist yet
+   */
+  applyVolumes() {
+    if (!this.context) return;
+    const now = this.context.currentTime;
+    this.masterGain.gain.setTargetAtTime(this.volumes.muted ? 0 : this.volumes.master, now, 0.02);
+    this.musicGain.gain.setTargetAtTime(this.volumes.music, now, 0.02);
+    this.sfxGain.gain.setTargetAtTime(this.volumes.sfx, now, 0.02);
+  }
+
+  /**
+   * Plays a named sound effect
+   * @param {string} name - Key of SOUND_EFFECTS
+   */
+  play(name) {
+    this.playVoices(SOUND_EFFECTS[name], this.sfxGain);
+  }
+
+  /**
+   * Plays the eating sound for a scoring fruit
+   * @param {string} shape - Fruit shape
+   */
+  playFruit(shape) {
+    this.playVoices(createFruitSound(shape), this.sfxGain);
+  }
+
+  /**
+   * Schedules a list of voices
+   * @param {Array} voices - Voices as described above SOUND_EFFECTS
+   * @param {AudioNode} destination - Bus to play them on
+   * @param {number} [startTime] - Context time to start at; defaults to now
+   */
+  playVoices(voices, destination, startTime) {
+    if (!this.context || this.context.state !== 'running') return;
+    const start = startTime === undefined ? this.context.currentTime : startTime;
+    voices.forEach(voice => this.playVoice(voice, destination, start + voice.at));
+  }
+
+  /**
+   * Schedules one voice with a short attack and exponential fade
+   * @param {Object} voice - Voice description
+   * @param {AudioNode} destination - Bus to play it on
+   * @param {number} time - Context time to start at
+   */
+  playVoice(voice, destination, time) {
+    const context = this.context;
+    let source;
+    if (voice.wave === 'noise') {
+      source = context.createBufferSource();
+      source.buffer = this.noiseBuffer;
+    } else {
+      source = context.createOscillator();
+      source.type = voice.wave;
+      source.frequency.setValueAtTime(voice.from, time);
+      if (voice.to) source.frequency.exponentialRampToValueAtTime(voice.to, time + voice.duration);
+    }
+
+    const envelope = context.createGain();
+    envelope.gain.setValueAtTime(0.0001, time);
+    envelope.gain.linearRampToValueAtTime(voice.gain, time + 0.005);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, time + voice.duration);
+
+    source.connect(envelope);
+    envelope.connect(destination);
+    source.start(time);
+    source.stop(time + voice.duration + 0.02);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Music
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Starts the background music from the top of the progression
+   */
+  startMusic() {
+    if (this.musicPlaying) return;
+    this.musicPlaying = true;
+    this.step = 0;
+    if (this.context) this.startSequencer();
+  }
+
+  /**
+   * Stops the background music; notes already scheduled finish on their own
+   */
+  stopMusic() {
+    this.musicPlaying = false;
+    clearInterval(this.musicTimer);
+    this.musicTimer = null;
+  }
+
+  /**
+   * Matches the music's tempo to the game: one sixteenth note per move
+   * @param {number} moveTime - Milliseconds between snake moves
+   */
+  setTempo(moveTime) {
+    this.stepDuration = Math.max(MUSIC_MIN_STEP, moveTime / 1000);
+  }
+
+  /**
+   * Starts the scheduling timer that keeps MUSIC_LOOKAHEAD of music queued
+   */
+  startSequencer() {
+    clearInterval(this.musicTimer);
+    this.nextStepTime = this.context.currentTime + 0.05;
+    this.musicTimer = setInterval(() => this.scheduleMusic(), MUSIC_SCHEDULE_INTERVAL);
+  }
+
+  /**
+   * Queues every step that starts within the lookahead window
+   */
+  scheduleMusic() {
+    if (this.context.state !== 'running') {
+      // Don't pile up a backlog while the browser has audio suspended
+      this.nextStepTime = this.context.currentTime + 0.05;
+      return;
+    }
+    while (this.nextStepTime < this.context.currentTime + MUSIC_LOOKAHEAD) {
+      this.scheduleStep(this.step, this.nextStepTime);
+      this.nextStepTime += this.stepDuration;
+      this.step = (this.step + 1) % (MUSIC_STEPS_PER_BAR * MUSIC_CHORDS.length);
+    }
+  }
+
+  /**
+   * Queues the notes of one sequencer step: kick and hats, a pulsing bass,
+   * a running arpeggio and an occasional lead note
+   * @param {number} step - Step within the whole progression
+   * @param {number} time - Context time of the step
+   */
+  scheduleStep(step, time) {
+    const beat = step % MUSIC_STEPS_PER_BAR;
+    const [bass, ...chord] = MUSIC_CHORDS[Math.floor(step / MUSIC_STEPS_PER_BAR)];
+    const length = this.stepDuration;
+    const voices = [];
+
+    if (beat % 4 === 0) {
+      voices.push({ wave: 'sine', from: 150, to: 40, at: 0, duration: 0.2, gain: 0.5 });
+    }
+    if (beat % 2 === 1) {
+      voices.push({ wave: 'noise', at: 0, duration: 0.03, gain: 0.05 });
+    }
+    if (beat % 2 === 0) {
+      const octave = beat % 4 === 2 ? 12 : 0;
+      voices.push({ wave: 'sawtooth', from: midiToFrequency(bass + octave), at: 0, duration: length * 1.8, gain: 0.12 });
+    }
+    voices.push({ wave: 'square', from: midiToFrequency(chord[beat % chord.length] + 12), at: 0, duration: length * 0.9, gain: 0.04 });
+    if (beat % 4 === 2 && Math.random() < MUSIC_LEAD_CHANCE) {
+      const note = chord[Math.floor(Math.random() * chord.length)] + 24;
+      voices.push({ wave: 'triangle', from: midiToFrequency(note), at: 0, duration: length * 3, gain: 0.1 });
+    }
+
+    this.playVoices(voices, this.musicGain, time);
+  }
+}
+
+// Allow the sound definitions to be inspected from Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_FRUIT_PITCH,
+    SOUND_EFFECTS,
+    DEFAULT_AUDIO_SETTINGS,
+    midiToFrequency,
+    createFruitSound,
+    SoundSystem
+  };
+}
@@ -0,0 +1,278 @@
+// bots.js - Computer-controlled snakes
+// A bot looks at an engine state snapshot and picks the direction for its
+// snake's next move. main.js passes that choice through requestDirection(),
+// the same path keyboard input takes, so bots obey the no-reverse rule and
+// their moves are recorded in replays like anyone else's.
+//
+// Bot interface:
+//   chooseDirection(state, playerIndex) -> {x, y}, or null to keep going straight
+
+// =============================================================================
+// BOT CONSTANTS
+// =============================================================================
+
+// Directions a bot considers, in tie-break order after its current heading
+const BOT_DIRECTIONS = [
+  { x: 0, y: -1 },
+  { x: 1, y: 0 },
+  { x: 0, y: 1 },
+  { x: -1, y: 0 }
+];
+
+// =============================================================================
+// GRID MODEL
+// =============================================================================
+
+/**
+ * Read-only view of an engine state that knows how snakes move: wrapping
+ * around the arena (or not), portals, and which cells are deadly
+ */
+class BotGrid {
+  /**
+   * @param {Object} state - Engine state snapshot from getState()
+   * @param {number} playerIndex - Player the bot is steering
+   */
+  constructor(state, playerIndex) {
+    this.arena = state.arena;
+    this.wrapEdges = state.wrapEdges;
+    this.player = state.players[playerIndex];
+
+    // Every snake segment counts, tails included: the engine checks collisions
+    // before tails move
+    this.blocked = new Set();
+    state.walls.forEach(wall => this.blocked.add(this.key(wall)));
+    state.bombs.forEach(bomb => this.blocked.add(this.key(bomb)));
+    state.players.forEach(player => {
+      if (!player.alive) return;
+      player.snake.forEach(segment => this.blocked.add(this.key(segment)));
+    });
+
+    this.portalExits = new Map();
+    state.portals.forEach(([a, b]) => {
+      this.portalExits.set(this.key(a), b);
+      this.portalExits.set(this.key(b), a);
+    });
+
+    // Cells a rival's head might move into next; going there risks a head-on
+    this.contested = new Set();
+    state.players.forEach((player, index) => {
+      if (index === playerIndex || !player.alive) return;
+      BOT_DIRECTIONS.forEach(dir => {
+        const cell = this.next(player.snake[0], dir);
+        if (cell) this.contested.add(this.key(cell));
+      });
+    });
+
+    this.targets = this.findTargets(state.fruits);
+  }
+
+  /**
+   * Builds a lookup key for a cell
+   * @param {Object} pos - Cell position {x, y}
+   * @returns {string} Key unique to the cell
+   */
+  key(pos) {
+    return pos.x + ',' + pos.y;
+  }
+
+  /**
+   * Picks the fruits worth chasing: scoring fruits, or any fruit if none score
+   * @param {Array} fruits - Fruits from the engine state
+   * @returns {Set} Keys of the target cells
+   */
+  findTargets(fruits) {
+    const scoring = fruits.filter(fruit => fruit.points > 0);
+    return new Set((scoring.length > 0 ? scoring : fruits).map(fruit => this.key(fruit)));
+  }
+
+  /**
+   * Works out where a head at pos ends up after moving in dir, mirroring
+   * SnakeEngine.calculateNextHead()
+   * @param {Object} pos - Current cell {x, y}
+   * @param {Object} dir - Direction {x, y}
+   * @returns {Object|null} Next cell, or null if it leaves a non-wrapping arena
+   */
+  next(pos, dir) {
+    const { x, y, width, height } = this.arena;
+    let cell;
+    if (this.wrapEdges) {
+      cell = {
+        x: x + (pos.x - x + dir.x + width) % width,
+        y: y + (pos.y - y + dir.y + height) % height
+      };
+    } else {
+      cell = { x: pos.x + dir.x, y: pos.y + dir.y };
+      if (cell.x < x || cell.x >= x + width || cell.y < y || cell.y >= y + height) return null;
+    }
+
+    // Entering a portal puts the head straight onto its partner
+    const exit = this.portalExits.get(this.key(cell));
+    return exit ? { x: exit.x, y: exit.y } : cell;
+  }
+
+  /**
+   * Checks whether a head can safely move onto a cell
+   * @param {Object|null} cell - Cell from next()
+   * @returns {boolean} True if the cell exists and isn't deadly
+   */
+  isOpen(cell) {
+    return cell !== null && !this.blocked.has(this.key(cell));
+  }
+
+  /**
+   * Lists the moves available to the bot's snake: no reversing, nothing
+   * deadly, and (when there's a choice) nothing a rival's head could also take
+   * @returns {Array} {dir, cell} pairs, current heading first
+   */
+  listMoves() {
+    const heading = this.player.direction;
+    const dirs = [heading, ...BOT_DIRECTIONS.filter(dir => dir.x !== heading.x || dir.y !== heading.y)];
+
+    const moves = dirs
+      .filter(dir => dir.x !== -heading.x || dir.y !== -heading.y)
+      .map(dir => ({ dir, cell: this.next(this.player.snake[0], dir) }))
+      .filter(move => this.isOpen(move.cell));
+
+    const uncontested = moves.filter(move => !this.contested.has(this.key(move.cell)));
+    return uncontested.length > 0 ? uncontested : moves;
+  }
+
+  /**
+   * Distance between two cells ignoring obstacles and portals, wrapping when
+   * the arena does
+   * @param {Object} a - Cell {x, y}
+   * @param {Object} b - Cell {x, y}
+   * @returns {number} Manhattan distance in cells
+   */
+  distance(a, b) {
+    let dx = Math.abs(a.x - b.x);
+    let dy = Math.abs(a.y - b.y);
+    if (this.wrapEdges) {
+      dx = Math.min(dx, this.arena.width - dx);
+      dy = Math.min(dy, this.arena.height - dy);
+    }
+    return dx + dy;
+  }
+
+  /**
+   * Breadth-first search from a cell over everything a snake could reach
+   * @param {Object} start - Open cell to search from
+   * @returns {Object} {targetDistance, area}: moves to the nearest target
+   *   (Infinity if unreachable) and the number of reachable cells
+   */
+  explore(start) {
+    const seen = new Set([this.key(start)]);
+    let frontier = [start];
+    let depth = 0;
+    let targetDistance = Infinity;
+
+    while (frontier.length > 0) {
+      const nextFrontier = [];
+      frontier.forEach(cell => {
+        if (targetDistance === Infinity && this.targets.has(this.key(cell))) targetDistance = depth;
+        BOT_DIRECTIONS.forEach(dir => {
+          const neighbor = this.next(cell, dir);
+          if (!this.isOpen(neighbor) || seen.has(this.key(neighbor))) return;
+          seen.add(this.key(neighbor));
+          nextFrontier.push(neighbor);
+        });
+      });
+      frontier = nextFrontier;
+      depth++;
+    }
+
+    return { targetDistance, area: seen.size };
+  }
+}
+
+// =============================================================================
+// BOTS
+// =============================================================================
+
+/**
+ * Heads for whichever safe neighbor is closest to the nearest scoring fruit.
+ * Cheap and easily fooled by walls, portals and its own body.
+ */
+class GreedyBot {
+  /**
+   * Picks the next direction
+   * @param {Object} state - Engine state snapshot
+   * @param {number} playerIndex - Player to steer
+   * @returns {Object|null} Direction {x, y}, or null when every move is deadly
+   */
+  chooseDirection(state, playerIndex) {
+    const grid = new BotGrid(state, playerIndex);
+    const targets = state.fruits.filter(fruit => grid.targets.has(grid.key(fruit)));
+
+    let best = null;
+    let bestDistance = Infinity;
+    grid.listMoves().forEach(move => {
+      const distance = Math.min(Infinity, ...targets.map(fruit => grid.distance(move.cell, fruit)));
+      if (best === null || distance < bestDistance) {
+        best = move;
+        bestDistance = distance;
+      }
+    });
+
+    return best ? best.dir : null;
+  }
+}
+
+/**
+ * Follows the shortest real path to a fruit (through wrapping and portals),
+ * but only into space big enough to hold the snake; when no fruit is safely
+ * reachable it heads for the most open space to wait for one.
+ */
+class PathfinderBot {
+  /**
+   * Picks the next direction
+   * @param {Object} state - Engine state snapshot
+   * @param {number} playerIndex - Player to steer
+   * @returns {Object|null} Direction {x, y}, or null when every move is deadly
+   */
+  chooseDirection(state, playerIndex) {
+    const grid = new BotGrid(state, playerIndex);
+    const snakeLength = grid.player.snake.length;
+    const options = grid.listMoves().map(move => ({ ...move, ...grid.explore(move.cell) }));
+    if (options.length === 0) return null;
+
+    // Shortest path among moves that don't wall the snake in
+    const roomy = options.filter(option => option.area >= snakeLength);
+    const reachable = roomy.filter(option => option.targetDistance !== Infinity);
+    if (reachable.length > 0) {
+      return reachable.reduce((best, option) => option.targetDistance < best.targetDistance ? option : best).dir;
+    }
+
+    // Otherwise stall in the largest open space
+    return options.reduce((best, option) => option.area > best.area ? option : best).dir;
+  }
+}
+
+// Strategies offered in the UI, keyed by the id the selects use
+const BOT_STRATEGIES = {
+  greedy: { label: 'Greedy', create: () => new GreedyBot() },
+  pathfinder: { label: 'Pathfinder', create: () => new PathfinderBot() }
+};
+
+/**
+ * Creates a bot by strategy id
+ * @param {string} strategy - Key of BOT_STRATEGIES
+ * @returns {Object} Bot implementing chooseDirection()
+ * @throws {Error} If the strategy is unknown
+ */
+function createBot(strategy) {
+  const entry = BOT_STRATEGIES[strategy];
+  if (!entry) throw new Error('Unknown bot strategy: ' + strategy);
+  return entry.create();
+}
+
+// Allow bots to be exercised from Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BotGrid,
+    GreedyBot,
+    PathfinderBot,
+    BOT_STRATEGIES,
+    createBot
+  };
+}
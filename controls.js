@@ -0,0 +1,245 @@
+// controls.js - Remappable keyboard and gamepad bindings
+// Keeps which key or gamepad button triggers each action, saved in localStorage,
+// and the rules for queueing the turns they request. Reading the keyboard and
+// polling gamepads lives in main.js.
+
+// =============================================================================
+// CONTROLS CONSTANTS
+// =============================================================================
+
+const CONTROLS_STORAGE_KEY = 'neonSnakeControls';
+
+// Keyboard actions, in the order the controls screen lists them. Solo games
+// accept both players' keys; in versus each set steers its own snake.
+const KEY_ACTIONS = {
+  p1Up: 'Player 1 Up',
+  p1Down: 'Player 1 Down',
+  p1Left: 'Player 1 Left',
+  p1Right: 'Player 1 Right',
+  p2Up: 'Player 2 Up',
+  p2Down: 'Player 2 Down',
+  p2Left: 'Player 2 Left',
+  p2Right: 'Player 2 Right',
+  pause: 'Pause',
+  mute: 'Mute Sound'
+};
+
+// Gamepad actions; every pad uses the same layout, and in versus the first pad
+// steers player 1 and the second player 2
+const GAMEPAD_ACTIONS = {
+  up: 'Up',
+  down: 'Down',
+  left: 'Left',
+  right: 'Right',
+  pause: 'Pause',
+  confirm: 'Confirm'
+};
+
+// Values are lowercased event.key strings (see normalizeKey())
+const DEFAULT_KEY_BINDINGS = {
+  p1Up: 'w',
+  p1Down: 's',
+  p1Left: 'a',
+  p1Right: 'd',
+  p2Up: 'ArrowUp',
+  p2Down: 'ArrowDown',
+  p2Left: 'ArrowLeft',
+  p2Right: 'ArrowRight',
+  pause: 'p',
+  mute: 'm'
+};
+
+// Values are button indices in the browser's "standard" gamepad mapping
+const DEFAULT_GAMEPAD_BINDINGS = {
+  up: 12,
+  down: 13,
+  left: 14,
+  right: 15,
+  pause: 9,
+  confirm: 0
+};
+
+const GAMEPAD_DEADZONE = 0.5;            // Stick travel (0-1) ignored as drift
+
+// Directions for the movement actions, shared by both binding tables
+const CONTROL_DIRECTIONS = {
+  up: { x: 0, y: -1 },
+  down: { x: 0, y: 1 },
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 }
+};
+
+// Display names for the standard mapping's buttons
+const GAMEPAD_BUTTON_NAMES = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3',
+  'D-pad Up', 'D-pad Down', 'D-pad Left', 'D-pad Right', 'Home'
+];
+
+// Display names for keys whose event.key doesn't read well
+const KEY_NAMES = {
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ' ': 'Space',
+  Escape: 'Esc'
+};
+
+// =============================================================================
+// BINDINGS
+// =============================================================================
+
+/**
+ * Normalizes a KeyboardEvent key so bindings ignore Shift and Caps Lock
+ * @param {string} key - event.key value
+ * @returns {string} Lowercased single characters, other keys unchanged
+ */
+function normalizeKey(key) {
+  return key.length === 1 ? key.toLowerCase() : key;
+}
+
+/**
+ * Gets a readable name for a bound key
+ * @param {string} key - Normalized key
+ * @returns {string} Name to show players
+ */
+function describeKey(key) {
+  return KEY_NAMES[key] || (key.length === 1 ? key.toUpperCase() : key);
+}
+
+/**
+ * Gets a readable name for a bound gamepad button
+ * @param {number} button - Standard mapping button index
+ * @returns {string} Name to show players
+ */
+function describeGamepadButton(button) {
+  return GAMEPAD_BUTTON_NAMES[button] || 'Button ' + button;
+}
+
+/**
+ * Finds which action a key or button is bound to
+ * @param {Object} bindings - Action to key/button map
+ * @param {string|number} value - Normalized key or button index
+ * @returns {string|null} Action id, or null if unbound
+ */
+function findBoundAction(bindings, value) {
+  return Object.keys(bindings).find(action => bindings[action] === value) || null;
+}
+
+/**
+ * Binds a key or button to an action. If another action already used it, the
+ * two swap, so every action keeps exactly one binding.
+ * @param {Object} bindings - Action to key/button map
+ * @param {string} action - Action to rebind
+ * @param {string|number} value - New key or button
+ * @returns {Object} Updated copy of the bindings
+ */
+function bindControl(bindings, action, value) {
+  const updated = { ...bindings };
+  const previousOwner = findBoundAction(bindings, value);
+  if (previousOwner && previousOwner !== action) {
+    updated[previousOwner] = bindings[action];
+  }
+  updated[action] = value;
+  return updated;
+}
+
+/**
+ * Fills in defaults for any missing or malformed bindings
+ * @param {Object} saved - Bindings read from storage
+ * @param {Object} defaults - Default bindings for the same actions
+ * @param {Function} isValid - Checks a single binding value
+ * @returns {Object} Complete bindings
+ */
+function mergeBindings(saved, defaults, isValid) {
+  let merged = { ...defaults };
+  if (!saved || typeof saved !== 'object') return merged;
+
+  Object.keys(defaults).forEach(action => {
+    if (isValid(saved[action])) merged = bindControl(merged, action, saved[action]);
+  });
+  return merged;
+}
+
+// =============================================================================
+// TURN QUEUE
+// =============================================================================
+
+/**
+ * Adds a turn to a player's queue for their upcoming moves. Turns are checked
+ * against the last queued turn rather than the snake's current heading, so
+ * Up-then-Left within one tick plays out as two turns and a quick double-tap
+ * can't reverse the snake into itself.
+ * @param {Array} queue - Queued directions {x, y}, oldest first; changed in place
+ * @param {Object} direction - Requested direction {x, y}
+ * @param {Object} heading - Direction the snake is moving now
+ * @param {number} depth - Most turns the queue holds (the inputQueueDepth setting)
+ * @returns {boolean} True if the turn was queued
+ */
+function queueTurn(queue, direction, heading, depth) {
+  if (queue.length >= depth) return false;
+
+  const last = queue.length > 0 ? queue[queue.length - 1] : heading;
+  if (direction.x === last.x && direction.y === last.y) return false;   // Already heading that way
+  if (direction.x === -last.x && direction.y === -last.y) return false; // Reversing would hit the body
+
+  queue.push({ x: direction.x, y: direction.y });
+  return true;
+}
+
+// =============================================================================
+// PERSISTENCE
+// =============================================================================
+
+/**
+ * Loads the player's bindings, falling back to defaults for anything unset
+ * @returns {Object} {keys, gamepad} binding maps
+ */
+function loadControls() {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(CONTROLS_STORAGE_KEY));
+  } catch (error) {
+    // localStorage might be disabled, unavailable, or hold corrupt data
+    console.warn('Unable to load controls from localStorage:', error);
+  }
+
+  return {
+    keys: mergeBindings(saved && saved.keys, DEFAULT_KEY_BINDINGS,
+      value => typeof value === 'string' && value.length > 0),
+    gamepad: mergeBindings(saved && saved.gamepad, DEFAULT_GAMEPAD_BINDINGS,
+      value => Number.isInteger(value) && value >= 0)
+  };
+}
+
+/**
+ * Saves the player's bindings to localStorage
+ * @param {Object} controls - {keys, gamepad} binding maps
+ */
+function saveControls(controls) {
+  try {
+    localStorage.setItem(CONTROLS_STORAGE_KEY, JSON.stringify(controls));
+  } catch (error) {
+    // localStorage might be disabled, full, or unavailable
+    console.warn('Unable to save controls to localStorage:', error);
+  }
+}
+
+// Allow the bindings logic to be exercised from Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    KEY_ACTIONS,
+    GAMEPAD_ACTIONS,
+    DEFAULT_KEY_BINDINGS,
+    DEFAULT_GAMEPAD_BINDINGS,
+    CONTROL_DIRECTIONS,
+    normalizeKey,
+    describeKey,
+    describeGamepadButton,
+    findBoundAction,
+    bindControl,
+    queueTurn,
+    loadControls,
+    saveControls
+  };
+}
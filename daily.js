@@ -0,0 +1,260 @@
+// daily.js - Daily challenge
+// The date picks the seed, the grid and a rotating set of rule modifiers, so
+// everyone playing on the same day gets the same run. Days follow UTC, so the
+// run changes at the same moment everywhere. Each day's best result is kept
+// locally; the history gives the streak of days played in a row. Runs played
+// with assist speed keep a history of their own.
+
+// Browsers load engine.js first as globals; Node resolves them explicitly
+const DailyHashString = typeof hashString !== 'undefined' ? hashString : require('./engine.js').hashString;
+const DailySeededRandom = typeof SeededRandom !== 'undefined' ? SeededRandom : require('./engine.js').SeededRandom;
+
+// =============================================================================
+// DAILY RULES
+// =============================================================================
+
+const DAILY_GRID = { cols: 40, rows: 24 }; // Every daily run is played on this grid, scaled to fit the screen
+const DAILY_MAX_MODIFIERS = 2;           // A day has between 1 and this many modifiers
+
+/*
+ * Each modifier changes the engine config of a daily run:
+ *   label, description  Shown on the Daily Challenge screen and in share text
+ *   apply(config)       Returns the config with the modifier's rules
+ */
+const DAILY_MODIFIERS = {
+  walls: {
+    label: 'Walls',
+    description: 'The grid edges are deadly',
+    apply: config => ({ ...config, wrapEdges: false })
+  },
+  starsOnly: {
+    label: 'Stars Only',
+    description: 'Every fruit is a star; special fruits still turn up',
+    apply: config => {
+      // Stars take over the other plain fruits' share, so special fruits stay as rare as usual
+      const plainWeight = config.fruitTypes.filter(type => type.points > 0).reduce((sum, type) => sum + type.weight, 0);
+      const fruitTypes = config.fruitTypes
+        .filter(type => type.shape === 'star' || type.points === 0)
+        .map(type => type.shape === 'star' ? { ...type, weight: plainWeight } : type);
+      return { ...config, fruitTypes };
+    }
+  },
+  doubleBombs: {
+    label: 'Double Bombs',
+    description: 'Twice as many bombs can be out at once',
+    apply: config => ({ ...config, maxBombs: config.maxBombs * 2 })
+  },
+  fixedSpeed: {
+    label: 'Fixed Speed',
+    description: 'The snake never speeds up',
+    apply: config => ({ ...config, speedIncreaseRate: 0 })
+  }
+};
+
+/**
+ * Gives the key of the UTC day a moment falls on, so players in every time
+ * zone share each day's run
+ * @param {Date} [date] - Moment to describe, now if omitted
+ * @returns {string} Date as 'YYYY-MM-DD'
+ */
+function getDailyDateKey(date = new Date()) {
+  const pad = value => (value < 10 ? '0' : '') + value;
+  return date.getUTCFullYear() + '-' + pad(date.getUTCMonth() + 1) + '-' + pad(date.getUTCDate());
+}
+
+/**
+ * Checks that a value is a 'YYYY-MM-DD' date key
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a date key
+ */
+function isDailyDateKey(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+/**
+ * Gives the seed of a day's run
+ * @param {string} dateKey - Day as 'YYYY-MM-DD'
+ * @returns {number} Unsigned 32-bit seed
+ */
+function getDailySeed(dateKey) {
+  return DailyHashString('daily:' + dateKey);
+}
+
+/**
+ * Picks a day's modifiers. They come from their own generator, so the run's
+ * layout doesn't depend on which modifiers were drawn.
+ * @param {string} dateKey - Day as 'YYYY-MM-DD'
+ * @returns {Array} DAILY_MODIFIERS keys in definition order
+ */
+function getDailyModifiers(dateKey) {
+  const rng = new DailySeededRandom(DailyHashString('modifiers:' + dateKey));
+  const remaining = Object.keys(DAILY_MODIFIERS);
+  const count = 1 + rng.nextInt(DAILY_MAX_MODIFIERS);
+  const picked = [];
+  for (let i = 0; i < count; i++) {
+    picked.push(remaining.splice(rng.nextInt(remaining.length), 1)[0]);
+  }
+  return Object.keys(DAILY_MODIFIERS).filter(modifier => picked.includes(modifier));
+}
+
+/**
+ * Applies modifiers to an engine config
+ * @param {Object} config - Engine config overrides
+ * @param {Array} modifiers - DAILY_MODIFIERS keys
+ * @returns {Object} New config with every modifier's rules
+ */
+function applyDailyModifiers(config, modifiers) {
+  return modifiers.reduce((modified, modifier) => DAILY_MODIFIERS[modifier].apply(modified), config);
+}
+
+/**
+ * Names a day's modifiers for display
+ * @param {Array} modifiers - DAILY_MODIFIERS keys
+ * @returns {string} Labels joined with ' + ', e.g. 'Walls + Fixed Speed'
+ */
+function describeDailyModifiers(modifiers) {
+  return modifiers.map(modifier => DAILY_MODIFIERS[modifier].label).join(' + ');
+}
+
+// =============================================================================
+// DAILY HISTORY
+// =============================================================================
+
+const DAILY_STORAGE_KEY = 'neonSnakeDaily';
+const DAILY_ASSIST_STORAGE_KEY = 'neonSnakeDailyAssist'; // Runs with assist speed, kept apart from the rest
+const DAILY_HISTORY_LIMIT = 365;         // Most days kept; the oldest are dropped first
+
+/*
+ * The history maps date keys to that day's best run:
+ *   {score, length, duration, fruits, attempts}
+ * where duration is milliseconds of play, fruits counts fruits by shape and
+ * attempts counts every run finished that day.
+ */
+
+/**
+ * Checks a saved day of history
+ * @param {*} day - Saved value
+ * @returns {boolean} True if it is a usable day record
+ */
+function isDailyRecord(day) {
+  const isCount = value => Number.isInteger(value) && value >= 0;
+  return !!day && typeof day === 'object' &&
+    isCount(day.score) && isCount(day.length) && isCount(day.duration) && isCount(day.attempts) &&
+    !!day.fruits && typeof day.fruits === 'object' && Object.values(day.fruits).every(isCount);
+}
+
+/**
+ * Gets where a daily history is stored
+ * @param {boolean} assisted - Whether it holds runs played with assist speed
+ * @returns {string} localStorage key
+ */
+function getDailyStorageKey(assisted) {
+  return assisted ? DAILY_ASSIST_STORAGE_KEY : DAILY_STORAGE_KEY;
+}
+
+/**
+ * Loads a daily history, dropping days that don't validate
+ * @param {boolean} [assisted=false] - Load the history of runs played with assist speed
+ * @returns {Object} Day records keyed by date key
+ */
+function loadDailyHistory(assisted = false) {
+  const history = {};
+  try {
+    const saved = JSON.parse(localStorage.getItem(getDailyStorageKey(assisted)));
+    if (!saved || typeof saved !== 'object') return history;
+    Object.keys(saved).forEach(dateKey => {
+      if (isDailyDateKey(dateKey) && isDailyRecord(saved[dateKey])) history[dateKey] = saved[dateKey];
+    });
+  } catch (error) {
+    console.warn('Unable to load daily history from localStorage:', error);
+  }
+  return history;
+}
+
+/**
+ * Saves a daily history, keeping only the most recent days
+ * @param {Object} history - Day records keyed by date key
+ * @param {boolean} [assisted=false] - Whether it holds runs played with assist speed
+ */
+function saveDailyHistory(history, assisted = false) {
+  const kept = {};
+  Object.keys(history).sort().slice(-DAILY_HISTORY_LIMIT).forEach(dateKey => {
+    kept[dateKey] = history[dateKey];
+  });
+  try {
+    localStorage.setItem(getDailyStorageKey(assisted), JSON.stringify(kept));
+  } catch (error) {
+    console.warn('Unable to save daily history to localStorage:', error);
+  }
+}
+
+/**
+ * Adds a finished run to the history
+ * @param {Object} history - Day records keyed by date key
+ * @param {string} dateKey - Day the run belongs to
+ * @param {Object} run - {score, length, duration, fruits} of the run
+ * @returns {Object} {history, best} - the new history, and whether the run is the day's best
+ */
+function addDailyRun(history, dateKey, run) {
+  const previous = history[dateKey];
+  const best = !previous || run.score > previous.score;
+  const day = best ? { ...run, fruits: { ...run.fruits } } : { ...previous };
+  day.attempts = (previous ? previous.attempts : 0) + 1;
+  return { history: { ...history, [dateKey]: day }, best };
+}
+
+/**
+ * Counts days from the start of the calendar, for finding consecutive days
+ * @param {string} dateKey - Day as 'YYYY-MM-DD'
+ * @returns {number} Whole days since 1970-01-01
+ */
+function getDailyDayNumber(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return Math.round(Date.UTC(year, month - 1, day) / 86400000);
+}
+
+/**
+ * Works out the streak of days played in a row. A streak that reached
+ * yesterday is still current until today is over.
+ * @param {Object} history - Day records keyed by date key
+ * @param {string} today - Today's date key
+ * @returns {Object} {current, best} streak lengths in days
+ */
+function getDailyStreak(history, today) {
+  const days = Object.keys(history).map(getDailyDayNumber).sort((a, b) => a - b);
+  const played = new Set(days);
+
+  let best = 0;
+  let run = 0;
+  days.forEach((day, index) => {
+    run = index > 0 && days[index - 1] === day - 1 ? run + 1 : 1;
+    best = Math.max(best, run);
+  });
+
+  let current = 0;
+  let day = getDailyDayNumber(today);
+  if (!played.has(day)) day--;
+  while (played.has(day)) {
+    current++;
+    day--;
+  }
+  return { current, best };
+}
+
+// Allow daily runs to be checked from Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DAILY_GRID,
+    DAILY_MODIFIERS,
+    getDailyDateKey,
+    isDailyDateKey,
+    getDailySeed,
+    getDailyModifiers,
+    applyDailyModifiers,
+    describeDailyModifiers,
+    loadDailyHistory,
+    saveDailyHistory,
+    addDailyRun,
+    getDailyStreak
+  };
+}
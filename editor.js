@@ -0,0 +1,307 @@
+// editor.js - Level editor model
+// Holds the map being edited as a grid of level glyphs (see levels.js) with
+// undo/redo history. Drawing and mouse handling live in main.js.
+
+// Browsers load levels.js first as globals; Node resolves them explicitly
+const EditorFruitGlyphs = typeof LEVEL_FRUIT_GLYPHS !== 'undefined' ? LEVEL_FRUIT_GLYPHS : require('./levels.js').LEVEL_FRUIT_GLYPHS;
+const EditorCreateLevelId = typeof createLevelId !== 'undefined' ? createLevelId : require('./levels.js').createLevelId;
+
+// =============================================================================
+// EDITOR CONSTANTS
+// =============================================================================
+
+// Tools the designer can paint with
+const EDITOR_TOOLS = {
+  WALL: 'wall',
+  ERASE: 'erase',
+  PORTAL: 'portal',
+  START: 'start',
+  FRUIT: 'fruit'
+};
+
+const EDITOR_HISTORY_LIMIT = 100;        // Undo steps kept per editing session
+const EDITOR_DEFAULT_TARGET = 100;       // Target score for new levels
+const EDITOR_START_ROTATION = ['>', 'v', '<', '^']; // Clicking the start again turns it clockwise
+
+// =============================================================================
+// LEVEL EDITOR
+// =============================================================================
+
+/**
+ * Editable level map with undo/redo.
+ * Edits are grouped into strokes so one drag of the wall tool undoes in one step.
+ */
+class LevelEditor {
+  /**
+   * Creates an editor holding a new, empty level
+   * @param {number} width - Map width in cells
+   * @param {number} height - Map height in cells
+   */
+  constructor(width, height) {
+    this.newLevel(width, height);
+  }
+
+  /**
+   * Replaces the map with an empty walled box under a new id and clears the history
+   * @param {number} width - Map width in cells
+   * @param {number} height - Map height in cells
+   */
+  newLevel(width, height) {
+    const rows = [];
+    for (let y = 0; y < height; y++) {
+      let row = '';
+      for (let x = 0; x < width; x++) {
+        const isEdge = x === 0 || y === 0 || x === width - 1 || y === height - 1;
+        row += isEdge ? '#' : '.';
+      }
+      rows.push(row);
+    }
+
+    this.loadLevel({
+      id: EditorCreateLevelId(),
+      name: 'Untitled',
+      targetScore: EDITOR_DEFAULT_TARGET,
+      fruitWeights: {},
+      map: rows
+    });
+    this.setGlyph(Math.floor(width / 2), Math.floor(height / 2), '>');
+  }
+
+  /**
+   * Loads a level into the editor and clears the history
+   * @param {Object} level - Normalized level from parseLevel()
+   */
+  loadLevel(level) {
+    this.id = level.id;
+    this.name = level.name;
+    this.targetScore = level.targetScore;
+    this.fruitWeights = { ...level.fruitWeights };
+    this.cells = level.map.map(row => row.split(''));
+    this.undoStack = [];
+    this.redoStack = [];
+    this.strokeSnapshot = null;
+  }
+
+  /**
+   * Map width in cells
+   * @returns {number} Width
+   */
+  get width() {
+    return this.cells[0].length;
+  }
+
+  /**
+   * Map height in cells
+   * @returns {number} Height
+   */
+  get height() {
+    return this.cells.length;
+  }
+
+  /**
+   * Reads the glyph at a map cell
+   * @param {number} x - Map column
+   * @param {number} y - Map row
+   * @returns {string|null} Glyph, or null outside the map
+   */
+  getGlyph(x, y) {
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return null;
+    return this.cells[y][x];
+  }
+
+  /**
+   * Writes a glyph to a map cell
+   * @param {number} x - Map column
+   * @param {number} y - Map row
+   * @param {string} glyph - New glyph
+   * @returns {boolean} True if the cell changed
+   */
+  setGlyph(x, y, glyph) {
+    if (this.getGlyph(x, y) === null || this.cells[y][x] === glyph) return false;
+    this.cells[y][x] = glyph;
+    return true;
+  }
+
+  /**
+   * Applies a tool to a map cell
+   * @param {number} x - Map column
+   * @param {number} y - Map row
+   * @param {string} tool - EDITOR_TOOLS value
+   * @param {string} [fruitShape] - Fruit shape for the fruit tool
+   * @returns {boolean} True if the map changed
+   */
+  paint(x, y, tool, fruitShape) {
+    const current = this.getGlyph(x, y);
+    if (current === null) return false;
+
+    switch (tool) {
+      case EDITOR_TOOLS.WALL:
+        return this.setGlyph(x, y, '#');
+
+      case EDITOR_TOOLS.ERASE:
+        return this.setGlyph(x, y, '.');
+
+      case EDITOR_TOOLS.PORTAL: {
+        if (current >= '1' && current <= '9') return false;
+        const digit = this.nextPortalDigit();
+        return digit ? this.setGlyph(x, y, digit) : false;
+      }
+
+      case EDITOR_TOOLS.START: {
+        const rotation = EDITOR_START_ROTATION.indexOf(current);
+        if (rotation !== -1) {
+          return this.setGlyph(x, y, EDITOR_START_ROTATION[(rotation + 1) % EDITOR_START_ROTATION.length]);
+        }
+
+        // There is only ever one start, so placing it moves the old one
+        const previous = this.findStart();
+        if (previous) this.setGlyph(previous.x, previous.y, '.');
+        return this.setGlyph(x, y, previous ? previous.glyph : '>');
+      }
+
+      case EDITOR_TOOLS.FRUIT: {
+        const glyph = Object.keys(EditorFruitGlyphs).find(key => EditorFruitGlyphs[key] === fruitShape);
+        return glyph ? this.setGlyph(x, y, glyph) : false;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Finds the snake start
+   * @returns {Object|null} {x, y, glyph} of the start, or null if there is none
+   */
+  findStart() {
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        if (EDITOR_START_ROTATION.includes(this.cells[y][x])) {
+          return { x, y, glyph: this.cells[y][x] };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Picks the digit for the next portal end: finishing a half-placed pair
+   * first, then the lowest unused digit
+   * @returns {string|null} Portal digit, or null if all nine pairs are used
+   */
+  nextPortalDigit() {
+    const counts = {};
+    this.cells.forEach(row => row.forEach(glyph => {
+      if (glyph >= '1' && glyph <= '9') counts[glyph] = (counts[glyph] || 0) + 1;
+    }));
+
+    const digits = '123456789'.split('');
+    return digits.find(digit => counts[digit] === 1) || digits.find(digit => !counts[digit]) || null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // History
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Copies the map for the undo/redo stacks
+   * @returns {Array} Map rows as strings
+   */
+  snapshot() {
+    return this.cells.map(row => row.join(''));
+  }
+
+  /**
+   * Restores a map copied by snapshot()
+   * @param {Array} rows - Map rows as strings
+   */
+  restore(rows) {
+    this.cells = rows.map(row => row.split(''));
+  }
+
+  /**
+   * Starts a group of edits that undo together
+   */
+  beginStroke() {
+    this.strokeSnapshot = this.snapshot();
+  }
+
+  /**
+   * Finishes the current stroke, adding it to the history if anything changed
+   * @returns {boolean} True if the stroke changed the map
+   */
+  endStroke() {
+    const before = this.strokeSnapshot;
+    this.strokeSnapshot = null;
+    if (!before || before.join('\n') === this.snapshot().join('\n')) return false;
+
+    this.undoStack.push(before);
+    if (this.undoStack.length > EDITOR_HISTORY_LIMIT) this.undoStack.shift();
+    this.redoStack = [];
+    return true;
+  }
+
+  /**
+   * Reverts the last stroke
+   * @returns {boolean} True if there was something to undo
+   */
+  undo() {
+    if (this.undoStack.length === 0) return false;
+    this.redoStack.push(this.snapshot());
+    this.restore(this.undoStack.pop());
+    return true;
+  }
+
+  /**
+   * Re-applies the last undone stroke
+   * @returns {boolean} True if there was something to redo
+   */
+  redo() {
+    if (this.redoStack.length === 0) return false;
+    this.undoStack.push(this.snapshot());
+    this.restore(this.redoStack.pop());
+    return true;
+  }
+
+  /**
+   * Checks whether undo() would do anything
+   * @returns {boolean} True if there is history to undo
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Checks whether redo() would do anything
+   * @returns {boolean} True if there is history to redo
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Export
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Builds level data from the editor; run it through parseLevel() to validate
+   * @returns {Object} Level data
+   */
+  toLevel() {
+    return {
+      id: this.id,
+      name: this.name,
+      targetScore: this.targetScore,
+      fruitWeights: { ...this.fruitWeights },
+      map: this.snapshot()
+    };
+  }
+}
+
+// Allow the editor model to be exercised from Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    EDITOR_TOOLS,
+    EDITOR_HISTORY_LIMIT,
+    LevelEditor
+  };
+}
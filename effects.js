@@ -0,0 +1,307 @@
+// effects.js - Particles and screen effects drawn over the playfield
+// Purely visual: nothing here touches the engine or its random numbers, so
+// replays and seeded runs are unaffected. Positions are in grid cells so
+// effects follow the canvas when it is rescaled. main.js decides when effects
+// start; this module animates and draws them.
+
+// =============================================================================
+// EFFECTS CONSTANTS
+// =============================================================================
+
+const MAX_EFFECTS = 400;                 // Pool size; new effects are dropped while it's full
+const MAX_EFFECT_FRAME = 50;             // Longest frame step in ms, so a stall doesn't skip an effect
+const SPARK_DRAG = 2.5;                  // Fraction of spark speed lost per second
+const SPARK_SIZE = 0.12;                 // Spark size (as fraction of cell size)
+const POPUP_RISE = 1.2;                  // Cells a score popup floats up over its life
+const POPUP_FONT_SIZE = 0.45;            // Popup text height (as fraction of cell size)
+const EFFECT_GLOW = 15;                  // Glow blur radius for rings and popups
+
+// How long each kind of effect lasts, in milliseconds
+const EFFECT_LIFETIMES = {
+  spark: 600,
+  ring: 500,
+  flash: 400,
+  dissolve: 500,
+  trail: 350,
+  popup: 900
+};
+
+// =============================================================================
+// EFFECTS SYSTEM
+// =============================================================================
+
+/**
+ * Owns a fixed pool of effect objects. Spawning takes an object from the free
+ * list and expiring puts it back, so a busy screen allocates nothing per frame.
+ * With reduced motion, anything that travels or shakes is skipped; effects
+ * that only fade in place still play.
+ */
+class EffectsSystem {
+  constructor() {
+    this.free = [];
+    this.active = [];
+    for (let i = 0; i < MAX_EFFECTS; i++) {
+      this.free.push({ kind: null, x: 0, y: 0, vx: 0, vy: 0, age: 0, life: 0, size: 0, color: '', text: '' });
+    }
+    this.reducedMotion = false;
+    this.shakeTime = 0;
+    this.shakeDuration = 0;
+    this.shakeStrength = 0;
+    this.shakeOffset = { x: 0, y: 0 };     // Reused for every getShakeOffset() result
+    this.lastTime = null;
+  }
+
+  /**
+   * Switches reduced motion on or off. Turning it on stops any shake; effects
+   * already on screen finish as they started.
+   * @param {boolean} reduced - Whether to avoid moving effects
+   */
+  setReducedMotion(reduced) {
+    this.reducedMotion = reduced;
+    if (reduced) this.shakeTime = 0;
+  }
+
+  /**
+   * Takes an effect from the pool and sets it up
+   * @param {string} kind - Key of EFFECT_LIFETIMES
+   * @param {number} x - Cell x of the effect's center
+   * @param {number} y - Cell y of the effect's center
+   * @param {string} color - CSS color
+   * @returns {Object|null} The effect, or null if the pool is empty
+   */
+  spawn(kind, x, y, color) {
+    const effect = this.free.pop();
+    if (!effect) return null;
+    effect.kind = kind;
+    effect.x = x;
+    effect.y = y;
+    effect.vx = 0;
+    effect.vy = 0;
+    effect.age = 0;
+    effect.life = EFFECT_LIFETIMES[kind];
+    effect.size = 1;
+    effect.color = color;
+    effect.text = '';
+    this.active.push(effect);
+    return effect;
+  }
+
+  /**
+   * Returns every running effect to the pool and stops any shake
+   */
+  clear() {
+    while (this.active.length > 0) {
+      this.free.push(this.active.pop());
+    }
+    this.shakeTime = 0;
+  }
+
+  /**
+   * Checks whether anything is still animating
+   * @returns {boolean} True while effects or a shake are running
+   */
+  isActive() {
+    return this.active.length > 0 || this.shakeTime > 0;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Effects
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Sprays sparks out of a cell
+   * @param {number} x - Cell x
+   * @param {number} y - Cell y
+   * @param {string} color - Spark color
+   * @param {number} count - Number of sparks
+   * @param {number} speed - Fastest spark speed in cells per second
+   */
+  burst(x, y, color, count, speed) {
+    if (this.reducedMotion) return;
+    for (let i = 0; i < count; i++) {
+      const spark = this.spawn('spark', x, y, color);
+      if (!spark) return;
+      const angle = Math.random() * 2 * Math.PI;
+      const sparkSpeed = speed * (0.3 + 0.7 * Math.random());
+      spark.vx = Math.cos(angle) * sparkSpeed;
+      spark.vy = Math.sin(angle) * sparkSpeed;
+      spark.life *= 0.6 + 0.4 * Math.random();
+    }
+  }
+
+  /**
+   * Sends an expanding ring out of a cell
+   * @param {number} x - Cell x
+   * @param {number} y - Cell y
+   * @param {string} color - Ring color
+   * @param {number} radius - Final radius in cells
+   */
+  shockwave(x, y, color, radius) {
+    if (this.reducedMotion) return;
+    const ring = this.spawn('ring', x, y, color);
+    if (ring) ring.size = radius;
+  }
+
+  /**
+   * Lights up a cell and lets it fade
+   * @param {number} x - Cell x
+   * @param {number} y - Cell y
+   * @param {string} color - Flash color
+   */
+  flash(x, y, color) {
+    this.spawn('flash', x, y, color);
+  }
+
+  /**
+   * Fades out a snake segment as it breaks up
+   * @param {number} x - Cell x
+   * @param {number} y - Cell y
+   * @param {string} color - Segment color
+   */
+  dissolve(x, y, color) {
+    this.spawn('dissolve', x, y, color);
+    this.burst(x, y, color, 2, 1.5);
+  }
+
+  /**
+   * Leaves a fading afterimage where a snake's tail just was
+   * @param {number} x - Cell x
+   * @param {number} y - Cell y
+   * @param {string} color - Snake color
+   */
+  trail(x, y, color) {
+    this.spawn('trail', x, y, color);
+  }
+
+  /**
+   * Floats a line of text up from a cell, such as the points a fruit scored
+   * @param {number} x - Cell x
+   * @param {number} y - Cell y
+   * @param {string} color - Text color
+   * @param {string} text - Text to show
+   */
+  popup(x, y, color, text) {
+    const popup = this.spawn('popup', x, y, color);
+    if (popup) popup.text = text;
+  }
+
+  /**
+   * Shakes the whole playfield
+   * @param {number} strength - Largest offset in cells
+   * @param {number} duration - Milliseconds the shake lasts
+   */
+  shake(strength, duration) {
+    if (this.reducedMotion) return;
+    this.shakeStrength = strength;
+    this.shakeDuration = duration;
+    this.shakeTime = duration;
+  }
+
+  /**
+   * Gets the playfield offset for the current shake, easing out as it ends
+   * @param {number} cellSize - Cell size in pixels
+   * @returns {Object} Shared {x, y} offset in pixels; copy it to keep it
+   */
+  getShakeOffset(cellSize) {
+    const strength = this.shakeTime > 0 ? this.shakeStrength * cellSize * this.shakeTime / this.shakeDuration : 0;
+    this.shakeOffset.x = (Math.random() * 2 - 1) * strength;
+    this.shakeOffset.y = (Math.random() * 2 - 1) * strength;
+    return this.shakeOffset;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Animation
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Advances every effect to the current time and retires finished ones
+   * @param {number} now - Current time in milliseconds
+   */
+  update(now) {
+    const dt = this.lastTime === null ? 0 : Math.min(MAX_EFFECT_FRAME, Math.max(0, now - this.lastTime));
+    this.lastTime = now;
+    this.shakeTime = Math.max(0, this.shakeTime - dt);
+
+    const seconds = dt / 1000;
+    const drag = Math.max(0, 1 - SPARK_DRAG * seconds);
+    for (let i = this.active.length - 1; i >= 0; i--) {
+      const effect = this.active[i];
+      effect.age += dt;
+      if (effect.age >= effect.life) {
+        // Swap-remove keeps the active list dense without shifting it
+        this.active[i] = this.active[this.active.length - 1];
+        this.active.pop();
+        this.free.push(effect);
+        continue;
+      }
+      effect.x += effect.vx * seconds;
+      effect.y += effect.vy * seconds;
+      effect.vx *= drag;
+      effect.vy *= drag;
+    }
+  }
+
+  /**
+   * Draws every running effect
+   * @param {CanvasRenderingContext2D} ctx - Canvas to draw on
+   * @param {number} cellSize - Cell size in pixels
+   * @param {number} [glowScale=1] - Theme multiplier for glow blur
+   */
+  draw(ctx, cellSize, glowScale = 1) {
+    if (this.active.length === 0) return;
+    ctx.save();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = 'bold ' + Math.round(cellSize * POPUP_FONT_SIZE) + 'px monospace';
+
+    this.active.forEach(effect => {
+      const progress = effect.age / effect.life;
+      const centerX = (effect.x + 0.5) * cellSize;
+      const centerY = (effect.y + 0.5) * cellSize;
+      ctx.globalAlpha = 1 - progress;
+      ctx.fillStyle = effect.color;
+      ctx.strokeStyle = effect.color;
+      ctx.shadowColor = effect.color;
+      ctx.shadowBlur = 0;
+
+      if (effect.kind === 'spark') {
+        const size = cellSize * SPARK_SIZE;
+        ctx.fillRect(centerX - size / 2, centerY - size / 2, size, size);
+      } else if (effect.kind === 'ring') {
+        ctx.shadowBlur = EFFECT_GLOW * glowScale;
+        ctx.lineWidth = cellSize * 0.15 * (1 - progress);
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, Math.max(0, effect.size * cellSize * progress), 0, 2 * Math.PI);
+        ctx.stroke();
+      } else if (effect.kind === 'flash') {
+        ctx.shadowBlur = EFFECT_GLOW * 2 * glowScale;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, cellSize * 0.6, 0, 2 * Math.PI);
+        ctx.fill();
+      } else if (effect.kind === 'dissolve') {
+        // Reduced motion fades the segment without shrinking it
+        const size = cellSize * (this.reducedMotion ? 1 : 1 - progress);
+        ctx.fillRect(centerX - size / 2, centerY - size / 2, size, size);
+      } else if (effect.kind === 'trail') {
+        const size = cellSize * 0.6;
+        ctx.globalAlpha = 0.5 * (1 - progress);
+        ctx.fillRect(centerX - size / 2, centerY - size / 2, size, size);
+      } else if (effect.kind === 'popup') {
+        const rise = this.reducedMotion ? 0 : POPUP_RISE * cellSize * progress;
+        ctx.shadowBlur = EFFECT_GLOW * glowScale;
+        ctx.fillText(effect.text, centerX, centerY - rise);
+      }
+    });
+
+    ctx.restore();
+  }
+}
+
+// Allow the effects pool to be exercised from Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MAX_EFFECTS,
+    EFFECT_LIFETIMES,
+    EffectsSystem
+  };
+}
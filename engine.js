@@ -0,0 +1,1132 @@
+// engine.js - Headless Neon Snake simulation
+// Pure game rules with no DOM, canvas or requestAnimationFrame dependencies.
+// Loaded as a plain script by index.html and requirable from Node for testing.
+
+// Browsers load fruits.js and powerups.js first as globals; Node resolves them
+// explicitly. powerups.js registers the power-up fruits, so it goes first.
+const EnginePowerUps = typeof POWER_UPS !== 'undefined' ? POWER_UPS : require('./powerups.js').POWER_UPS;
+const engineGetFruitDefinition = typeof getFruitDefinition !== 'undefined' ? getFruitDefinition : require('./fruits.js').getFruitDefinition;
+const engineCreateFruitTypes = typeof createFruitTypes !== 'undefined' ? createFruitTypes : require('./fruits.js').createFruitTypes;
+
+// =============================================================================
+// GAMEPLAY CONSTANTS
+// =============================================================================
+
+// Game timing constants
+const BASE_GAME_SPEED = 135;             // Base milliseconds between game ticks
+const SPEED_INCREASE_RATE = 0.075;         // Speed increase per point scored
+const MIN_GAME_SPEED = 45;               // Minimum game speed (maximum actual speed)
+
+// Game object limits
+const MAX_FRUITS = 5;                    // Maximum fruits on screen simultaneously
+const MAX_BOMBS = 4;                     // Maximum bombs on screen simultaneously
+
+// Probability constants for dynamic bomb spawning
+const BASE_BOMB_SPAWN_CHANCE = 0.3;     // 30% base spawn chance when no bombs exist
+const MIN_BOMB_SPAWN_CHANCE = 0.05;     // 5% minimum spawn chance when at max capacity
+const MAX_BOMB_DESPAWN_CHANCE = 0.25;   // 25% maximum despawn chance when at max capacity
+
+// Combo scoring: each scoring fruit eaten within the combo window of the last
+// one chains on and raises the multiplier on fruit points. Windows and decay
+// count the snake's own moves, so they scale with its speed.
+const COMBO_WINDOW = 15;                 // Moves after a fruit to eat the next one and keep the chain
+const COMBO_DECAY_MOVES = 5;             // Moves per chain link lost once the window runs out
+const COMBO_STEP = 0.25;                 // Multiplier added per chained fruit
+const COMBO_MAX_MULTIPLIER = 3;          // Highest combo multiplier
+const COLOR_STREAK_BONUS = 5;            // Points per earlier fruit in a run of the snake's color
+const CLOSE_CALL_BONUS = 10;             // Points per bomb next to an eaten fruit
+
+const COMBO_RULES = {
+  window: COMBO_WINDOW,
+  decayMoves: COMBO_DECAY_MOVES,
+  step: COMBO_STEP,
+  maxMultiplier: COMBO_MAX_MULTIPLIER,
+  colorStreakBonus: COLOR_STREAK_BONUS,
+  closeCallBonus: CLOSE_CALL_BONUS
+};
+
+// Fruit types with weighted spawning and point values, one per registered
+// type (see fruits.js); what eating each one does is looked up by shape
+const FRUIT_TYPES = engineCreateFruitTypes();
+
+// Available colors for fruits and snake. These are palette names; the
+// renderer's theme decides what each one looks like (see themes.js).
+const FRUIT_COLORS = ['magenta', 'green', 'red', 'orange', 'blue', 'cyan'];
+const DEFAULT_SNAKE_COLOR = 'cyan';      // Snake color before any fruit is eaten
+const PLAYER_COLORS = [DEFAULT_SNAKE_COLOR, 'orange']; // Fixed per-player colors in versus games
+
+// Snakes due to move within this many milliseconds of each other move on the same tick
+const MOVE_TIME_EPSILON = 1e-6;
+
+// Events reported by SnakeEngine.step() so the UI can react without polling
+const ENGINE_EVENTS = {
+  FRUIT_EATEN: 'fruit_eaten',
+  BOMB_SPAWNED: 'bomb_spawned',
+  BOMB_DESPAWNED: 'bomb_despawned',
+  LEVEL_COMPLETE: 'level_complete',
+  POWER_UP_STARTED: 'power_up_started',
+  POWER_UP_USED: 'power_up_used',
+  POWER_UP_ENDED: 'power_up_ended',
+  GAME_OVER: 'game_over'
+};
+
+// Default engine configuration, overridable per engine instance
+const DEFAULT_ENGINE_CONFIG = {
+  baseGameSpeed: BASE_GAME_SPEED,
+  speedIncreaseRate: SPEED_INCREASE_RATE,
+  minGameSpeed: MIN_GAME_SPEED,
+  maxFruits: MAX_FRUITS,
+  maxBombs: MAX_BOMBS,
+  baseBombSpawnChance: BASE_BOMB_SPAWN_CHANCE,
+  minBombSpawnChance: MIN_BOMB_SPAWN_CHANCE,
+  maxBombDespawnChance: MAX_BOMB_DESPAWN_CHANCE,
+  fruitTypes: FRUIT_TYPES,
+  fruitColors: FRUIT_COLORS,
+  wrapEdges: true,                       // False makes the grid edges lethal walls
+  combo: null,                           // COMBO_RULES, or null for plain fruit points as games before combos had
+  levels: null,                          // Laid-out levels (see levels.js) played in order, or null
+  startLevel: 0,                         // Index into levels to begin on
+  playerCount: 1                         // 2 for a versus game on the open grid
+};
+
+// =============================================================================
+// SCORE BREAKDOWN
+// =============================================================================
+
+/**
+ * Starts a snake's tally of where its points came from; the parts always add
+ * up to its score
+ * @returns {Object} {base, combo, color, closeCall, powerUp} points, all 0
+ */
+function createScoreBreakdown() {
+  return { base: 0, combo: 0, color: 0, closeCall: 0, powerUp: 0 };
+}
+
+/**
+ * Works out the multiplier a combo chain gives fruit points
+ * @param {Object} rules - Combo rules, like COMBO_RULES
+ * @param {number} chain - Fruits chained so far
+ * @returns {number} Multiplier, 1 for no chain
+ */
+function calculateComboMultiplier(rules, chain) {
+  return Math.min(rules.maxMultiplier, 1 + rules.step * chain);
+}
+
+// =============================================================================
+// SEEDED RANDOM NUMBER GENERATOR
+// =============================================================================
+
+/**
+ * Small deterministic PRNG (mulberry32) so a seed always yields the same run.
+ * All spawning and bomb decisions draw from one instance per game.
+ */
+class SeededRandom {
+  /**
+   * @param {number} seed - Unsigned 32-bit seed
+   */
+  constructor(seed) {
+    this.state = seed >>> 0;
+  }
+
+  /**
+   * Returns the next float in [0, 1), like Math.random()
+   * @returns {number} Pseudo-random float
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Returns the next integer in [0, max)
+   * @param {number} max - Exclusive upper bound
+   * @returns {number} Pseudo-random integer
+   */
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+}
+
+/**
+ * Creates a fresh random seed for games started without one
+ * @returns {number} Unsigned 32-bit seed
+ */
+function generateRandomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Hashes a string to an unsigned 32-bit integer (FNV-1a)
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashString(text) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Converts user-supplied seed text into a numeric seed.
+ * Plain unsigned integers are used as-is; any other text is hashed (FNV-1a).
+ * @param {string|number} value - Seed from a URL param or input field
+ * @returns {number|null} Unsigned 32-bit seed, or null if value is empty
+ */
+function parseSeed(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  if (text === '') return null;
+
+  if (/^\d+$/.test(text) && Number(text) <= 0xFFFFFFFF) {
+    return Number(text);
+  }
+
+  return hashString(text);
+}
+
+// =============================================================================
+// DIRECTION HELPERS
+// =============================================================================
+
+/**
+ * Checks whether two direction vectors point in exactly opposite directions
+ * @param {Object} a - Direction vector {x, y}
+ * @param {Object} b - Direction vector {x, y}
+ * @returns {boolean} True if moving from a to b would reverse the snake
+ */
+function isOppositeDirection(a, b) {
+  return a.x === -b.x && a.y === -b.y;
+}
+
+// =============================================================================
+// SNAKE ENGINE
+// =============================================================================
+
+/**
+ * Headless snake simulation advanced one tick at a time.
+ * Owns the snakes, fruits, bombs and scores; rendering and input live elsewhere.
+ *
+ * Each snake moves on its own schedule, since its speed depends on its own
+ * score. A tick is one point in time at which at least one snake moves; in a
+ * solo game that is every move, exactly as before versus games existed.
+ */
+class SnakeEngine {
+  /**
+   * Creates a new engine and immediately sets up a fresh game
+   * @param {Object} options - Engine options
+   * @param {number} options.cols - Grid width in cells
+   * @param {number} options.rows - Grid height in cells
+   * @param {number} [options.seed] - RNG seed; a random one is chosen if omitted
+   * @param {Object} [options.config] - Overrides for DEFAULT_ENGINE_CONFIG
+   */
+  constructor({ cols, rows, seed, config = {} }) {
+    if (!(cols > 0) || !(rows > 0)) {
+      throw new Error('SnakeEngine requires a positive grid size, got ' + cols + 'x' + rows);
+    }
+
+    this.cols = cols;
+    this.rows = rows;
+    this.config = { ...DEFAULT_ENGINE_CONFIG, ...config };
+    if (this.config.levels && this.config.playerCount > 1) {
+      throw new Error('SnakeEngine levels support a single player');
+    }
+    this.seed = (seed === undefined || seed === null) ? generateRandomSeed() : seed >>> 0;
+
+    // Reusable position object to reduce garbage collection
+    this.tempPos = { x: 0, y: 0 };
+
+    this.reset();
+  }
+
+  /**
+   * Resets all game state and spawns the initial fruits
+   */
+  reset() {
+    this.rng = new SeededRandom(this.seed);
+    this.tick = 0;
+    this.elapsedTime = 0;                // Simulated play time in milliseconds
+    this.fruitsEaten = {};               // Count of fruits eaten, keyed by shape
+    this.gameOver = false;
+    this.deathCause = null;              // What ended the game, including 'complete' for a finished campaign
+    this.winner = null;                  // Index of the surviving player in a versus game, or null for a draw
+
+    this.players = [];
+    for (let i = 0; i < this.config.playerCount; i++) {
+      this.players.push({
+        snake: [],
+        direction: null,
+        requestedDirection: null,        // Latest input, applied when this snake next moves
+        score: 0,
+        snakeColor: PLAYER_COLORS[i] || DEFAULT_SNAKE_COLOR,
+        speedResetScore: 0,              // Score at which speed calculation is based (for speed resets)
+        lastMoveTime: 0,                 // elapsedTime of this snake's last move
+        nextMoveTime: 0,                 // elapsedTime this snake moves again
+        alive: true,
+        deathCause: null,
+        powerUps: [],                    // Active {type, stacks, expiresAt, duration}, see powerups.js
+        combo: 0,                        // Fruits chained so far; see COMBO_RULES
+        comboTimer: 0,                   // Moves until the chain starts to decay
+        colorStreak: 0,                  // Fruits in a row matching the snake's color
+        scoreBreakdown: createScoreBreakdown()
+      });
+    }
+
+    this.enterLevel(this.config.levels ? this.config.startLevel : -1);
+  }
+
+  /**
+   * Sets up the board for a level, keeping score and run stats.
+   * Speed, bomb limits and power-ups start over so each level begins fairly.
+   * @param {number} levelIndex - Index into config.levels, or -1 for the open grid
+   */
+  enterLevel(levelIndex) {
+    this.setLevelGeometry(levelIndex);
+    const level = this.level;
+    this.levelStartScore = this.score;
+
+    const starts = level ? [{ position: level.start, direction: level.startDirection }] : this.getOpenGridStarts();
+    this.players.forEach((player, index) => {
+      player.snake = [{ x: starts[index].position.x, y: starts[index].position.y }];
+      player.direction = { ...starts[index].direction };
+      player.requestedDirection = { ...starts[index].direction };
+      player.speedResetScore = player.score;
+      player.powerUps = [];
+      player.lastMoveTime = this.elapsedTime;
+      player.nextMoveTime = this.elapsedTime + this.getPlayerSpeed(player);
+    });
+    this.fruits = [];
+    this.bombs = [];
+    this.maxBombs = this.config.maxBombs; // Dynamic maximum bombs (increases with special fruits)
+
+    // Fruits placed by the level designer go down first, then random ones fill up to maxFruits
+    const fixedFruits = level && level.fruits ? level.fruits : [];
+    fixedFruits.forEach(fixed => {
+      const fruitType = this.fruitTypes.find(type => type.shape === fixed.shape);
+      if (fruitType) this.placeFruit(fixed, fruitType);
+    });
+
+    for (let i = 0; i < this.config.maxFruits; i++) {
+      this.spawnFruit();
+    }
+  }
+
+  /**
+   * Switches the arena, walls, portals and fruit table to a level's
+   * @param {number} levelIndex - Index into config.levels, or -1 for the open grid
+   */
+  setLevelGeometry(levelIndex) {
+    const level = levelIndex >= 0 ? this.config.levels[levelIndex] : null;
+    this.levelIndex = levelIndex;
+    this.level = level;
+
+    // Static level geometry, with walls and portals keyed by cell for quick lookups
+    this.arena = level ? level.arena : { x: 0, y: 0, width: this.cols, height: this.rows };
+    this.walls = level ? level.walls : [];
+    this.wallSet = new Set(this.walls.map(wall => this.cellKey(wall.x, wall.y)));
+    this.portals = level ? level.portals : [];
+    this.portalExits = new Map();
+    this.portals.forEach(([a, b]) => {
+      this.portalExits.set(this.cellKey(a.x, a.y), b);
+      this.portalExits.set(this.cellKey(b.x, b.y), a);
+    });
+    this.fruitTypes = level ? level.fruitTypes : this.config.fruitTypes;
+  }
+
+  /**
+   * Start positions on the open grid: the center for one snake, or two
+   * parallel lanes heading in opposite directions for a versus game
+   * @returns {Array} {position, direction} per player
+   */
+  getOpenGridStarts() {
+    if (this.players.length === 1) {
+      return [{ position: { x: Math.floor(this.cols / 2), y: Math.floor(this.rows / 2) }, direction: { x: 1, y: 0 } }];
+    }
+
+    const laneOffset = Math.floor(this.rows / 3);
+    return [
+      { position: { x: Math.floor(this.cols / 4), y: laneOffset }, direction: { x: 1, y: 0 } },
+      { position: { x: this.cols - 1 - Math.floor(this.cols / 4), y: this.rows - 1 - laneOffset }, direction: { x: -1, y: 0 } }
+    ];
+  }
+
+  /**
+   * Player one's snake; solo games and replays of them only have this one
+   * @returns {Array} Snake segments, head first
+   */
+  get snake() {
+    return this.players[0].snake;
+  }
+
+  /**
+   * Player one's current direction
+   * @returns {Object} Direction vector {x, y}
+   */
+  get direction() {
+    return this.players[0].direction;
+  }
+
+  /**
+   * Player one's score
+   * @returns {number} Score
+   */
+  get score() {
+    return this.players[0].score;
+  }
+
+  /**
+   * Converts a cell position to a numeric key for Set/Map lookups
+   * @param {number} x - Cell column
+   * @param {number} y - Cell row
+   * @returns {number} Unique key for the cell
+   */
+  cellKey(x, y) {
+    return y * this.cols + x;
+  }
+
+  /**
+   * Returns a read-only view of the current game state.
+   * Arrays are shared with the engine for speed, so callers must not mutate them.
+   * @returns {Object} Current state snapshot
+   */
+  getState() {
+    return {
+      cols: this.cols,
+      rows: this.rows,
+      seed: this.seed,
+      tick: this.tick,
+      elapsedTime: this.elapsedTime,
+      fruitsEaten: this.fruitsEaten,
+      players: this.players,
+      snake: this.snake,
+      direction: this.direction,
+      fruits: this.fruits,
+      bombs: this.bombs,
+      score: this.score,
+      speedResetScore: this.players[0].speedResetScore,
+      maxBombs: this.maxBombs,
+      snakeColor: this.players[0].snakeColor,
+      wrapEdges: this.config.wrapEdges,
+      comboRules: this.config.combo,
+      arena: this.arena,
+      walls: this.walls,
+      portals: this.portals,
+      levelIndex: this.levelIndex,
+      level: this.level,
+      levelScore: this.score - this.levelStartScore,
+      gameOver: this.gameOver,
+      deathCause: this.deathCause,
+      winner: this.winner
+    };
+  }
+
+  /**
+   * Captures everything that changes during play, so a game in progress can be
+   * saved. An engine built with the same cols, rows, seed and config and given
+   * this snapshot through loadState() continues exactly where this one is.
+   * @returns {Object} JSON-compatible snapshot
+   */
+  saveState() {
+    const copyCell = cell => ({ ...cell });
+    return {
+      rngState: this.rng.state,
+      tick: this.tick,
+      elapsedTime: this.elapsedTime,
+      fruitsEaten: { ...this.fruitsEaten },
+      levelIndex: this.levelIndex,
+      levelStartScore: this.levelStartScore,
+      players: this.players.map(player => ({
+        ...player,
+        snake: player.snake.map(copyCell),
+        direction: { ...player.direction },
+        requestedDirection: { ...player.requestedDirection },
+        powerUps: player.powerUps.map(effect => ({ ...effect })),
+        scoreBreakdown: { ...player.scoreBreakdown }
+      })),
+      fruits: this.fruits.map(copyCell),
+      bombs: this.bombs.map(copyCell),
+      maxBombs: this.maxBombs
+    };
+  }
+
+  /**
+   * Restores a snapshot from saveState(). The snapshot must come from an engine
+   * with the same options and be well formed (see parseSavedGame() in savegame.js).
+   * @param {Object} snapshot - Snapshot to restore
+   */
+  loadState(snapshot) {
+    this.setLevelGeometry(snapshot.levelIndex);
+    this.rng.state = snapshot.rngState >>> 0;
+    this.tick = snapshot.tick;
+    this.elapsedTime = snapshot.elapsedTime;
+    this.fruitsEaten = { ...snapshot.fruitsEaten };
+    this.levelStartScore = snapshot.levelStartScore;
+    this.players = snapshot.players.map(player => ({
+      ...player,
+      snake: player.snake.map(segment => ({ x: segment.x, y: segment.y })),
+      direction: { ...player.direction },
+      requestedDirection: { ...player.requestedDirection },
+      powerUps: player.powerUps.map(effect => ({ ...effect })),
+      scoreBreakdown: { ...player.scoreBreakdown }
+    }));
+    this.fruits = snapshot.fruits.map(fruit => ({ ...fruit }));
+    this.bombs = snapshot.bombs.map(bomb => ({ x: bomb.x, y: bomb.y }));
+    this.maxBombs = snapshot.maxBombs;
+    this.gameOver = false;
+    this.deathCause = null;
+    this.winner = null;
+  }
+
+  /**
+   * Calculates a snake's move interval based on its score since its last speed
+   * reset, slowed by any power-up with a speedScale
+   * @param {Object} player - Entry from this.players
+   * @returns {number} Milliseconds between the snake's moves
+   */
+  getPlayerSpeed(player) {
+    const effectiveScore = player.score - player.speedResetScore;
+    const speedReduction = effectiveScore * this.config.speedIncreaseRate;
+    const speed = Math.max(this.config.minGameSpeed, this.config.baseGameSpeed - speedReduction);
+    return player.powerUps.reduce((scaled, effect) => scaled * (EnginePowerUps[effect.type].speedScale || 1), speed);
+  }
+
+  /**
+   * Calculates how long until the next tick; in a solo game this is the snake's speed
+   * @returns {number} Milliseconds until the next tick
+   */
+  getSpeed() {
+    return this.getNextMoveTime() - this.elapsedTime;
+  }
+
+  /**
+   * Finds when the next snake is due to move
+   * @returns {number} elapsedTime of the next tick
+   */
+  getNextMoveTime() {
+    return Math.min(...this.players.filter(player => player.alive).map(player => player.nextMoveTime));
+  }
+
+  /**
+   * Checks whether a snake moves on the next tick
+   * @param {Object} player - Entry from this.players
+   * @returns {boolean} True if the snake is alive and due
+   */
+  isPlayerDue(player) {
+    return player.alive && player.nextMoveTime <= this.getNextMoveTime() + MOVE_TIME_EPSILON;
+  }
+
+  /**
+   * Advances the simulation by one tick
+   * @param {Object|Array|null} [input] - Requested direction {x, y} for player one, or an
+   *   array with one (possibly null) direction per player; reversals are ignored
+   * @returns {Object} Tick result with an events array and gameOver flag
+   */
+  step(input) {
+    const events = [];
+
+    if (this.gameOver) {
+      return { events, gameOver: true };
+    }
+
+    // Remember each player's latest request until their snake next moves
+    const inputs = Array.isArray(input) ? input : [input];
+    inputs.forEach((direction, index) => {
+      if (direction && this.players[index]) {
+        this.players[index].requestedDirection = { x: direction.x, y: direction.y };
+      }
+    });
+
+    // Only the snakes due now move this tick
+    const moveTime = this.getNextMoveTime();
+    const moves = this.players
+      .filter(player => this.isPlayerDue(player))
+      .map(player => {
+        // Apply the requested turn unless it would reverse the snake into itself
+        if (!isOppositeDirection(player.direction, player.requestedDirection)) {
+          player.direction = { ...player.requestedDirection };
+        }
+        return { player, head: this.calculateNextHead(player) };
+      });
+
+    // Check for collisions that end the game; snakes moving together can die
+    // together. A power-up may absorb the hit instead.
+    const deaths = [];
+    moves.forEach(move => {
+      const cause = this.checkGameEndingCollisions(move.player, move.head, moves);
+      if (cause && !this.absorbCollision(move.player, cause, move.head, events)) {
+        deaths.push({ player: move.player, cause });
+      }
+    });
+    if (deaths.length > 0) {
+      deaths.forEach(death => {
+        death.player.alive = false;
+        death.player.deathCause = death.cause;
+      });
+      const survivors = this.players.filter(player => player.alive);
+      this.gameOver = true;
+      this.deathCause = deaths[0].cause;
+      this.winner = this.players.length > 1 && survivors.length === 1 ? this.players.indexOf(survivors[0]) : null;
+      events.push({ type: ENGINE_EVENTS.GAME_OVER, cause: this.deathCause, winner: this.winner });
+      return { events, gameOver: true };
+    }
+
+    // Move every due snake; each tick lasts until the next snake is due. All
+    // heads move before anyone eats, so a fruit or bomb spawned for one snake
+    // can't land on the cell another snake is entering.
+    this.elapsedTime = moveTime;
+    this.tick++;
+    moves.forEach(({ player, head }) => player.snake.unshift(head));
+    moves.forEach(({ player, head }) => {
+      this.advanceCombo(player);
+
+      // Check for fruit collision
+      const eatenFruitIndex = this.fruits.findIndex(fruit =>
+        fruit.x === head.x && fruit.y === head.y
+      );
+
+      if (eatenFruitIndex !== -1) {
+        this.handleFruitEaten(player, eatenFruitIndex, events);
+      } else {
+        // No fruit eaten, remove tail to maintain snake length
+        player.snake.pop();
+      }
+
+      player.lastMoveTime = moveTime;
+      player.nextMoveTime = moveTime + this.getPlayerSpeed(player);
+      this.runPowerUpHook(player, 'onMove');
+    });
+
+    this.expirePowerUps(events);
+    this.checkLevelComplete(events);
+
+    return { events, gameOver: this.gameOver };
+  }
+
+  /**
+   * Works out where a snake's head goes next, following portals
+   * @param {Object} player - Entry from this.players
+   * @returns {Object} New head position {x, y}
+   */
+  calculateNextHead(player) {
+    let nextHead = this.calculateNextPosition(player.snake[0], player.direction);
+
+    // Entering a portal puts the head straight onto its partner
+    if (this.portalExits.size > 0 && this.isInsideArena(nextHead)) {
+      const exit = this.portalExits.get(this.cellKey(nextHead.x, nextHead.y));
+      if (exit) nextHead = exit;
+    }
+
+    return { x: nextHead.x, y: nextHead.y };
+  }
+
+  /**
+   * Advances to the next level once the current level's target is reached,
+   * ending the game as 'complete' after the last one
+   * @param {Array} events - Event list for the current tick
+   */
+  checkLevelComplete(events) {
+    if (!this.level || this.score - this.levelStartScore < this.level.targetScore) return;
+
+    const completedIndex = this.levelIndex;
+    const nextIndex = completedIndex + 1;
+    const hasNextLevel = nextIndex < this.config.levels.length;
+    events.push({ type: ENGINE_EVENTS.LEVEL_COMPLETE, levelIndex: completedIndex, nextLevelIndex: hasNextLevel ? nextIndex : null });
+
+    if (hasNextLevel) {
+      this.enterLevel(nextIndex);
+    } else {
+      this.gameOver = true;
+      this.deathCause = 'complete';
+      events.push({ type: ENGINE_EVENTS.GAME_OVER, cause: 'complete' });
+    }
+  }
+
+  /**
+   * Calculates the next position for a given position and direction
+   * @param {Object} currentPos - Current position {x, y}
+   * @param {Object} dir - Direction vector {x, y}
+   * @returns {Object} Next position (shared temp object); wraps around the arena
+   *   unless walls are on, in which case it may lie outside the arena
+   */
+  calculateNextPosition(currentPos, dir) {
+    const { x, y, width, height } = this.arena;
+    if (this.config.wrapEdges) {
+      this.tempPos.x = x + (currentPos.x - x + dir.x + width) % width;
+      this.tempPos.y = y + (currentPos.y - y + dir.y + height) % height;
+    } else {
+      this.tempPos.x = currentPos.x + dir.x;
+      this.tempPos.y = currentPos.y + dir.y;
+    }
+    return this.tempPos;
+  }
+
+  /**
+   * Checks whether a position lies in the playable arena (the whole grid unless
+   * a level is centered inside it)
+   * @param {Object} pos - Position {x, y}
+   * @returns {boolean} True if the position is inside the arena
+   */
+  isInsideArena(pos) {
+    const { x, y, width, height } = this.arena;
+    return pos.x >= x && pos.x < x + width && pos.y >= y && pos.y < y + height;
+  }
+
+  /**
+   * Checks for collisions that would end the game for one snake
+   * @param {Object} player - Entry from this.players
+   * @param {Object} nextHeadPos - Next position of the snake's head
+   * @param {Array} moves - Every {player, head} moving this tick
+   * @returns {string|null} Collision cause ('wall', 'bomb', 'self', 'head-on' or 'rival'),
+   *   or null if safe
+   */
+  checkGameEndingCollisions(player, nextHeadPos, moves) {
+    // Check wall collision: arena edges (only when they don't wrap) and level walls
+    if (!this.isInsideArena(nextHeadPos)) return 'wall';
+    if (this.wallSet.has(this.cellKey(nextHeadPos.x, nextHeadPos.y))) return 'wall';
+
+    // Check bomb collision
+    const bombCollision = this.bombs.some(bomb =>
+      bomb.x === nextHeadPos.x && bomb.y === nextHeadPos.y
+    );
+    if (bombCollision && !this.isImmune(player, 'bomb')) return 'bomb';
+
+    // Check self-collision (snake hitting itself)
+    const selfCollision = player.snake.some(segment =>
+      segment.x === nextHeadPos.x && segment.y === nextHeadPos.y
+    );
+    if (selfCollision && !this.isImmune(player, 'self')) return 'self';
+
+    for (const other of this.players) {
+      if (other === player) continue;
+      const otherMove = moves.find(move => move.player === other);
+      const otherHead = other.snake[0];
+
+      // Head-to-head: both heads enter the same cell, or pass through each other
+      if (otherMove) {
+        const sameCell = otherMove.head.x === nextHeadPos.x && otherMove.head.y === nextHeadPos.y;
+        const swapped = otherHead.x === nextHeadPos.x && otherHead.y === nextHeadPos.y &&
+          otherMove.head.x === player.snake[0].x && otherMove.head.y === player.snake[0].y;
+        if (sameCell || swapped) return 'head-on';
+      }
+
+      // Head-to-body: running into any part of the other snake
+      const rivalCollision = other.snake.some(segment =>
+        segment.x === nextHeadPos.x && segment.y === nextHeadPos.y
+      );
+      if (rivalCollision) return 'rival';
+    }
+
+    return null;
+  }
+
+  /**
+   * Handles logic when a fruit is eaten
+   * @param {Object} player - Entry from this.players that ate the fruit
+   * @param {number} fruitIndex - Index of eaten fruit in fruits array
+   * @param {Array} events - Event list for the current tick
+   */
+  handleFruitEaten(player, fruitIndex, events) {
+    const eatenFruit = this.fruits.splice(fruitIndex, 1)[0];
+
+    // Update score, snake color and run stats; versus snakes keep their player color
+    const bonuses = this.scoreFruit(player, eatenFruit);
+    const points = eatenFruit.points + bonuses.combo + bonuses.color + bonuses.closeCall + bonuses.powerUp;
+    player.score += points;
+    player.scoreBreakdown.base += eatenFruit.points;
+    Object.keys(bonuses).forEach(kind => { player.scoreBreakdown[kind] += bonuses[kind]; });
+    if (this.players.length === 1) {
+      player.snakeColor = eatenFruit.color;
+    }
+    this.fruitsEaten[eatenFruit.shape] = (this.fruitsEaten[eatenFruit.shape] || 0) + 1;
+
+    // Special fruits act through their onEat handler. Otherwise the snake grows
+    // by NOT removing the tail: the new head was already added in step().
+    const definition = engineGetFruitDefinition(eatenFruit.shape);
+    if (definition && definition.onEat) {
+      definition.onEat(this, player, eatenFruit, events);
+    }
+
+    events.push({ type: ENGINE_EVENTS.FRUIT_EATEN, fruit: eatenFruit, points, bonuses, player: this.players.indexOf(player) });
+
+    // Spawn new fruit to replace eaten one
+    this.spawnFruit();
+
+    // Use dynamic bomb spawn/despawn rates based on current bomb density
+    const bombRates = this.calculateBombRates();
+
+    if (this.rng.next() < bombRates.spawnRate) {
+      const bomb = this.spawnBomb();
+      if (bomb) events.push({ type: ENGINE_EVENTS.BOMB_SPAWNED, bomb });
+    }
+
+    if (this.rng.next() < bombRates.despawnRate && this.bombs.length > 0) {
+      const randomBombIndex = this.rng.nextInt(this.bombs.length);
+      const bomb = this.bombs.splice(randomBombIndex, 1)[0];
+      events.push({ type: ENGINE_EVENTS.BOMB_DESPAWNED, bomb });
+    }
+  }
+
+  /**
+   * Selects a fruit type based on weighted probability. Weights are scaled by
+   * their total, so lists that don't add up to 1 (such as a filtered one) keep
+   * their proportions.
+   * @returns {Object} Selected fruit type with shape, weight, and points
+   */
+  selectWeightedFruitType() {
+    const fruitTypes = this.fruitTypes;
+    const totalWeight = fruitTypes.reduce((sum, fruitType) => sum + fruitType.weight, 0);
+    const random = this.rng.next() * totalWeight;
+    let cumulativeWeight = 0;
+
+    for (const fruitType of fruitTypes) {
+      cumulativeWeight += fruitType.weight;
+      if (random < cumulativeWeight) {
+        return fruitType;
+      }
+    }
+
+    // Fallback to last fruit type (should never reach here)
+    return fruitTypes[fruitTypes.length - 1];
+  }
+
+  /**
+   * Generates a random position that doesn't collide with existing game objects
+   * @returns {Object} Position object with x, y coordinates, or null if no space available
+   */
+  generateSafePosition() {
+    const maxAttempts = 100; // Prevent infinite loop
+    const pos = this.tempPos;
+    let attempts = 0;
+
+    do {
+      pos.x = this.arena.x + this.rng.nextInt(this.arena.width);
+      pos.y = this.arena.y + this.rng.nextInt(this.arena.height);
+      attempts++;
+
+      // Check if position is blocked by level geometry or occupied by any game object
+      if (this.isFreeCell(pos)) {
+        return { x: pos.x, y: pos.y }; // Return new object to avoid reference issues
+      }
+    } while (attempts < maxAttempts);
+
+    return null; // No safe position found
+  }
+
+  /**
+   * Spawns a new fruit at a random safe location
+   * @returns {Object|null} The spawned fruit, or null if none was placed
+   */
+  spawnFruit() {
+    // Don't spawn if at maximum capacity
+    if (this.fruits.length >= this.config.maxFruits) return null;
+
+    const position = this.generateSafePosition();
+    if (!position) return null; // No safe space available
+
+    return this.placeFruit(position, this.selectWeightedFruitType());
+  }
+
+  /**
+   * Adds a fruit of the given type at a position, picking its color
+   * @param {Object} position - Cell position {x, y}
+   * @param {Object} fruitType - Entry from the fruit type list
+   * @returns {Object} The placed fruit
+   */
+  placeFruit(position, fruitType) {
+    // Special fruits have their own color, others get random colors
+    const definition = engineGetFruitDefinition(fruitType.shape);
+    let color;
+    if (definition && definition.color) {
+      color = definition.color;
+    } else {
+      const colors = this.config.fruitColors;
+      color = colors[this.rng.nextInt(colors.length)];
+    }
+
+    const fruit = {
+      x: position.x,
+      y: position.y,
+      shape: fruitType.shape,
+      points: fruitType.points,
+      color: color
+    };
+    this.fruits.push(fruit);
+    return fruit;
+  }
+
+  /**
+   * Calculates dynamic bomb spawn and despawn rates based on current bomb density
+   * @returns {Object} Object with spawnRate and despawnRate properties
+   */
+  calculateBombRates() {
+    const { baseBombSpawnChance, minBombSpawnChance, maxBombDespawnChance } = this.config;
+
+    // Calculate bomb density ratio (0 = no bombs, 1 = at max capacity)
+    const bombDensity = this.maxBombs > 0 ? this.bombs.length / this.maxBombs : 0;
+
+    // Spawn rate: High when no bombs, decreases to minimum as bombs increase
+    const spawnRate = baseBombSpawnChance - (bombDensity * (baseBombSpawnChance - minBombSpawnChance));
+
+    // Despawn rate: 0% when no bombs, increases to maximum as bombs increase
+    const despawnRate = bombDensity * maxBombDespawnChance;
+
+    return {
+      spawnRate: Math.max(0, Math.min(1, spawnRate)),
+      despawnRate: Math.max(0, Math.min(1, despawnRate))
+    };
+  }
+
+  /**
+   * Spawns a new bomb at a random safe location
+   * @returns {Object|null} The spawned bomb, or null if none was placed
+   */
+  spawnBomb() {
+    // Don't spawn if at maximum capacity
+    if (this.bombs.length >= this.maxBombs) return null;
+
+    const position = this.generateSafePosition();
+    if (!position) return null; // No safe space available
+
+    const bomb = { x: position.x, y: position.y };
+    this.bombs.push(bomb);
+    return bomb;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Power-ups (definitions and stacking rules in powerups.js)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Starts a power-up for a snake, or combines it with the running one
+   * according to its stacking rule
+   * @param {Object} player - Entry from this.players
+   * @param {string} type - Key of POWER_UPS
+   * @param {Array} events - Event list for the current tick
+   */
+  activatePowerUp(player, type, events) {
+    const definition = EnginePowerUps[type];
+    let effect = player.powerUps.find(active => active.type === type);
+    if (!effect) {
+      effect = { type, stacks: 1, expiresAt: this.elapsedTime + definition.duration, duration: definition.duration };
+      player.powerUps.push(effect);
+    } else if (definition.stacking === 'extend') {
+      effect.expiresAt = Math.min(effect.expiresAt + definition.duration, this.elapsedTime + definition.duration * definition.maxStacks);
+    } else {
+      if (definition.stacking === 'stack') effect.stacks = Math.min(definition.maxStacks, effect.stacks + 1);
+      effect.expiresAt = this.elapsedTime + definition.duration;
+    }
+    effect.duration = effect.expiresAt - this.elapsedTime; // Full length of the countdown from now
+
+    events.push({ type: ENGINE_EVENTS.POWER_UP_STARTED, powerUp: type, stacks: effect.stacks, player: this.players.indexOf(player) });
+  }
+
+  /**
+   * Ends power-ups whose time is up, running their expiry hooks
+   * @param {Array} events - Event list for the current tick
+   */
+  expirePowerUps(events) {
+    this.players.forEach(player => {
+      player.powerUps
+        .filter(effect => effect.expiresAt <= this.elapsedTime)
+        .forEach(effect => this.endPowerUp(player, effect, events));
+    });
+  }
+
+  /**
+   * Removes a power-up from a snake and runs its expiry hook
+   * @param {Object} player - Entry from this.players
+   * @param {Object} effect - Entry from player.powerUps
+   * @param {Array} events - Event list for the current tick
+   */
+  endPowerUp(player, effect, events) {
+    player.powerUps.splice(player.powerUps.indexOf(effect), 1);
+    const onExpire = EnginePowerUps[effect.type].onExpire;
+    if (onExpire) onExpire(this, player, effect);
+    events.push({ type: ENGINE_EVENTS.POWER_UP_ENDED, powerUp: effect.type, player: this.players.indexOf(player) });
+  }
+
+  /**
+   * Runs a hook of every power-up a snake has
+   * @param {Object} player - Entry from this.players
+   * @param {string} hook - Hook name, such as 'onMove'
+   */
+  runPowerUpHook(player, hook) {
+    player.powerUps.forEach(effect => {
+      const run = EnginePowerUps[effect.type][hook];
+      if (run) run(this, player, effect);
+    });
+  }
+
+  /**
+   * Checks whether a snake's power-ups let it pass through a collision
+   * @param {Object} player - Entry from this.players
+   * @param {string} cause - Collision cause such as 'bomb' or 'self'
+   * @returns {boolean} True if the collision is harmless right now
+   */
+  isImmune(player, cause) {
+    return player.powerUps.some(effect => (EnginePowerUps[effect.type].ignores || []).includes(cause));
+  }
+
+  /**
+   * Lets a power-up take a deadly hit in the snake's place, using up one of
+   * its levels. An absorbed bomb is destroyed.
+   * @param {Object} player - Entry from this.players
+   * @param {string} cause - Collision cause from checkGameEndingCollisions()
+   * @param {Object} head - Cell the snake is moving into
+   * @param {Array} events - Event list for the current tick
+   * @returns {boolean} True if the snake survives
+   */
+  absorbCollision(player, cause, head, events) {
+    const effect = player.powerUps.find(active => (EnginePowerUps[active.type].absorbs || []).includes(cause));
+    if (!effect) return false;
+
+    const bombIndex = this.bombs.findIndex(bomb => bomb.x === head.x && bomb.y === head.y);
+    const bomb = cause === 'bomb' && bombIndex !== -1 ? this.bombs.splice(bombIndex, 1)[0] : null;
+    events.push({ type: ENGINE_EVENTS.POWER_UP_USED, powerUp: effect.type, cause, bomb, player: this.players.indexOf(player) });
+
+    effect.stacks--;
+    if (effect.stacks === 0) this.endPowerUp(player, effect, events);
+    return true;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Combo scoring (rules in COMBO_RULES)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Works out the bonuses a fruit earns on top of its points and moves the
+   * snake's combo and color streak on. Fruits worth nothing earn no bonuses
+   * and leave the chain alone.
+   * @param {Object} player - Entry from this.players that ate the fruit
+   * @param {Object} fruit - The eaten fruit, before the snake takes its color
+   * @returns {Object} Bonus points {combo, color, closeCall, powerUp}
+   */
+  scoreFruit(player, fruit) {
+    const bonuses = { combo: 0, color: 0, closeCall: 0, powerUp: 0 };
+    if (fruit.points <= 0) return bonuses;
+
+    bonuses.powerUp = fruit.points * (this.getScoreMultiplier(player) - 1);
+    const rules = this.config.combo;
+    if (!rules) return bonuses;
+
+    bonuses.combo = Math.round(fruit.points * (this.getComboMultiplier(player) - 1));
+    player.combo++;
+    player.comboTimer = rules.window;
+
+    player.colorStreak = fruit.color === player.snakeColor ? player.colorStreak + 1 : 0;
+    bonuses.color = rules.colorStreakBonus * player.colorStreak;
+
+    const nearbyBombs = this.bombs.filter(bomb => Math.max(Math.abs(bomb.x - fruit.x), Math.abs(bomb.y - fruit.y)) === 1);
+    bonuses.closeCall = rules.closeCallBonus * nearbyBombs.length;
+    return bonuses;
+  }
+
+  /**
+   * Works out the combo multiplier the snake's next fruit scores with
+   * @param {Object} player - Entry from this.players
+   * @returns {number} Multiplier on fruit points, 1 without a chain
+   */
+  getComboMultiplier(player) {
+    return this.config.combo ? calculateComboMultiplier(this.config.combo, player.combo) : 1;
+  }
+
+  /**
+   * Counts down a snake's combo window by one move. Once it runs out the chain
+   * loses one link every decayMoves moves until it is gone.
+   * @param {Object} player - Entry from this.players
+   */
+  advanceCombo(player) {
+    if (!this.config.combo || player.comboTimer === 0) return;
+
+    player.comboTimer--;
+    if (player.comboTimer === 0) {
+      player.combo--;
+      player.comboTimer = player.combo > 0 ? this.config.combo.decayMoves : 0;
+    }
+  }
+
+  /**
+   * Drops a snake's combo chain entirely
+   * @param {Object} player - Entry from this.players
+   */
+  resetCombo(player) {
+    player.combo = 0;
+    player.comboTimer = 0;
+  }
+
+  /**
+   * Works out how many times a fruit's points a snake scores right now
+   * @param {Object} player - Entry from this.players
+   * @returns {number} Score multiplier, 1 without a scoring power-up
+   */
+  getScoreMultiplier(player) {
+    return player.powerUps.reduce((multiplier, effect) =>
+      multiplier + (EnginePowerUps[effect.type].scoreBonus || 0) * effect.stacks, 1);
+  }
+
+  /**
+   * Moves every fruit near a snake's head one cell closer to it, along the
+   * longer axis first. Fruit never moves onto anything else or into the head.
+   * @param {Object} player - Entry from this.players
+   * @param {number} radius - Largest distance in cells along either axis
+   */
+  pullFruits(player, radius) {
+    const head = player.snake[0];
+    this.fruits.forEach(fruit => {
+      const dx = head.x - fruit.x;
+      const dy = head.y - fruit.y;
+      if (Math.max(Math.abs(dx), Math.abs(dy)) > radius || (dx === 0 && dy === 0)) return;
+
+      const steps = Math.abs(dx) >= Math.abs(dy)
+        ? [{ x: Math.sign(dx), y: 0 }, { x: 0, y: Math.sign(dy) }]
+        : [{ x: 0, y: Math.sign(dy) }, { x: Math.sign(dx), y: 0 }];
+      const target = steps
+        .filter(step => step.x !== 0 || step.y !== 0)
+        .map(step => ({ x: fruit.x + step.x, y: fruit.y + step.y }))
+        .find(cell => this.isFreeCell(cell));
+      if (target) {
+        fruit.x = target.x;
+        fruit.y = target.y;
+      }
+    });
+  }
+
+  /**
+   * Checks whether a cell in the arena is empty: no wall, portal, snake, fruit or bomb
+   * @param {Object} cell - Position {x, y}
+   * @returns {boolean} True if something could be placed there
+   */
+  isFreeCell(cell) {
+    const key = this.cellKey(cell.x, cell.y);
+    return this.isInsideArena(cell) &&
+      !this.wallSet.has(key) &&
+      !this.portalExits.has(key) &&
+      !this.players.some(player => player.snake.some(segment => segment.x === cell.x && segment.y === cell.y)) &&
+      !this.fruits.some(fruit => fruit.x === cell.x && fruit.y === cell.y) &&
+      !this.bombs.some(bomb => bomb.x === cell.x && bomb.y === cell.y);
+  }
+}
+
+// Allow the engine to be required from Node for headless runs and unit tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SnakeEngine,
+    SeededRandom,
+    ENGINE_EVENTS,
+    DEFAULT_ENGINE_CONFIG,
+    COMBO_RULES,
+    calculateComboMultiplier,
+    createScoreBreakdown,
+    FRUIT_TYPES,
+    PLAYER_COLORS,
+    FRUIT_COLORS,
+    isOppositeDirection,
+    hashString,
+    parseSeed
+  };
+}
@@ -0,0 +1,307 @@
+// fruits.js - Registry of fruit types
+// Every fruit type is defined once here: the engine spawns and scores fruit
+// from it, the renderer draws it and How to Play lists it. Modes and mods add
+// types with registerFruitType(); powerups.js registers one per power-up.
+// Engine configs, and so saves and replays, keep only each type's shape,
+// weight and points and look everything else up here by shape.
+
+// =============================================================================
+// FRUIT DRAWING
+// =============================================================================
+
+/*
+ * Draw functions fill a fruit in the context's current fillStyle, centered on
+ * (centerX, centerY) and sized to fit a cell of `size` pixels. They leave the
+ * context's state as they found it.
+ */
+
+/**
+ * Draws a round fruit
+ * @param {CanvasRenderingContext2D} ctx - Canvas to draw on
+ * @param {number} centerX - X coordinate of the fruit center
+ * @param {number} centerY - Y coordinate of the fruit center
+ * @param {number} size - Cell size in pixels
+ */
+function drawCircleFruit(ctx, centerX, centerY, size) {
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, size / 2, 0, 2 * Math.PI);
+  ctx.fill();
+}
+
+/**
+ * Draws a triangular fruit
+ * @param {CanvasRenderingContext2D} ctx - Canvas to draw on
+ * @param {number} centerX - X coordinate of the fruit center
+ * @param {number} centerY - Y coordinate of the fruit center
+ * @param {number} size - Cell size in pixels
+ */
+function drawTriangleFruit(ctx, centerX, centerY, size) {
+  const triangleSize = size * 0.45;
+  ctx.beginPath();
+  ctx.moveTo(centerX, centerY - triangleSize);
+  ctx.lineTo(centerX - triangleSize, centerY + triangleSize);
+  ctx.lineTo(centerX + triangleSize, centerY + triangleSize);
+  ctx.closePath();
+  ctx.fill();
+}
+
+/**
+ * Draws a diamond fruit, a square turned on its corner
+ * @param {CanvasRenderingContext2D} ctx - Canvas to draw on
+ * @param {number} centerX - X coordinate of the fruit center
+ * @param {number} centerY - Y coordinate of the fruit center
+ * @param {number} size - Cell size in pixels
+ */
+function drawDiamondFruit(ctx, centerX, centerY, size) {
+  const diamondSize = size * 0.75;
+  ctx.save();
+  ctx.translate(centerX, centerY);
+  ctx.rotate(Math.PI / 4);
+  ctx.fillRect(-diamondSize / 2, -diamondSize / 2, diamondSize, diamondSize);
+  ctx.restore();
+}
+
+/**
+ * Draws a five-pointed star fruit
+ * @param {CanvasRenderingContext2D} ctx - Canvas to draw on
+ * @param {number} centerX - X coordinate of the fruit center
+ * @param {number} centerY - Y coordinate of the fruit center
+ * @param {number} size - Cell size in pixels
+ */
+function drawStarFruit(ctx, centerX, centerY, size) {
+  const spikes = 5;
+  const outerRadius = size / 2;
+  const innerRadius = outerRadius / 2;
+  let rotation = Math.PI / 2 * 3; // Start from top
+
+  ctx.beginPath();
+  ctx.moveTo(centerX, centerY - outerRadius);
+  for (let i = 0; i < spikes; i++) {
+    // Draw to outer point
+    ctx.lineTo(centerX + Math.cos(rotation) * outerRadius, centerY + Math.sin(rotation) * outerRadius);
+    rotation += Math.PI / spikes;
+
+    // Draw to inner point
+    ctx.lineTo(centerX + Math.cos(rotation) * innerRadius, centerY + Math.sin(rotation) * innerRadius);
+    rotation += Math.PI / spikes;
+  }
+  ctx.closePath();
+  ctx.fill();
+}
+
+/**
+ * Draws the speed reset fruit, an hourglass of two triangles meeting at the center
+ * @param {CanvasRenderingContext2D} ctx - Canvas to draw on
+ * @param {number} centerX - X coordinate of the fruit center
+ * @param {number} centerY - Y coordinate of the fruit center
+ * @param {number} size - Cell size in pixels
+ */
+function drawSpeedResetFruit(ctx, centerX, centerY, size) {
+  const halfWidth = size * 0.385;
+  [-1, 1].forEach(side => {
+    ctx.beginPath();
+    ctx.moveTo(centerX, centerY);
+    ctx.lineTo(centerX - halfWidth, centerY + side * halfWidth);
+    ctx.lineTo(centerX + halfWidth, centerY + side * halfWidth);
+    ctx.closePath();
+    ctx.fill();
+  });
+}
+
+/**
+ * Draws the shrink fruit, a thick cut mark made of two crossed bars
+ * @param {CanvasRenderingContext2D} ctx - Canvas to draw on
+ * @param {number} centerX - X coordinate of the fruit center
+ * @param {number} centerY - Y coordinate of the fruit center
+ * @param {number} size - Cell size in pixels
+ */
+function drawShrinkFruit(ctx, centerX, centerY, size) {
+  const halfLength = size * 0.45;
+  const thickness = size * 0.1;
+  [Math.PI / 4, -Math.PI / 4].forEach(angle => {
+    ctx.save();
+    ctx.translate(centerX, centerY);
+    ctx.rotate(angle);
+    ctx.fillRect(-halfLength, -thickness / 2, halfLength * 2, thickness);
+    ctx.restore();
+  });
+}
+
+// =============================================================================
+// FRUIT REGISTRY
+// =============================================================================
+
+/*
+ * A definition has:
+ *   shape           Unique key, stored on every fruit of this type
+ *   label, symbol   Name for How to Play, and a one-character mark for compact lists
+ *   weight, points  Default spawn weight and score; the engine picks each type with
+ *                   probability weight / total weight, so only the ratios matter
+ *   draw(ctx, centerX, centerY, size)  Fills the fruit; see FRUIT DRAWING
+ *   guide           Lines under the name on How to Play, each {text, color?, className?}
+ * and optionally:
+ *   color           Palette color name; fruits without one get a random fruit color
+ *   guideColor      Color for the How to Play picture of a random-colored fruit
+ *   guideGroup      'fruits' (default) or 'powerUps', the How to Play list it belongs in
+ *   glyph           Level map letter that places this fruit; must not clash with
+ *                   the map legend in levels.js
+ *   pattern         Accessibility marks: {dots: [[x, y], ...]} offsets in cells, or {ring: true}
+ *   onEat(engine, player, fruit, events)  Runs after the snake's head moves onto
+ *                   the fruit and its points and combo bonuses are scored. The snake grows unless this
+ *                   removes the tail.
+ *   pitch           Note in Hz of the chirp played when eaten; higher for more
+ *                   valuable fruits (see audio.js)
+ *   sound           Sound effect to play instead of the chirp (see audio.js)
+ *   shockwave       True to send out a shockwave when eaten
+ *   announcement    Added to the screen reader message when eaten
+ */
+const FRUIT_REGISTRY = {};
+
+/**
+ * Adds a fruit type, or replaces the one with the same shape. Types registered
+ * before engine.js loads spawn by default; others spawn in modes that list
+ * them in their engine config's fruitTypes.
+ * @param {Object} definition - Fruit type definition (see above)
+ * @returns {Object} The registered definition
+ */
+function registerFruitType(definition) {
+  if (!definition || typeof definition.shape !== 'string' || typeof definition.draw !== 'function' ||
+      typeof definition.weight !== 'number' || typeof definition.points !== 'number') {
+    throw new Error('A fruit type needs a shape, weight, points and draw function');
+  }
+  FRUIT_REGISTRY[definition.shape] = { guide: [], guideGroup: 'fruits', ...definition };
+  return FRUIT_REGISTRY[definition.shape];
+}
+
+/**
+ * Looks up a fruit type
+ * @param {string} shape - Fruit shape
+ * @returns {Object|null} The definition, or null if the shape isn't registered
+ */
+function getFruitDefinition(shape) {
+  return FRUIT_REGISTRY.hasOwnProperty(shape) ? FRUIT_REGISTRY[shape] : null;
+}
+
+/**
+ * Builds the spawn list for an engine config from every registered type
+ * @returns {Array} {shape, weight, points} entries in registration order
+ */
+function createFruitTypes() {
+  return Object.keys(FRUIT_REGISTRY).map(shape => ({
+    shape,
+    weight: FRUIT_REGISTRY[shape].weight,
+    points: FRUIT_REGISTRY[shape].points
+  }));
+}
+
+// =============================================================================
+// BUILT-IN FRUITS
+// =============================================================================
+
+registerFruitType({
+  shape: 'circle',
+  label: 'Circle Fruit',
+  symbol: '●',
+  weight: 0.39,                          // Common, low value
+  points: 5,
+  guideColor: 'magenta',
+  glyph: 'c',
+  pitch: 523.25,                         // C5
+  pattern: { dots: [[0, 0]] },
+  draw: drawCircleFruit
+});
+
+registerFruitType({
+  shape: 'triangle',
+  label: 'Triangle Fruit',
+  symbol: '▲',
+  weight: 0.29,                          // Uncommon, medium value
+  points: 10,
+  guideColor: 'green',
+  glyph: 't',
+  pitch: 659.25,                         // E5
+  pattern: { dots: [[-0.1, 0.15], [0.1, 0.15]] },
+  draw: drawTriangleFruit
+});
+
+registerFruitType({
+  shape: 'diamond',
+  label: 'Diamond Fruit',
+  symbol: '◆',
+  weight: 0.19,                          // Rare, high value
+  points: 25,
+  guideColor: 'red',
+  glyph: 'd',
+  pitch: 783.99,                         // G5
+  pattern: { dots: [[-0.16, 0], [0, 0], [0.16, 0]] },
+  draw: drawDiamondFruit
+});
+
+registerFruitType({
+  shape: 'star',
+  label: 'Star Fruit',
+  symbol: '★',
+  weight: 0.09,                          // Very rare, highest value
+  points: 50,
+  guideColor: 'orange',
+  glyph: 's',
+  pitch: 1046.5,                         // C6
+  pattern: { dots: [[-0.08, -0.05], [0.08, -0.05], [-0.08, 0.1], [0.08, 0.1]] },
+  draw: drawStarFruit
+});
+
+registerFruitType({
+  shape: 'speedreset',
+  label: 'Speed Fruit',
+  symbol: '⧗',
+  weight: 0.02,                          // Ultra rare, resets speed
+  points: 0,
+  color: 'purple',
+  glyph: 'r',
+  pattern: { ring: true },
+  guide: [{ text: 'Resets speed' }, { text: 'Adds 1 bomb', color: 'red' }],
+  sound: 'speedreset',
+  shockwave: true,
+  announcement: 'speed reset',
+  draw: drawSpeedResetFruit,
+  onEat: (engine, player) => {
+    // Speed is worked out from the points scored since the last reset
+    player.speedResetScore = player.score;
+    engine.maxBombs++;
+    // Speed reset fruit doesn't make the snake grow
+    player.snake.pop();
+  }
+});
+
+registerFruitType({
+  shape: 'shrink',
+  label: 'Cut Fruit',
+  symbol: '✂',
+  weight: 0.02,                          // Ultra rare, shrinks snake
+  points: 0,
+  color: 'yellow',
+  glyph: 'x',
+  pattern: { ring: true },
+  guide: [{ text: 'Shrinks snake by half' }, { text: 'Adds 1 bomb', color: 'red' }],
+  sound: 'shrink',
+  announcement: 'snake shortened',
+  draw: drawShrinkFruit,
+  onEat: (engine, player) => {
+    // Halve the snake and drop the segment the new head added, since cut fruit
+    // doesn't make it grow; the head always stays
+    player.snake = player.snake.slice(0, Math.max(1, Math.floor(player.snake.length / 2) - 1));
+    engine.maxBombs++;
+    engine.resetCombo(player);
+  }
+});
+
+// Allow the registry to be used from Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FRUIT_REGISTRY,
+    registerFruitType,
+    getFruitDefinition,
+    createFruitTypes,
+    drawCircleFruit
+  };
+}
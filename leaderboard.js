@@ -0,0 +1,265 @@
+// leaderboard.js - Persistent local leaderboard
+// Keeps the top scores per game mode, difficulty and scoring in localStorage, along with run stats.
+
+// =============================================================================
+// LEADERBOARD CONSTANTS
+// =============================================================================
+
+const LEADERBOARD_STORAGE_KEY = 'neonSnakeLeaderboard';
+const LEGACY_HIGHSCORE_KEY = 'neonSnakeHighScore';   // Single integer used before the leaderboard
+const PLAYER_NAME_STORAGE_KEY = 'neonSnakePlayerName';
+const LEADERBOARD_SIZE = 10;             // Entries kept per game mode, difficulty and scoring
+const PLAYER_NAME_LENGTH = 3;            // Arcade-style initials
+const DEFAULT_PLAYER_NAME = '???';       // Used until the player enters initials
+const LEGACY_DIFFICULTY = 'normal';      // Entries from before difficulty settings were played on Normal
+const SCORING_VERSION = 2;               // Fruit points plus combo, color streak and close call bonuses
+const LEGACY_SCORING_VERSION = 1;        // Plain fruit points; entries without a version are from before combos
+
+// Scores only compare within one scoring version, so each gets its own board
+const SCORING_LABELS = {
+  [SCORING_VERSION]: 'Combos',
+  [LEGACY_SCORING_VERSION]: 'Before Combos'
+};
+
+// =============================================================================
+// PERSISTENCE
+// =============================================================================
+
+/**
+ * Checks a saved leaderboard entry. Entries saved before difficulties or
+ * scoring versions existed lack those fields; stats may be null.
+ * @param {*} entry - Saved value
+ * @returns {boolean} True if it is a usable entry
+ */
+function isLeaderboardEntry(entry) {
+  const isCount = value => Number.isInteger(value) && value >= 0;
+  return !!entry && typeof entry === 'object' &&
+    typeof entry.id === 'string' && typeof entry.name === 'string' &&
+    isCount(entry.score) && typeof entry.mode === 'string' &&
+    (entry.difficulty === undefined || typeof entry.difficulty === 'string') &&
+    (entry.scoring === undefined || SCORING_LABELS.hasOwnProperty(entry.scoring)) &&
+    (entry.length === null || isCount(entry.length)) &&
+    (entry.fruits === null || (typeof entry.fruits === 'object' && Object.values(entry.fruits).every(isCount))) &&
+    (entry.duration === null || (Number.isFinite(entry.duration) && entry.duration >= 0)) &&
+    (entry.date === null || typeof entry.date === 'string');
+}
+
+/**
+ * Loads all leaderboard entries, migrating the legacy single high score once.
+ * Entries that don't validate are dropped.
+ * @returns {Array} Leaderboard entries (unsorted, all modes)
+ */
+function loadLeaderboard() {
+  try {
+    const saved = localStorage.getItem(LEADERBOARD_STORAGE_KEY);
+    if (saved) {
+      const entries = JSON.parse(saved);
+      return Array.isArray(entries) ? entries.filter(isLeaderboardEntry) : [];
+    }
+
+    // Carry an old high score over so upgrading doesn't wipe it (it predates modes, so it's classic)
+    const legacyScore = parseInt(localStorage.getItem(LEGACY_HIGHSCORE_KEY), 10);
+    const entries = [];
+    if (legacyScore > 0) {
+      entries.push(createLeaderboardEntry({ name: DEFAULT_PLAYER_NAME, score: legacyScore, mode: 'classic', date: null }));
+    }
+    saveLeaderboard(entries);
+    localStorage.removeItem(LEGACY_HIGHSCORE_KEY);
+    return entries;
+  } catch (error) {
+    // localStorage might be disabled, unavailable, or hold corrupt data
+    console.warn('Unable to load leaderboard from localStorage:', error);
+    return [];
+  }
+}
+
+/**
+ * Saves all leaderboard entries to localStorage
+ * @param {Array} entries - Leaderboard entries to save
+ */
+function saveLeaderboard(entries) {
+  try {
+    localStorage.setItem(LEADERBOARD_STORAGE_KEY, JSON.stringify(entries));
+  } catch (error) {
+    // localStorage might be disabled, full, or unavailable
+    console.warn('Unable to save leaderboard to localStorage:', error);
+  }
+}
+
+/**
+ * Loads the initials the player entered last time
+ * @returns {string} Saved initials, or '' if none
+ */
+function loadPlayerName() {
+  try {
+    return localStorage.getItem(PLAYER_NAME_STORAGE_KEY) || '';
+  } catch (error) {
+    console.warn('Unable to load player name from localStorage:', error);
+    return '';
+  }
+}
+
+/**
+ * Remembers the player's initials for the next qualifying score
+ * @param {string} name - Initials to save
+ */
+function savePlayerName(name) {
+  try {
+    localStorage.setItem(PLAYER_NAME_STORAGE_KEY, name);
+  } catch (error) {
+    console.warn('Unable to save player name to localStorage:', error);
+  }
+}
+
+// =============================================================================
+// ENTRIES & RANKING
+// =============================================================================
+
+/**
+ * Builds a leaderboard entry, filling in defaults for missing stats
+ * @param {Object} fields - Entry fields (name, score, mode, difficulty, scoring, length, fruits, duration, date)
+ * @returns {Object} Complete leaderboard entry with a unique id
+ */
+function createLeaderboardEntry(fields) {
+  return {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+    name: normalizePlayerName(fields.name),
+    score: fields.score,
+    mode: fields.mode,
+    difficulty: fields.difficulty || LEGACY_DIFFICULTY,
+    scoring: fields.scoring || LEGACY_SCORING_VERSION,
+    length: fields.length || null,
+    fruits: fields.fruits || null,
+    duration: fields.duration || null,
+    date: fields.date === undefined ? new Date().toISOString() : fields.date
+  };
+}
+
+/**
+ * Cleans user-entered initials to uppercase letters and digits
+ * @param {string} name - Raw name input
+ * @returns {string} Initials of at most PLAYER_NAME_LENGTH characters
+ */
+function normalizePlayerName(name) {
+  const cleaned = String(name || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, PLAYER_NAME_LENGTH);
+  return cleaned || DEFAULT_PLAYER_NAME;
+}
+
+/**
+ * Gets the difficulty an entry was played on
+ * @param {Object} entry - Leaderboard entry
+ * @returns {string} Difficulty preset key, or 'custom'
+ */
+function getEntryDifficulty(entry) {
+  return entry.difficulty || LEGACY_DIFFICULTY;
+}
+
+/**
+ * Gets the scoring version an entry's score was earned under
+ * @param {Object} entry - Leaderboard entry
+ * @returns {number} SCORING_VERSION or LEGACY_SCORING_VERSION
+ */
+function getEntryScoring(entry) {
+  return entry.scoring || LEGACY_SCORING_VERSION;
+}
+
+/**
+ * Gets the scoring version a game plays under
+ * @param {Object} config - The game's engine config
+ * @returns {number} SCORING_VERSION with combos, LEGACY_SCORING_VERSION without
+ */
+function getConfigScoring(config) {
+  return config.combo ? SCORING_VERSION : LEGACY_SCORING_VERSION;
+}
+
+/**
+ * Returns the entries for one mode, difficulty and scoring (or all of them), best first
+ * @param {Array} entries - All leaderboard entries
+ * @param {string|null} mode - Game mode to filter by, or null for all
+ * @param {string|null} difficulty - Difficulty to filter by, or null for all
+ * @param {number|null} scoring - Scoring version to filter by, or null for all
+ * @returns {Array} Sorted entries
+ */
+function getRankedEntries(entries, mode, difficulty = null, scoring = null) {
+  return entries
+    .filter(entry => (!mode || entry.mode === mode) && (!difficulty || getEntryDifficulty(entry) === difficulty) &&
+      (!scoring || getEntryScoring(entry) === scoring))
+    .sort((a, b) => b.score - a.score || String(a.date).localeCompare(String(b.date)));
+}
+
+/**
+ * Gets the best score recorded for a mode, difficulty and scoring
+ * @param {Array} entries - All leaderboard entries
+ * @param {string} mode - Game mode
+ * @param {string} difficulty - Difficulty preset key, or 'custom'
+ * @param {number} scoring - Scoring version
+ * @returns {number} Best score, or 0 if there are no matching entries
+ */
+function getBestScore(entries, mode, difficulty, scoring) {
+  const ranked = getRankedEntries(entries, mode, difficulty, scoring);
+  return ranked.length > 0 ? ranked[0].score : 0;
+}
+
+/**
+ * Checks whether a score would make the top LEADERBOARD_SIZE for its mode, difficulty and scoring
+ * @param {Array} entries - All leaderboard entries
+ * @param {string} mode - Game mode
+ * @param {string} difficulty - Difficulty preset key, or 'custom'
+ * @param {number} scoring - Scoring version
+ * @param {number} score - Score to check
+ * @returns {boolean} True if the score earns a leaderboard spot
+ */
+function qualifiesForLeaderboard(entries, mode, difficulty, scoring, score) {
+  if (score <= 0) return false;
+  const ranked = getRankedEntries(entries, mode, difficulty, scoring);
+  return ranked.length < LEADERBOARD_SIZE || score > ranked[ranked.length - 1].score;
+}
+
+/**
+ * Inserts an entry and trims its mode, difficulty and scoring back to LEADERBOARD_SIZE
+ * @param {Array} entries - All leaderboard entries
+ * @param {Object} entry - Entry to add
+ * @returns {Object} { entries, rank } with the new list and 1-based rank (0 if cut)
+ */
+function addLeaderboardEntry(entries, entry) {
+  const difficulty = getEntryDifficulty(entry);
+  const scoring = getEntryScoring(entry);
+  const kept = getRankedEntries(entries.concat(entry), entry.mode, difficulty, scoring).slice(0, LEADERBOARD_SIZE);
+  const others = entries.filter(existing => existing.mode !== entry.mode ||
+    getEntryDifficulty(existing) !== difficulty || getEntryScoring(existing) !== scoring);
+  return {
+    entries: others.concat(kept),
+    rank: kept.indexOf(entry) + 1
+  };
+}
+
+/**
+ * Removes a single entry by id
+ * @param {Array} entries - All leaderboard entries
+ * @param {string} id - Entry id to remove
+ * @returns {Array} Entries without the removed one
+ */
+function removeLeaderboardEntry(entries, id) {
+  return entries.filter(entry => entry.id !== id);
+}
+
+// Allow leaderboard storage and ranking to be exercised from Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LEADERBOARD_SIZE,
+    SCORING_VERSION,
+    LEGACY_SCORING_VERSION,
+    loadLeaderboard,
+    saveLeaderboard,
+    createLeaderboardEntry,
+    normalizePlayerName,
+    getEntryDifficulty,
+    getEntryScoring,
+    getConfigScoring,
+    getRankedEntries,
+    getBestScore,
+    qualifiesForLeaderboard,
+    addLeaderboardEntry,
+    removeLeaderboardEntry
+  };
+}
@@ -0,0 +1,460 @@
+// levels.js - Authored level format, built-in level pack and layout
+// Levels are plain JSON-compatible data with an ASCII map, so they can be
+// shipped here, saved from the editor, or loaded from a file.
+
+// Browsers load engine.js first as globals; Node resolves them explicitly
+const LevelFruitTypes = typeof FRUIT_TYPES !== 'undefined' ? FRUIT_TYPES : require('./engine.js').FRUIT_TYPES;
+const LevelFruitRegistry = typeof FRUIT_REGISTRY !== 'undefined' ? FRUIT_REGISTRY : require('./fruits.js').FRUIT_REGISTRY;
+
+// =============================================================================
+// LEVEL FORMAT
+// =============================================================================
+
+/*
+ * A level is an object of the following shape:
+ *
+ *   {
+ *     "format": "neon-snake-level",      // Only in exported files; optional otherwise
+ *     "version": 1,                      // Only in exported files; optional otherwise
+ *     "id": "pillars",                   // Unique, used for progress tracking
+ *     "name": "Pillars",                 // Shown on the level select screen
+ *     "targetScore": 75,                 // Points to earn in this level to advance
+ *     "fruitWeights": { "star": 0.2 },   // Optional spawn weight overrides by shape
+ *     "map": [                           // Equal-length rows, one character per cell
+ *       "##########",
+ *       "#>.......#",
+ *       "#..1..1..#",
+ *       "##########"
+ *     ]
+ *   }
+ *
+ * Map legend:
+ *   #           wall
+ *   . or space  floor
+ *   > < ^ v     snake start, facing that way (exactly one)
+ *   1-9         portal; each digit must appear exactly twice, and entering
+ *               one portal moves the head onto its partner
+ *   c t d s     fixed circle, triangle, diamond or star fruit, present when
+ *   r x         the level starts (r = speed reset, x = shrink); other fruit
+ *               types can claim a letter with their glyph (see fruits.js)
+ *
+ * Shapes missing from fruitWeights keep their FRUIT_TYPES weight; a weight of
+ * 0 stops a shape from spawning. Weights are normalized after merging.
+ */
+
+const LEVEL_WALL = '#';
+const LEVEL_FLOORS = '. ';
+const LEVEL_START_DIRECTIONS = {
+  '>': { x: 1, y: 0 },
+  '<': { x: -1, y: 0 },
+  '^': { x: 0, y: -1 },
+  'v': { x: 0, y: 1 }
+};
+// Map characters that place a fixed fruit, from each fruit type's glyph
+const LEVEL_FRUIT_GLYPHS = Object.fromEntries(Object.keys(LevelFruitRegistry)
+  .filter(shape => LevelFruitRegistry[shape].glyph)
+  .map(shape => [LevelFruitRegistry[shape].glyph, shape]));
+
+// Exported level files carry a format tag and version like replay files do
+const LEVEL_FORMAT = 'neon-snake-level';
+const LEVEL_VERSION = 1;
+
+// Built-in campaign, played in order
+const BUILT_IN_LEVELS = [
+  {
+    id: 'open-box',
+    name: 'Open Box',
+    targetScore: 50,
+    map: [
+      '##############',
+      '#............#',
+      '#............#',
+      '#............#',
+      '#...>........#',
+      '#............#',
+      '#............#',
+      '#............#',
+      '##############'
+    ]
+  },
+  {
+    id: 'pillars',
+    name: 'Pillars',
+    targetScore: 75,
+    map: [
+      '##############',
+      '#............#',
+      '#..##....##..#',
+      '#..##....##..#',
+      '#.>..........#',
+      '#..##....##..#',
+      '#..##....##..#',
+      '#............#',
+      '##############'
+    ]
+  },
+  {
+    id: 'warp-corners',
+    name: 'Warp Corners',
+    targetScore: 100,
+    fruitWeights: { speedreset: 0.05 },
+    map: [
+      '##############',
+      '#1...........#',
+      '#....####....#',
+      '#............#',
+      '#.>..........#',
+      '#............#',
+      '#....####....#',
+      '#...........1#',
+      '##############'
+    ]
+  },
+  {
+    id: 'crossroads',
+    name: 'Crossroads',
+    targetScore: 125,
+    map: [
+      '##############',
+      '#.....##.....#',
+      '#.....##.....#',
+      '#..2..##..1..#',
+      '#>...........#',
+      '#..1..##..2..#',
+      '#.....##.....#',
+      '#.....##.....#',
+      '##############'
+    ]
+  },
+  {
+    id: 'spiral',
+    name: 'Spiral',
+    targetScore: 150,
+    fruitWeights: { circle: 0.3, star: 0.2 },
+    map: [
+      '##############',
+      '#>...........#',
+      '#.##########.#',
+      '#.#........#.#',
+      '#.#.######.#.#',
+      '#.#......#...#',
+      '#.########.#.#',
+      '#............#',
+      '##############'
+    ]
+  }
+];
+
+// =============================================================================
+// PARSING & VALIDATION
+// =============================================================================
+
+/**
+ * Validates level data and returns a normalized copy
+ * @param {Object|string} data - Level object or its JSON text
+ * @returns {Object} Normalized level
+ * @throws {Error} With a designer-facing message when the level is invalid
+ */
+function parseLevel(data) {
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch (error) {
+      throw new Error('Level is not valid JSON.');
+    }
+  }
+
+  if (!data || typeof data !== 'object') {
+    throw new Error('Level must be an object.');
+  }
+
+  if (data.format !== undefined && data.format !== LEVEL_FORMAT) {
+    throw new Error('Not a Neon Snake level file.');
+  }
+  if (data.version !== undefined && data.version !== LEVEL_VERSION) {
+    throw new Error('Unsupported level version ' + data.version + ' (this game reads version ' + LEVEL_VERSION + ').');
+  }
+
+  const map = data.map;
+  if (!Array.isArray(map) || map.length === 0 || !map.every(row => typeof row === 'string')) {
+    throw new Error('Level map must be a non-empty list of text rows.');
+  }
+
+  const width = map[0].length;
+  if (width === 0 || !map.every(row => row.length === width)) {
+    throw new Error('Every level map row must have the same, non-zero length.');
+  }
+
+  let startCount = 0;
+  const portalCounts = {};
+  map.forEach((row, y) => {
+    for (let x = 0; x < width; x++) {
+      const glyph = row[x];
+      if (LEVEL_START_DIRECTIONS[glyph]) {
+        startCount++;
+      } else if (glyph >= '1' && glyph <= '9') {
+        portalCounts[glyph] = (portalCounts[glyph] || 0) + 1;
+      } else if (glyph !== LEVEL_WALL && !LEVEL_FLOORS.includes(glyph) && !LEVEL_FRUIT_GLYPHS.hasOwnProperty(glyph)) {
+        throw new Error('Unknown map character "' + glyph + '" at row ' + (y + 1) + ', column ' + (x + 1) + '.');
+      }
+    }
+  });
+
+  if (startCount !== 1) {
+    throw new Error('Level map needs exactly one snake start (> < ^ v), found ' + startCount + '.');
+  }
+
+  for (const digit of Object.keys(portalCounts)) {
+    if (portalCounts[digit] !== 2) {
+      throw new Error('Portal ' + digit + ' must appear exactly twice, found ' + portalCounts[digit] + '.');
+    }
+  }
+
+  if (!Number.isInteger(data.targetScore) || data.targetScore <= 0) {
+    throw new Error('Level targetScore must be a positive whole number.');
+  }
+
+  const fruitWeights = data.fruitWeights || {};
+  const knownShapes = LevelFruitTypes.map(type => type.shape);
+  for (const shape of Object.keys(fruitWeights)) {
+    if (!knownShapes.includes(shape)) {
+      throw new Error('Unknown fruit shape "' + shape + '" in fruitWeights.');
+    }
+    if (typeof fruitWeights[shape] !== 'number' || !(fruitWeights[shape] >= 0)) {
+      throw new Error('Fruit weight for "' + shape + '" must be a number of at least 0.');
+    }
+  }
+
+  const name = typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Untitled';
+  return {
+    id: typeof data.id === 'string' && data.id ? data.id : name.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+    name: name,
+    targetScore: data.targetScore,
+    fruitWeights: { ...fruitWeights },
+    map: map.slice()
+  };
+}
+
+/**
+ * Merges per-level weight overrides into a fruit type list and normalizes them
+ * @param {Array} fruitTypes - Base fruit types (e.g. FRUIT_TYPES)
+ * @param {Object} weights - Overrides keyed by shape
+ * @returns {Array} New fruit type list whose weights sum to 1
+ */
+function applyFruitWeights(fruitTypes, weights) {
+  const merged = fruitTypes.map(type => ({
+    ...type,
+    weight: weights && weights.hasOwnProperty(type.shape) ? weights[type.shape] : type.weight
+  }));
+
+  const total = merged.reduce((sum, type) => sum + type.weight, 0);
+  if (total <= 0) return fruitTypes;
+
+  merged.forEach(type => { type.weight /= total; });
+  return merged;
+}
+
+/**
+ * Builds an exportable level file from a level
+ * @param {Object} level - Normalized level from parseLevel()
+ * @returns {Object} Level document ready for JSON.stringify
+ */
+function serializeLevel(level) {
+  return {
+    format: LEVEL_FORMAT,
+    version: LEVEL_VERSION,
+    id: level.id,
+    name: level.name,
+    targetScore: level.targetScore,
+    fruitWeights: level.fruitWeights,
+    map: level.map
+  };
+}
+
+// =============================================================================
+// LAYOUT
+// =============================================================================
+
+/**
+ * Fits a level onto a grid, scaling it up by the largest whole factor that
+ * fits and centering it. Cells outside the map become solid void.
+ * Also used by the editor to draw maps that are still invalid, so a missing
+ * start or an unpaired portal is laid out as-is rather than rejected.
+ * @param {Object} level - Normalized level from parseLevel()
+ * @param {number} cols - Grid width in cells
+ * @param {number} rows - Grid height in cells
+ * @param {Array} [baseFruitTypes] - Fruit types to apply the level's weights to
+ * @returns {Object|null} Engine-ready layout, or null if the level doesn't fit
+ */
+function layoutLevel(level, cols, rows, baseFruitTypes = LevelFruitTypes) {
+  const mapWidth = level.map[0].length;
+  const mapHeight = level.map.length;
+  const scale = Math.floor(Math.min(cols / mapWidth, rows / mapHeight));
+  if (scale < 1) return null;
+
+  const offsetX = Math.floor((cols - mapWidth * scale) / 2);
+  const offsetY = Math.floor((rows - mapHeight * scale) / 2);
+  const center = Math.floor(scale / 2);
+
+  const walls = [];
+  const fruits = [];
+  const portalEnds = {};
+  let start = null;
+  let startDirection = null;
+
+  level.map.forEach((row, mapY) => {
+    for (let mapX = 0; mapX < mapWidth; mapX++) {
+      const glyph = row[mapX];
+      const blockX = offsetX + mapX * scale;
+      const blockY = offsetY + mapY * scale;
+
+      if (glyph === LEVEL_WALL) {
+        // Walls fill their whole scaled block
+        for (let dy = 0; dy < scale; dy++) {
+          for (let dx = 0; dx < scale; dx++) {
+            walls.push({ x: blockX + dx, y: blockY + dy });
+          }
+        }
+      } else if (LEVEL_START_DIRECTIONS[glyph]) {
+        start = { x: blockX + center, y: blockY + center };
+        startDirection = { ...LEVEL_START_DIRECTIONS[glyph] };
+      } else if (glyph >= '1' && glyph <= '9') {
+        // Portals stay single cells so each end has one exact partner
+        (portalEnds[glyph] = portalEnds[glyph] || []).push({ x: blockX + center, y: blockY + center });
+      } else if (LEVEL_FRUIT_GLYPHS.hasOwnProperty(glyph)) {
+        fruits.push({ x: blockX + center, y: blockY + center, shape: LEVEL_FRUIT_GLYPHS[glyph] });
+      }
+    }
+  });
+
+  return {
+    id: level.id,
+    name: level.name,
+    targetScore: level.targetScore,
+    fruitTypes: applyFruitWeights(baseFruitTypes, level.fruitWeights),
+    arena: { x: offsetX, y: offsetY, width: mapWidth * scale, height: mapHeight * scale },
+    walls: walls,
+    portals: Object.keys(portalEnds).sort().map(digit => portalEnds[digit]),
+    fruits: fruits,
+    start: start,
+    startDirection: startDirection
+  };
+}
+
+// =============================================================================
+// PROGRESS
+// =============================================================================
+
+const LEVEL_PROGRESS_STORAGE_KEY = 'neonSnakeLevelProgress';
+
+/**
+ * Loads how many built-in levels have been unlocked
+ * @returns {number} Number of unlocked levels (at least 1)
+ */
+function loadUnlockedLevelCount() {
+  try {
+    const saved = parseInt(localStorage.getItem(LEVEL_PROGRESS_STORAGE_KEY), 10);
+    return saved > 0 ? Math.min(saved, BUILT_IN_LEVELS.length) : 1;
+  } catch (error) {
+    console.warn('Unable to load level progress from localStorage:', error);
+    return 1;
+  }
+}
+
+/**
+ * Unlocks levels up to and including the given count
+ * @param {number} count - Number of levels that should be unlocked
+ */
+function saveUnlockedLevelCount(count) {
+  try {
+    if (count > loadUnlockedLevelCount()) {
+      localStorage.setItem(LEVEL_PROGRESS_STORAGE_KEY, String(Math.min(count, BUILT_IN_LEVELS.length)));
+    }
+  } catch (error) {
+    console.warn('Unable to save level progress to localStorage:', error);
+  }
+}
+
+// =============================================================================
+// CUSTOM LEVELS
+// =============================================================================
+
+const CUSTOM_LEVELS_STORAGE_KEY = 'neonSnakeCustomLevels';
+
+/**
+ * Loads levels saved from the editor, skipping any that no longer validate
+ * @returns {Array} Normalized custom levels
+ */
+function loadCustomLevels() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CUSTOM_LEVELS_STORAGE_KEY));
+    if (!Array.isArray(saved)) return [];
+
+    const levels = [];
+    for (const data of saved) {
+      try {
+        levels.push(parseLevel(data));
+      } catch (error) {
+        console.warn('Skipping invalid saved level:', error.message);
+      }
+    }
+    return levels;
+  } catch (error) {
+    console.warn('Unable to load custom levels from localStorage:', error);
+    return [];
+  }
+}
+
+/**
+ * Saves the full list of custom levels to localStorage
+ * @param {Array} levels - Normalized custom levels
+ * @returns {boolean} True if the levels were stored
+ */
+function saveCustomLevels(levels) {
+  try {
+    localStorage.setItem(CUSTOM_LEVELS_STORAGE_KEY, JSON.stringify(levels));
+    return true;
+  } catch (error) {
+    console.warn('Unable to save custom levels to localStorage:', error);
+    return false;
+  }
+}
+
+/**
+ * Makes an id for a level started in the editor. Ids come from neither the
+ * name nor the map, so renaming a level keeps it and two levels sharing a name
+ * are saved apart.
+ * @returns {string} Unique level id
+ */
+function createLevelId() {
+  return 'custom-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Adds a level to a custom level list, replacing any level with the same id
+ * @param {Array} levels - Normalized custom levels
+ * @param {Object} level - Level to add
+ * @returns {Array} New level list
+ */
+function upsertCustomLevel(levels, level) {
+  const index = levels.findIndex(existing => existing.id === level.id);
+  if (index === -1) return levels.concat(level);
+
+  const updated = levels.slice();
+  updated[index] = level;
+  return updated;
+}
+
+// Allow levels to be validated and laid out from Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BUILT_IN_LEVELS,
+    LEVEL_FRUIT_GLYPHS,
+    parseLevel,
+    applyFruitWeights,
+    serializeLevel,
+    layoutLevel,
+    createLevelId,
+    upsertCustomLevel
+  };
+}
@@ -5,36 +5,152 @@
 // CONSTANTS & CONFIGURATION
 // =============================================================================
 
-// Game grid and timing constants
-const CELL_SIZE = 60;                    // Size of each grid cell in pixels
-const BASE_GAME_SPEED = 135;             // Base milliseconds between game ticks
-const SPEED_INCREASE_RATE = 0.075;         // Speed increase per point scored
-const MIN_GAME_SPEED = 45;               // Minimum game speed (maximum actual speed)
+// Canvas layout constants (the cell size is a setting, see settings.js)
 const PADDING = 5;                       // Canvas padding from screen edges
 const BORDER_WIDTH = 2;                  // Canvas border thickness
 
-// Game object limits
-const MAX_FRUITS = 5;                    // Maximum fruits on screen simultaneously
-const MAX_BOMBS = 4;                     // Maximum bombs on screen simultaneously
-
-// Probability constants for dynamic bomb spawning
-const BASE_BOMB_SPAWN_CHANCE = 0.3;     // 30% base spawn chance when no bombs exist
-const MIN_BOMB_SPAWN_CHANCE = 0.05;     // 5% minimum spawn chance when at max capacity
-const MAX_BOMB_DESPAWN_CHANCE = 0.25;   // 25% maximum despawn chance when at max capacity
-
-// Visual constants
-const SHADOW_BLUR = 15;                  // Glow effect blur radius
+// Visual constants. Colors are theme color names (see themes.js).
+const SHADOW_BLUR = 15;                  // Glow effect blur radius, scaled by the theme's glow
 const HEAD_CORNER_RADIUS = 0.2;         // Snake head corner rounding (as fraction of cell size)
 const EYE_OFFSET = 0.2;                  // Eye position offset (as fraction of cell size)
 const EYE_RADIUS = 0.1;                  // Eye size (as fraction of cell size)
 const BOMB_RADIUS = 0.44;                // Bomb size (as fraction of cell size)
+const LEVEL_WALL_COLOR = 'wall';         // Level walls
+const LEVEL_VOID_COLOR = 'voidTint';     // Tint for grid cells outside a centered level
+const PORTAL_COLORS = ['orange', 'green', 'magenta', 'yellow', 'cyan', 'red', 'text', 'purple', 'blue'];
+const SKIN_GRADIENT_FADE = 0.65;         // How much the gradient skin fades from head to tail
+const SKIN_STRIPE_ALPHA = 0.45;          // Opacity of every other segment with the striped skin
+const PORTAL_RADIUS = 0.38;              // Portal ring size (as fraction of cell size)
+
+// Particle and screen effects (see effects.js); sizes and distances in cells
+const FRUIT_BURST_SPARKS = 14;           // Sparks thrown out by an eaten fruit
+const FRUIT_BURST_SPEED = 4;             // Fastest fruit spark in cells per second
+const SHOCKWAVE_RADIUS = 4;              // How far the speed reset shockwave spreads
+const BOMB_FLASH_COLOR = 'red';          // Glow marking a freshly spawned bomb
+const DEATH_SPARKS = 40;                 // Sparks in a death explosion
+const DEATH_BURST_SPEED = 7;             // Fastest explosion spark in cells per second
+const DEATH_SHAKE_STRENGTH = 0.25;       // Largest screen shake offset on death
+const DEATH_SHAKE_DURATION = 450;        // Milliseconds the death shake lasts
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+// Level transitions
+const LEVEL_INTRO_DELAY = 1500;          // Milliseconds the next level's banner shows before play resumes
+
+// Level editor visuals
+const EDITOR_GRID_COLOR = 'rgba(255,255,255,0.08)'; // Cell grid drawn over the map while editing
+const EDITOR_HOVER_COLOR = 'yellow';     // Outline of the cell under the pointer
+const EDITOR_FRUIT_COLOR = 'text';       // Fixed fruits get their real color when the level starts
+
+// Title screen hint shown under the menu when there is no error to report
+const REPLAY_DROP_HINT = 'Drop a replay file here to watch it';
+
+// Replay playback speed multipliers, cycled by the speed button
+const REPLAY_SPEEDS = [1, 2, 4];
+
+// Frame timing
+const MAX_CATCH_UP_TICKS = 5;            // Ticks run in one frame before the rest of a stall is dropped
+const RESUME_COUNTDOWN_SECONDS = 3;      // Countdown shown before an unpaused game starts moving
+
+// Game modes; each keeps its own leaderboard and high score
+const GAME_MODES = {
+  CLASSIC: 'classic',
+  WALLS: 'walls',
+  LEVELS: 'levels',
+  VERSUS: 'versus',
+  DAILY: 'daily'
+};
+
+// Display names for game modes
+const GAME_MODE_LABELS = {
+  [GAME_MODES.CLASSIC]: 'Classic',
+  [GAME_MODES.WALLS]: 'Walls',
+  [GAME_MODES.LEVELS]: 'Levels',
+  [GAME_MODES.VERSUS]: 'Versus',
+  [GAME_MODES.DAILY]: 'Daily'
+};
+
+// Engine config overrides applied by each game mode
+const GAME_MODE_CONFIGS = {
+  [GAME_MODES.CLASSIC]: {},
+  [GAME_MODES.WALLS]: { wrapEdges: false },  // Leaving the grid ends the game
+  [GAME_MODES.LEVELS]: {},                    // Levels are laid out per game, see buildModeConfig()
+  [GAME_MODES.VERSUS]: { playerCount: 2 },    // Two snakes on one keyboard
+  [GAME_MODES.DAILY]: {}                      // Rules come from the date, see buildModeConfig()
+};
+
+// Modes without a leaderboard or skin unlocks; versus scores aren't comparable
+// with solo runs, and daily runs keep their own records (see daily.js)
+const UNRANKED_MODES = [GAME_MODES.VERSUS, GAME_MODES.DAILY];
+
+// Modes left out of lifetime stats and achievements, which follow one snake
+const UNTRACKED_MODES = [GAME_MODES.VERSUS];
+
+// Daily challenge screen and share text
+const DAILY_HISTORY_SHOWN = 14;          // Most recent days listed on the Daily Challenge screen
+const DAILY_SHARE_TITLE = 'Neon Snake Daily'; // First words of the copied result
+
+// Keyboard movement actions (see controls.js): the key set they belong to and
+// which way they steer. Each set steers its own snake in versus; solo games take either.
+const KEY_ACTION_MOVES = {
+  p1Up: { keySet: 0, direction: 'up' },
+  p1Down: { keySet: 0, direction: 'down' },
+  p1Left: { keySet: 0, direction: 'left' },
+  p1Right: { keySet: 0, direction: 'right' },
+  p2Up: { keySet: 1, direction: 'up' },
+  p2Down: { keySet: 1, direction: 'down' },
+  p2Left: { keySet: 1, direction: 'left' },
+  p2Right: { keySet: 1, direction: 'right' }
+};
+
+// Title screen demo: a bot plays Classic behind the menu
+const ATTRACT_BOT = 'pathfinder';        // BOT_STRATEGIES key of the demo player
+const ATTRACT_RESTART_DELAY = 2000;      // Milliseconds the demo's final frame shows before a new demo
+
+// How each death cause reads on the versus results screen
+const DEATH_DESCRIPTIONS = {
+  wall: 'hit a wall',
+  bomb: 'hit a bomb',
+  self: 'ran into their own tail',
+  rival: 'ran into the other snake',
+  'head-on': 'collided head-on'
+};
+
+// Lines of the game-over score breakdown, in order; the other bonuses show once earned
+const SCORE_BREAKDOWN_LINES = [
+  { key: 'base', label: 'Fruit points', always: true },
+  { key: 'combo', label: 'Combo bonus', always: true },
+  { key: 'color', label: 'Color streaks' },
+  { key: 'closeCall', label: 'Close calls' },
+  { key: 'powerUp', label: 'Score power-ups' }
+];
+const COMBO_STATUS_COLOR = 'yellow';     // Theme color of the header combo bars
+
+// Achievement toasts shown during play
+const TOAST_DURATION = 4000;             // Milliseconds a toast stays up
+const TOAST_FADE_TIME = 500;             // Milliseconds its fade out takes; matches .toast in styles.css
+
+// How to Play draws each fruit type's picture with its registered draw function
+const FRUIT_GUIDE_SIZE = 40;             // Fruit picture size in pixels
+const FRUIT_GUIDE_SCALE = 0.8;           // Fruit size within its picture, leaving room for glow
+const FRUIT_GUIDE_COLOR = 'cyan';        // Picture color for fruit types that name no color
+
+// Fruit patterns are marks drawn over fruits so telling them apart doesn't rely
+// on color or fine shape detail: dots count the value tier and special fruits
+// get a dashed ring. Each fruit type's pattern is in fruits.js.
+const PATTERN_DOT_RADIUS = 0.055;        // Pattern dot size (as fraction of cell size)
+const PATTERN_LINE_WIDTH = 0.07;         // Pattern and bomb ring thickness (as fraction of cell size)
+
+// Elements a modal can move keyboard focus between
+const FOCUSABLE_SELECTOR = 'button, input, select, textarea, a[href], [tabindex]:not([tabindex="-1"])';
 
 // Game states enum for better state management
 const GAME_STATES = {
   MENU: 'menu',
   PLAYING: 'playing', 
   PAUSED: 'paused',
-  GAME_OVER: 'game_over'
+  GAME_OVER: 'game_over',
+  REPLAY: 'replay',
+  EDITOR: 'editor'
 };
 
 // =============================================================================
@@ -44,44 +160,270 @@ const GAME_STATES = {
 // Cache frequently accessed DOM elements to avoid repeated queries
 const DOM = {
   gameTitle: null,
+  titleMenu: null,
   startButton: null,
+  continueButton: null,
   howToPlayButton: null,
+  loadReplayButton: null,
+  replayFileInput: null,
+  seedInput: null,
+  modeSelect: null,
+  opponentSelect: null,
+  titleStatus: null,
   header: null,
   scoreboard: null,
+  scoreboardTwo: null,
   highscore: null,
+  levelStatus: null,
+  comboStatus: null,
+  powerUpStatus: null,
+  fruitGuide: null,
+  powerUpGuide: null,
+  levelBanner: null,
+  resumeCountdown: null,
+  levelsButton: null,
+  levelSelectModal: null,
+  levelList: null,
+  closeLevelSelectButton: null,
+  gameOverTitle: null,
+  soloResult: null,
+  scoreBreakdown: null,
+  versusResult: null,
+  versusScores: null,
+  versusReason: null,
+  editorButton: null,
+  editLevelButton: null,
+  editorToolbar: null,
+  editorTools: null,
+  editorFruitSelect: null,
+  editorUndoButton: null,
+  editorRedoButton: null,
+  editorPlaytestButton: null,
+  editorFileButton: null,
+  editorExitButton: null,
+  editorStatus: null,
+  editorFileModal: null,
+  editorNameInput: null,
+  editorTargetInput: null,
+  editorNewButton: null,
+  editorSaveButton: null,
+  editorExportButton: null,
+  editorImportButton: null,
+  editorFileInput: null,
+  editorFileStatus: null,
+  editorSavedList: null,
+  editorSavedEmpty: null,
+  closeEditorFileButton: null,
   pauseButton: null,
   endGameButton: null,
   gameCanvas: null,
   gameOverModal: null,
   pauseModal: null,
   instructionsModal: null,
+  controlsSummary: null,
+  controlsButton: null,
+  settingsButton: null,
+  settingsModal: null,
+  settingsPresets: null,
+  settingsFields: null,
+  settingsWeights: null,
+  settingsAudio: null,
+  settingsDisplay: null,
+  unlockInfo: null,
+  dailyResult: null,
+  dailyInfo: null,
+  shareDailyButton: null,
+  settingsAccess: null,
+  announcer: null,
+  settingsDifficulty: null,
+  settingsErrors: null,
+  saveSettingsButton: null,
+  closeSettingsButton: null,
+  pauseControlsButton: null,
+  controlsModal: null,
+  keyBindings: null,
+  gamepadBindings: null,
+  gamepadStatus: null,
+  resetControlsButton: null,
+  closeControlsButton: null,
   finalScore: null,
+  finalSeed: null,
   resetButton: null,
-  resetHighscoreButton: null,
+  gameOverLeaderboardButton: null,
+  nameEntry: null,
+  nameInput: null,
+  saveNameButton: null,
+  leaderboardRank: null,
+  leaderboardButton: null,
+  leaderboardModal: null,
+  leaderboardModeFilter: null,
+  leaderboardDifficultyFilter: null,
+  leaderboardScoringFilter: null,
+  leaderboardBody: null,
+  leaderboardEmpty: null,
+  clearLeaderboardButton: null,
+  closeLeaderboardButton: null,
+  statsButton: null,
+  statsModal: null,
+  statsList: null,
+  achievementCount: null,
+  achievementList: null,
+  closeStatsButton: null,
+  toastArea: null,
+  dailyButton: null,
+  dailyModal: null,
+  dailyDate: null,
+  dailyModifiers: null,
+  dailySummary: null,
+  playDailyButton: null,
+  closeDailyButton: null,
+  dailyHistory: null,
+  dailyHistoryEmpty: null,
   resumeButton: null,
-  backToTitleButton: null
+  backToTitleButton: null,
+  watchReplayButton: null,
+  downloadReplayButton: null,
+  replayControls: null,
+  replayPlayButton: null,
+  replaySpeedButton: null,
+  replayScrubber: null,
+  replayTick: null,
+  replayExitButton: null
 };
  
 // Initialize DOM cache when page loads
 function cacheDOMElements() {
   DOM.gameTitle = document.getElementById('game-title');
+  DOM.titleMenu = document.getElementById('title-menu');
   DOM.startButton = document.getElementById('start-button');
+  DOM.continueButton = document.getElementById('continue-button');
   DOM.howToPlayButton = document.getElementById('how-to-play-button');
+  DOM.loadReplayButton = document.getElementById('load-replay-button');
+  DOM.replayFileInput = document.getElementById('replay-file-input');
+  DOM.seedInput = document.getElementById('seed-input');
+  DOM.modeSelect = document.getElementById('mode-select');
+  DOM.opponentSelect = document.getElementById('opponent-select');
+  DOM.titleStatus = document.getElementById('title-status');
   DOM.header = document.getElementById('header');
   DOM.scoreboard = document.getElementById('scoreboard');
+  DOM.scoreboardTwo = document.getElementById('scoreboard-2');
   DOM.highscore = document.getElementById('highscore');
+  DOM.levelStatus = document.getElementById('level-status');
+  DOM.comboStatus = document.getElementById('combo-status');
+  DOM.powerUpStatus = document.getElementById('power-up-status');
+  DOM.fruitGuide = document.getElementById('fruit-guide');
+  DOM.powerUpGuide = document.getElementById('power-up-guide');
+  DOM.levelBanner = document.getElementById('level-banner');
+  DOM.resumeCountdown = document.getElementById('resume-countdown');
+  DOM.levelsButton = document.getElementById('levels-button');
+  DOM.levelSelectModal = document.getElementById('level-select-modal');
+  DOM.levelList = document.getElementById('level-list');
+  DOM.closeLevelSelectButton = document.getElementById('close-level-select-button');
+  DOM.gameOverTitle = document.getElementById('game-over-title');
+  DOM.soloResult = document.getElementById('solo-result');
+  DOM.scoreBreakdown = document.getElementById('score-breakdown');
+  DOM.versusResult = document.getElementById('versus-result');
+  DOM.versusScores = document.getElementById('versus-scores');
+  DOM.versusReason = document.getElementById('versus-reason');
+  DOM.editorButton = document.getElementById('editor-button');
+  DOM.editLevelButton = document.getElementById('edit-level-button');
+  DOM.editorToolbar = document.getElementById('editor-toolbar');
+  DOM.editorTools = document.getElementById('editor-tools');
+  DOM.editorFruitSelect = document.getElementById('editor-fruit-select');
+  DOM.editorUndoButton = document.getElementById('editor-undo-button');
+  DOM.editorRedoButton = document.getElementById('editor-redo-button');
+  DOM.editorPlaytestButton = document.getElementById('editor-playtest-button');
+  DOM.editorFileButton = document.getElementById('editor-file-button');
+  DOM.editorExitButton = document.getElementById('editor-exit-button');
+  DOM.editorStatus = document.getElementById('editor-status');
+  DOM.editorFileModal = document.getElementById('editor-file-modal');
+  DOM.editorNameInput = document.getElementById('editor-name-input');
+  DOM.editorTargetInput = document.getElementById('editor-target-input');
+  DOM.editorNewButton = document.getElementById('editor-new-button');
+  DOM.editorSaveButton = document.getElementById('editor-save-button');
+  DOM.editorExportButton = document.getElementById('editor-export-button');
+  DOM.editorImportButton = document.getElementById('editor-import-button');
+  DOM.editorFileInput = document.getElementById('editor-file-input');
+  DOM.editorFileStatus = document.getElementById('editor-file-status');
+  DOM.editorSavedList = document.getElementById('editor-saved-list');
+  DOM.editorSavedEmpty = document.getElementById('editor-saved-empty');
+  DOM.closeEditorFileButton = document.getElementById('close-editor-file-button');
   DOM.pauseButton = document.getElementById('pause-button');
   DOM.endGameButton = document.getElementById('end-game-button');
   DOM.gameCanvas = document.getElementById('gameCanvas');
   DOM.gameOverModal = document.getElementById('game-over-modal');
   DOM.pauseModal = document.getElementById('pause-modal');
   DOM.instructionsModal = document.getElementById('instructions-modal');
+  DOM.controlsSummary = document.getElementById('controls-summary');
+  DOM.controlsButton = document.getElementById('controls-button');
+  DOM.settingsButton = document.getElementById('settings-button');
+  DOM.settingsModal = document.getElementById('settings-modal');
+  DOM.settingsPresets = document.getElementById('settings-presets');
+  DOM.settingsFields = document.getElementById('settings-fields');
+  DOM.settingsWeights = document.getElementById('settings-weights');
+  DOM.settingsAudio = document.getElementById('settings-audio');
+  DOM.settingsDisplay = document.getElementById('settings-display');
+  DOM.unlockInfo = document.getElementById('unlock-info');
+  DOM.dailyResult = document.getElementById('daily-result');
+  DOM.dailyInfo = document.getElementById('daily-info');
+  DOM.shareDailyButton = document.getElementById('share-daily-button');
+  DOM.settingsAccess = document.getElementById('settings-access');
+  DOM.announcer = document.getElementById('announcer');
+  DOM.settingsDifficulty = document.getElementById('settings-difficulty');
+  DOM.settingsErrors = document.getElementById('settings-errors');
+  DOM.saveSettingsButton = document.getElementById('save-settings-button');
+  DOM.closeSettingsButton = document.getElementById('close-settings-button');
+  DOM.pauseControlsButton = document.getElementById('pause-controls-button');
+  DOM.controlsModal = document.getElementById('controls-modal');
+  DOM.keyBindings = document.getElementById('key-bindings');
+  DOM.gamepadBindings = document.getElementById('gamepad-bindings');
+  DOM.gamepadStatus = document.getElementById('gamepad-status');
+  DOM.resetControlsButton = document.getElementById('reset-controls-button');
+  DOM.closeControlsButton = document.getElementById('close-controls-button');
   DOM.finalScore = document.getElementById('final-score');
+  DOM.finalSeed = document.getElementById('final-seed');
   DOM.resetButton = document.getElementById('reset-button');
-  DOM.resetHighscoreButton = document.getElementById('reset-highscore-button');
+  DOM.gameOverLeaderboardButton = document.getElementById('game-over-leaderboard-button');
+  DOM.nameEntry = document.getElementById('name-entry');
+  DOM.nameInput = document.getElementById('name-input');
+  DOM.saveNameButton = document.getElementById('save-name-button');
+  DOM.leaderboardRank = document.getElementById('leaderboard-rank');
+  DOM.leaderboardButton = document.getElementById('leaderboard-button');
+  DOM.leaderboardModal = document.getElementById('leaderboard-modal');
+  DOM.leaderboardModeFilter = document.getElementById('leaderboard-mode-filter');
+  DOM.leaderboardDifficultyFilter = document.getElementById('leaderboard-difficulty-filter');
+  DOM.leaderboardScoringFilter = document.getElementById('leaderboard-scoring-filter');
+  DOM.leaderboardBody = document.getElementById('leaderboard-body');
+  DOM.leaderboardEmpty = document.getElementById('leaderboard-empty');
+  DOM.clearLeaderboardButton = document.getElementById('clear-leaderboard-button');
+  DOM.closeLeaderboardButton = document.getElementById('close-leaderboard-button');
+  DOM.statsButton = document.getElementById('stats-button');
+  DOM.statsModal = document.getElementById('stats-modal');
+  DOM.statsList = document.getElementById('stats-list');
+  DOM.achievementCount = document.getElementById('achievement-count');
+  DOM.achievementList = document.getElementById('achievement-list');
+  DOM.closeStatsButton = document.getElementById('close-stats-button');
+  DOM.toastArea = document.getElementById('toast-area');
+  DOM.dailyButton = document.getElementById('daily-button');
+  DOM.dailyModal = document.getElementById('daily-modal');
+  DOM.dailyDate = document.getElementById('daily-date');
+  DOM.dailyModifiers = document.getElementById('daily-modifiers');
+  DOM.dailySummary = document.getElementById('daily-summary');
+  DOM.playDailyButton = document.getElementById('play-daily-button');
+  DOM.closeDailyButton = document.getElementById('close-daily-button');
+  DOM.dailyHistory = document.getElementById('daily-history');
+  DOM.dailyHistoryEmpty = document.getElementById('daily-history-empty');
   DOM.resumeButton = document.getElementById('resume-button');
   DOM.pauseHowToPlayButton = document.getElementById('pause-how-to-play-button');
   DOM.closeInstructionsButton = document.getElementById('close-instructions-button');
+  DOM.watchReplayButton = document.getElementById('watch-replay-button');
+  DOM.downloadReplayButton = document.getElementById('download-replay-button');
+  DOM.replayControls = document.getElementById('replay-controls');
+  DOM.replayPlayButton = document.getElementById('replay-play-button');
+  DOM.replaySpeedButton = document.getElementById('replay-speed-button');
+  DOM.replayScrubber = document.getElementById('replay-scrubber');
+  DOM.replayTick = document.getElementById('replay-tick');
+  DOM.replayExitButton = document.getElementById('replay-exit-button');
 }
 
 // =============================================================================
@@ -90,22 +432,79 @@ function cacheDOMElements() {
 
 // Canvas and rendering context
 let canvas, ctx, cols, rows;
+let cellSize = DEFAULT_CELL_SIZE;        // Size of each grid cell in CSS pixels, scaled to fit the window
+let pixelRatio = 1;                      // Device pixels per CSS pixel the canvas is drawn at
 
-// Snake game objects and state
-let snake, prevSnake;                    // Current and previous snake positions for interpolation
-let direction, nextDirection;            // Current and queued movement directions
-let fruits = [], bombs = [];             // Game objects arrays
+// Simulation engine (see engine.js) and render-side snake history
+let engine;                              // SnakeEngine instance for the current game
+let prevSnakes = [];                     // Each snake's positions before its last move, for interpolation
+let nextDirections = [];                 // Direction passed to engine.step() for each player
+let inputQueues = [];                    // Turns each player has queued for their upcoming moves
+let bots = [];                           // Bot steering each player, or null for a human
+
+// Replay recording and playback (see replay.js)
+let currentRecording = null;             // Input log for the current or last game
+let replayPlayer = null;                 // Active ReplayPlayer while watching a replay
+let replaySpeed = 1;                     // Playback speed multiplier
+let replayPaused = false;                // Whether replay playback is paused
+let replayOrigin = GAME_STATES.GAME_OVER; // Screen to return to when the replay ends
 
 // Game state variables
-let score, highScore;                    // Score tracking
+let highScore;                           // Best score for the current mode
 let currentGameState = GAME_STATES.MENU; // Current game state
-let currentSnakeColor;                   // Dynamic snake color based on last fruit eaten
-let speedResetScore = 0;                 // Score at which speed calculation is based (for speed resets)
-let maxBombs = MAX_BOMBS;                // Dynamic maximum bombs (increases with shrink fruits)
+let currentMode = GAME_MODES.CLASSIC;    // Mode of the current or last game
+let selectedLevelIndex = 0;              // Built-in level a Levels game starts on
+let gameSettings = getPresetSettings(DEFAULT_PRESET); // Tuning from the settings screen (see settings.js)
+let currentDifficulty = DEFAULT_PRESET;  // Preset gameSettings match, or 'custom'; keeps high scores apart
+let currentScoring = SCORING_VERSION;    // Scoring the current game plays under, from its config
+let highScoreCheered = false;            // Whether this game has already played the new high score sound
+let activeTheme = THEMES[DEFAULT_THEME]; // Theme the canvas and page are drawn in
+let activeSkin = DEFAULT_SKIN;           // Unlocked snake skin chosen in the settings
+let levelBannerTimer = null;             // Timeout that hides the level banner
+let resumeCountdownTimer = null;         // Timeout of the next resume countdown step, while counting down
+let attractMode = false;                 // Whether the title screen demo is running
+let attractRestartTimer = null;          // Timeout that starts the next demo
+
+// Level editor state (see editor.js)
+let levelEditor = null;                  // LevelEditor kept across playtests
+let editorLayout = null;                 // layoutLevel() of the map being edited, for drawing
+let editorTool = EDITOR_TOOLS.WALL;      // Tool used by the left mouse button
+let editorStrokeTool = null;             // Tool of the stroke in progress, or null
+let editorHover = null;                  // Map cell under the pointer
+let playtestLevel = null;                // Editor level being playtested instead of the mode's game
+
+// Leaderboard state (see leaderboard.js)
+let leaderboard = [];                    // All saved entries, every mode
+let pendingLeaderboardEntry = null;      // Entry awaiting initials on the game over screen
+
+// Stats and achievements state (see achievements.js)
+let achievementTracker = null;           // AchievementTracker holding lifetime stats and unlocks
+
+// Daily challenge state (see daily.js)
+let dailyDate = null;                    // Date key of the daily run being played or last played
+let dailyShareText = '';                 // Result summary of the last daily run, for copying
+
+// Offscreen canvas holding the current level's pre-rendered walls
+const arenaCache = { level: null, theme: null, canvas: null };
+
+// Sound effects and music (see audio.js); silent until the first user gesture
+const sound = new SoundSystem();
+
+// Particles, popups and screen shake drawn over the playfield (see effects.js)
+const effects = new EffectsSystem();
 
 // Touch input tracking
 let touchStartX, touchStartY;
 
+// Keyboard and gamepad bindings
+let controls = { keys: { ...DEFAULT_KEY_BINDINGS }, gamepad: { ...DEFAULT_GAMEPAD_BINDINGS } };
+let bindingCapture = null;               // {type: 'keys'|'gamepad', action} while waiting for a new binding
+
+// Gamepad polling state, keyed by Gamepad.index
+const gamepadButtonsHeld = {};           // Pressed flags from the last poll, to react once per press
+const gamepadStickDirections = {};       // Stick direction from the last poll, to react once per push
+let gamepadMenuPolling = false;          // Whether gamepadMenuLoop is running
+
 // Timing variables for smooth animation
 let lastTime = 0, accumulator = 0;
 
@@ -122,282 +521,286 @@ const tempDirection = { x: 0, y: 0 };
  * @returns {number} Current game speed in milliseconds
  */
 function getCurrentGameSpeed() {
-  const effectiveScore = score - speedResetScore;
-  const speedReduction = effectiveScore * SPEED_INCREASE_RATE;
-  return Math.max(MIN_GAME_SPEED, BASE_GAME_SPEED - speedReduction);
+  return engine.getSpeed();
 }
 
 // =============================================================================
-// FRUIT CONFIGURATION & GENERATION
+// LOCAL STORAGE FUNCTIONS
 // =============================================================================
 
-// Fruit types with weighted spawning and point values
-const FRUIT_TYPES = [
-  { shape: 'circle', weight: 0.39, points: 5 },    // Common, low value
-  { shape: 'triangle', weight: 0.29, points: 10 },  // Uncommon, medium value
-  { shape: 'diamond', weight: 0.19, points: 25 },   // Rare, high value
-  { shape: 'star', weight: 0.09, points: 50 },      // Very rare, highest value
-  { shape: 'speedreset', weight: 0.02, points: 0, effect: 'speedreset' },  // Ultra rare, resets speed
-  { shape: 'shrink', weight: 0.02, points: 0, effect: 'shrink' }  // Ultra rare, shrinks snake
-];
-
-// Available colors for fruits and snake
-const FRUIT_COLORS = ['#f0f', '#0f0', '#f00', '#ff8800', '#00f', '#0ff'];
-
 /**
- * Selects a fruit type based on weighted probability
- * @returns {Object} Selected fruit type with shape, weight, and points
+ * Loads the best score for the current mode and difficulty from the leaderboard
+ * @returns {number} The saved high score or 0 if none exists
  */
-function selectWeightedFruitType() {
-  const random = Math.random();
-  let cumulativeWeight = 0;
+function loadHighScore() {
+  leaderboard = loadLeaderboard();
   
-  for (const fruitType of FRUIT_TYPES) {
-    cumulativeWeight += fruitType.weight;
-    if (random < cumulativeWeight) {
-      return fruitType;
-    }
+  // Daily runs are only compared with the rest of the same day's, assisted or not
+  if (currentMode === GAME_MODES.DAILY) {
+    const day = loadDailyHistory(isAssistedDaily())[dailyDate || getDailyDateKey()];
+    return day ? day.score : 0;
   }
-  
-  // Fallback to last fruit type (should never reach here)
-  return FRUIT_TYPES[FRUIT_TYPES.length - 1];
+  return getBestScore(leaderboard, currentMode, currentDifficulty, currentScoring);
 }
 
-/**
- * Generates a random position that doesn't collide with existing game objects
- * @returns {Object} Position object with x, y coordinates, or null if no space available
- */
-function generateSafePosition() {
-  const maxAttempts = 100; // Prevent infinite loop
-  let attempts = 0;
-  
-  do {
-    tempPos.x = Math.floor(Math.random() * cols);
-    tempPos.y = Math.floor(Math.random() * rows);
-    attempts++;
-    
-    // Check if position is occupied by any game object
-    const isOccupied = 
-      snake.some(segment => segment.x === tempPos.x && segment.y === tempPos.y) ||
-      fruits.some(fruit => fruit.x === tempPos.x && fruit.y === tempPos.y) ||
-      bombs.some(bomb => bomb.x === tempPos.x && bomb.y === tempPos.y);
-      
-    if (!isOccupied) {
-      return { x: tempPos.x, y: tempPos.y }; // Return new object to avoid reference issues
-    }
-  } while (attempts < maxAttempts);
-  
-  return null; // No safe position found
-}
+// =============================================================================
+// GAME INITIALIZATION & STATE MANAGEMENT
+// =============================================================================
 
 /**
- * Spawns a new fruit at a random safe location
+ * Initializes and starts a new game
  */
-function spawnFruit() {
-  // Don't spawn if at maximum capacity
-  if (fruits.length >= MAX_FRUITS) return;
+function startGame() {
+  // Update game state
+  currentGameState = GAME_STATES.PLAYING;
   
-  const position = generateSafePosition();
-  if (!position) return; // No safe space available
+  // Pick up the latest settings before the grid is sized from the cell size
+  applySettings(loadSettings());
   
-  const fruitType = selectWeightedFruitType();
+  // A new daily run is always today's, even if the page was left open overnight
+  if (isDailyGame()) {
+    dailyDate = getDailyDateKey();
+    currentDifficulty = gameSettings.assist ? ASSIST_PRESET : DEFAULT_PRESET;
+  }
   
-  // Give special fruits distinct colors, others get random colors
-  let color;
-  if (fruitType.effect === 'speedreset') {
-    color = '#8a2be2'; // Purple for speed reset
-  } else if (fruitType.effect === 'shrink') {
-    color = '#f2ff00ff'; // Yellow for shrink
-  } else {
-    color = FRUIT_COLORS[Math.floor(Math.random() * FRUIT_COLORS.length)];
-  }
-   
-  fruits.push({
-    x: position.x,
-    y: position.y,
-    shape: fruitType.shape,
-    points: fruitType.points,
-    color: color,
-    effect: fruitType.effect
-  });
-}
-
-/**
- * Spawns a new bomb at a random safe location
- */
-/**
- * Calculates dynamic bomb spawn and despawn rates based on current bomb density
- * @returns {Object} Object with spawnRate and despawnRate properties
- */
-function calculateBombRates() {
-  const currentBombs = bombs.length;
-  const maxBombCapacity = maxBombs;
+  // Update UI visibility, then setup canvas and calculate grid dimensions
+  setGameControlsVisible(true);
+  showPlayfield();
   
-  // Calculate bomb density ratio (0 = no bombs, 1 = at max capacity)
-  const bombDensity = maxBombCapacity > 0 ? currentBombs / maxBombCapacity : 0;
+  // Daily runs share one grid so everyone gets the same layout, scaled to fit
+  if (isDailyGame()) {
+    cols = DAILY_GRID.cols;
+    rows = DAILY_GRID.rows;
+    layoutCanvas();
+  }
   
-  // Spawn rate: High when no bombs (30%), decreases to minimum as bombs increase
-  const spawnRate = BASE_BOMB_SPAWN_CHANCE - (bombDensity * (BASE_BOMB_SPAWN_CHANCE - MIN_BOMB_SPAWN_CHANCE));
+  // Build the mode's engine config; authored levels may not fit this screen
+  let config;
+  try {
+    config = buildModeConfig();
+  } catch (error) {
+    if (playtestLevel) {
+      openEditor();
+      setEditorStatus(error.message, true);
+      return;
+    }
+    showTitleScreen();
+    setTitleStatus(error.message, true);
+    return;
+  }
   
-  // Despawn rate: 0% when no bombs, increases to maximum as bombs increase
-  const despawnRate = bombDensity * MAX_BOMB_DESPAWN_CHANCE;
+  // Create a fresh simulation sized to the grid and reset UI state
+  initializeGameState(config);
   
-  return {
-    spawnRate: Math.max(0, Math.min(1, spawnRate)),
-    despawnRate: Math.max(0, Math.min(1, despawnRate))
-  };
-}
-
-function spawnBomb() {
-  // Don't spawn if at maximum capacity
-  if (bombs.length >= maxBombs) return;
+  // A new game replaces any saved one
+  clearSavedGame();
   
-  const position = generateSafePosition();
-  if (!position) return; // No safe space available
+  // Reset timing for smooth animation
+  resetGameTiming();
   
-  bombs.push({
-    x: position.x,
-    y: position.y
-  });
+  // Start game loop
+  sound.startMusic();
+  requestAnimationFrame(gameLoop);
+  
+  // Attach event listeners
+  attachEventListeners();
 }
 
-// =============================================================================
-// LOCAL STORAGE FUNCTIONS
-// =============================================================================
-
 /**
- * Loads the high score from localStorage
- * @returns {number} The saved high score or 0 if none exists
+ * Hides the title screen and modals and lays out the header and canvas
  */
-function loadHighScore() {
-  try {
-    const savedScore = localStorage.getItem('neonSnakeHighScore');
-    return savedScore ? parseInt(savedScore, 10) : 0;
-  } catch (error) {
-    // localStorage might be disabled or unavailable
-    console.warn('Unable to load high score from localStorage:', error);
-    return 0;
-  }
+function showPlayfield() {
+  DOM.gameTitle.style.display = 'none';
+  DOM.titleMenu.style.display = 'none';
+  hideModal(DOM.gameOverModal);
+  hideModal(DOM.pauseModal);
+  DOM.header.style.display = 'flex';
+  DOM.gameCanvas.classList.remove('attract');
+  setupCanvas();
 }
 
 /**
- * Saves the high score to localStorage
- * @param {number} score - The high score to save
+ * Returns to the title screen from a replay or other non-game view
  */
-function saveHighScore(score) {
-  try {
-    localStorage.setItem('neonSnakeHighScore', score.toString());
-  } catch (error) {
-    // localStorage might be disabled, full, or unavailable
-    console.warn('Unable to save high score to localStorage:', error);
-  }
+function showTitleScreen() {
+  currentGameState = GAME_STATES.MENU;
+  DOM.header.style.display = 'none';
+  DOM.gameCanvas.style.display = 'none';
+  hideModal(DOM.gameOverModal);
+  hideModal(DOM.pauseModal);
+  DOM.gameTitle.style.display = '';
+  DOM.titleMenu.style.display = '';
+  sound.stopMusic();
+  updateContinueButton();
+  startAttractMode();
 }
 
 /**
- * Resets the high score to 0 in localStorage and updates display
+ * Shows or hides the header's Pause and End Game buttons.
+ * Hidden buttons keep their space so the header (and grid size) stays the same.
+ * @param {boolean} visible - Whether the buttons should be visible
  */
-function resetHighScore() {
-  try {
-    localStorage.setItem('neonSnakeHighScore', '0');
-    highScore = 0;
-    updateHighScoreDisplay();
-  } catch (error) {
-    console.warn('Unable to reset high score in localStorage:', error);
-  }
+function setGameControlsVisible(visible) {
+  DOM.pauseButton.style.display = 'inline-block';
+  DOM.endGameButton.style.display = 'inline-block';
+  DOM.pauseButton.style.visibility = visible ? '' : 'hidden';
+  DOM.endGameButton.style.visibility = visible ? '' : 'hidden';
 }
 
-// =============================================================================
-// GAME INITIALIZATION & STATE MANAGEMENT
-// =============================================================================
-
 /**
- * Initializes and starts a new game
+ * Builds the engine config for the current mode, settings and grid size
+ * @returns {Object} Engine config overrides
+ * @throws {Error} If the selected level doesn't fit on the current grid
  */
-function startGame() {
-  // Update game state
-  currentGameState = GAME_STATES.PLAYING;
-  
-  // Update UI visibility
-  DOM.gameTitle.style.display = 'none';
-  DOM.startButton.style.display = 'none';
-  DOM.howToPlayButton.style.display = 'none';
-  DOM.gameOverModal.classList.remove('show');
-  DOM.pauseModal.classList.remove('show');
-  DOM.header.style.display = 'flex';
-  DOM.pauseButton.style.display = 'inline-block';
-  DOM.endGameButton.style.display = 'inline-block';
-  
-  // Reset game state variables
-  initializeGameState();
-  
-  // Setup canvas and calculate grid dimensions
-  setupCanvas();
+function buildModeConfig() {
+  // Levels weight their fruits on top of the player's fruit weights
+  const config = settingsToEngineConfig(gameSettings);
   
-  // Position snake at center of grid
-  snake[0] = { 
-    x: Math.floor(cols / 2), 
-    y: Math.floor(rows / 2) 
-  };
+  // A playtest plays just the editor's level, whatever mode is selected
+  if (playtestLevel) {
+    const layout = layoutLevel(playtestLevel, cols, rows, config.fruitTypes);
+    if (!layout) throw new Error('This level no longer fits the screen. Try a larger window or smaller cells.');
+    return { ...config, levels: [layout], startLevel: 0 };
+  }
   
-  // Spawn initial fruits
-  for (let i = 0; i < MAX_FRUITS; i++) {
-    spawnFruit();
+  // Everyone plays the day's rules on Normal whatever their settings; only assist speed carries over
+  if (currentMode === GAME_MODES.DAILY) {
+    const rules = settingsToEngineConfig({ ...getPresetSettings(DEFAULT_PRESET), assist: gameSettings.assist });
+    return applyDailyModifiers(rules, getDailyModifiers(dailyDate));
   }
   
-  // Reset timing for smooth animation
-  resetGameTiming();
+  Object.assign(config, GAME_MODE_CONFIGS[currentMode]);
   
-  // Start game loop
-  requestAnimationFrame(gameLoop);
+  if (currentMode === GAME_MODES.LEVELS) {
+    // Lay out the campaign up to the first level that doesn't fit this grid
+    const levels = [];
+    for (const level of BUILT_IN_LEVELS) {
+      const layout = layoutLevel(level, cols, rows, config.fruitTypes);
+      if (!layout) break;
+      levels.push(layout);
+    }
+    
+    if (selectedLevelIndex >= levels.length) {
+      const level = BUILT_IN_LEVELS[selectedLevelIndex];
+      throw new Error(level.name + ' needs a ' + level.map[0].length + 'x' + level.map.length +
+        ' grid, but this screen fits ' + cols + 'x' + rows + '. Try a larger window or smaller cells.');
+    }
+    
+    config.levels = levels;
+    config.startLevel = selectedLevelIndex;
+  }
   
-  // Attach event listeners
-  attachEventListeners();
+  return config;
 }
 
 /**
  * Initializes all game state variables to default values
+ * @param {Object} config - Engine config overrides for the current mode
+ */
+function initializeGameState(config) {
+  // Daily runs are seeded by their date; otherwise an empty seed field gives a
+  // fresh random layout every game
+  engine = new SnakeEngine({
+    cols,
+    rows,
+    seed: isDailyGame() ? getDailySeed(dailyDate) : parseSeed(DOM.seedInput.value),
+    config: config
+  });
+  resetSessionState();
+}
+
+/**
+ * Resets input, bots, recording and the header around the current engine,
+ * whether it was just created or restored from a save
  */
-function initializeGameState() {
-  prevSnake = [];
-  snake = [{ x: 0, y: 0 }]; // Will be repositioned in startGame()
-  direction = { x: 1, y: 0 }; // Start moving right
-  nextDirection = { ...direction };
-  fruits = [];
-  bombs = [];
-  score = 0;
-  speedResetScore = 0; // Reset speed calculation base
-  maxBombs = MAX_BOMBS; // Reset maximum bombs to default
-  currentSnakeColor = '#0ff'; // Default cyan color
+function resetSessionState() {
+  const state = engine.getState();
+  updateArenaBorder(state.wrapEdges);
+  updateLevelStatus(state);
+  prevSnakes = [];
+  effects.clear();
+  nextDirections = state.players.map(player => ({ ...player.requestedDirection }));
+  inputQueues = state.players.map(() => []);
+  bots = state.players.map((player, index) => index > 0 && DOM.opponentSelect.value ? createBot(DOM.opponentSelect.value) : null);
+  currentRecording = createRecording(engine);
+  currentScoring = getConfigScoring(engine.config);
+  
+  // Solo games count toward stats, apart from level playtests
+  if (playtestLevel || UNTRACKED_MODES.includes(currentMode)) {
+    achievementTracker.discardGame();
+  } else {
+    achievementTracker.startGame(state);
+  }
   
   // Load high score from localStorage
   highScore = loadHighScore();
+  highScoreCheered = state.score > highScore;
   
-  updateScoreDisplay();
+  updateScoreDisplay(state);
   updateHighScoreDisplay();
 }
 
 /**
- * Sets up canvas dimensions and rendering context
+ * Picks a grid that fills the screen at the configured cell size and lays out the canvas for it
  */
 function setupCanvas() {
   canvas = DOM.gameCanvas;
   canvas.style.display = 'block';
   
   // Calculate grid dimensions based on available screen space
+  const area = getCanvasArea();
+  cols = Math.floor(area.width / gameSettings.cellSize);
+  rows = Math.floor(area.height / gameSettings.cellSize);
+  
+  layoutCanvas();
+}
+
+/**
+ * Measures the space below the header that the canvas may fill
+ * @returns {Object} {top, width, height} in CSS pixels, excluding the border
+ */
+function getCanvasArea() {
   const headerHeight = DOM.header.offsetHeight;
-  cols = Math.floor((window.innerWidth - 2 * PADDING - 2 * BORDER_WIDTH) / CELL_SIZE);
-  rows = Math.floor((window.innerHeight - headerHeight - 2 * PADDING - 2 * BORDER_WIDTH) / CELL_SIZE);
+  return {
+    top: headerHeight + PADDING,
+    width: window.innerWidth - 2 * PADDING - 2 * BORDER_WIDTH,
+    height: window.innerHeight - headerHeight - 2 * PADDING - 2 * BORDER_WIDTH
+  };
+}
+
+/**
+ * Sizes and positions the canvas for the current grid. Cells scale to the
+ * largest whole pixel size that fits the window and any leftover space is
+ * letterboxed; the grid itself never changes here, so everything keeps its cell.
+ */
+function layoutCanvas() {
+  const area = getCanvasArea();
+  cellSize = Math.max(1, Math.floor(Math.min(area.width / cols, area.height / rows)));
+  const width = cols * cellSize;
+  const height = rows * cellSize;
   
-  // Set canvas size
-  canvas.width = cols * CELL_SIZE;
-  canvas.height = rows * CELL_SIZE;
+  // Back the canvas with device pixels so it stays crisp on HiDPI screens
+  pixelRatio = window.devicePixelRatio || 1;
+  canvas.width = Math.round(width * pixelRatio);
+  canvas.height = Math.round(height * pixelRatio);
+  canvas.style.width = width + 'px';
+  canvas.style.height = height + 'px';
   
-  // Position canvas - center it horizontally
-  canvas.style.top = (headerHeight + PADDING) + 'px';
-  canvas.style.left = Math.floor((window.innerWidth - canvas.width) / 2) + 'px';
+  // Center the canvas in the space below the header
+  canvas.style.top = (area.top + Math.max(0, Math.floor((area.height - height) / 2))) + 'px';
+  canvas.style.left = Math.floor((window.innerWidth - width) / 2) + 'px';
   
-  // Get 2D rendering context
+  // Get 2D rendering context; drawing code works in CSS pixels
   ctx = canvas.getContext('2d');
+  ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+}
+
+/**
+ * Styles the canvas border as a lethal wall when the edges don't wrap
+ * @param {boolean} wrapEdges - Whether the snake wraps around the grid edges
+ */
+function updateArenaBorder(wrapEdges) {
+  DOM.gameCanvas.classList.toggle('wall-mode', !wrapEdges);
 }
 
 /**
@@ -436,93 +839,98 @@ function attachEventListeners() {
  * @param {number} timestamp - Current timestamp from requestAnimationFrame
  */
 function gameLoop(timestamp) {
-  // Continue loop for paused state to maintain smooth transitions
-  if (currentGameState === GAME_STATES.PAUSED) {
-    requestAnimationFrame(gameLoop);
-    return;
-  }
-  
-  // Stop the game loop when game is over
-  if (currentGameState === GAME_STATES.GAME_OVER) {
+  // Stop the game loop when paused, when the game is over or a replay has taken
+  // over; resuming starts a fresh loop
+  if (currentGameState !== GAME_STATES.PLAYING) {
     return; // Exit game loop completely
   }
   
+  // Read gamepads before simulating so their turns land on this frame's ticks
+  pollGamepads();
+  if (currentGameState !== GAME_STATES.PLAYING) return; // Start paused the game; resuming restarts the loop
+  
   // Calculate time delta
   const deltaTime = timestamp - lastTime;
   lastTime = timestamp;
   accumulator += deltaTime;
   
-  // Fixed timestep updates - ensures consistent game speed across different frame rates
-  const currentSpeed = getCurrentGameSpeed();
+  // Tick-based updates - ensures consistent game speed across different frame rates
+  let currentSpeed = getCurrentGameSpeed();
+  let ticksThisFrame = 0;
   while (accumulator >= currentSpeed) {
-    // Check if snake is properly initialized
-    if (!snake || snake.length === 0) {
-      console.error('Game loop running but snake not initialized');
-      return;
+    // After a stall (a long frame or a throttled tab) drop the backlog instead
+    // of running the snake blind for many ticks at once
+    if (ticksThisFrame === MAX_CATCH_UP_TICKS) {
+      accumulator = 0;
+      break;
     }
+    ticksThisFrame++;
     
-    // Calculate next head position using reusable object
-    const nextHead = calculateNextPosition(snake[0], nextDirection);
-    
-    // Check for collisions that end the game
-    if (checkGameEndingCollisions(nextHead)) {
-      endGame();
+    // Check if engine is properly initialized
+    if (!engine) {
+      console.error('Game loop running but engine not initialized');
       return;
     }
     
     // Store previous snake state for smooth interpolation
-    prevSnake = snake.map(segment => ({ ...segment }));
+    const state = engine.getState();
+    const snakesBefore = copySnakes(state);
+    steerBots(state);
+    takeQueuedDirections(state);
+    
+    // Log direction changes so the run can be replayed later
+    state.players.forEach((player, index) => {
+      recordDirectionChange(currentRecording, state.tick, nextDirections[index], player.requestedDirection, index);
+    });
     
-    // Update game state
-    updateGameState();
+    // Advance the simulation one tick and react to what happened
+    const result = engine.step(nextDirections);
+    updatePrevSnakes(snakesBefore, engine.getState());
+    handleEngineEvents(result.events);
+    
+    if (result.gameOver) {
+      endGame();
+      return;
+    }
     
-    // Subtract fixed timestep from accumulator
+    // Subtract this tick from the accumulator; versus ticks vary with each snake's speed
     accumulator -= currentSpeed;
+    currentSpeed = getCurrentGameSpeed();
   }
   
   // Render frame with interpolation for smooth visuals
-  const interpolationFactor = accumulator / currentSpeed;
-  render(interpolationFactor);
+  render(engine.getState(), accumulator);
+  
+  // Keep the music in step with the snake
+  sound.setTempo(currentSpeed);
   
   // Continue game loop
   requestAnimationFrame(gameLoop);
 }
 
 /**
- * Calculates the next position for a given position and direction
- * @param {Object} currentPos - Current position {x, y}
- * @param {Object} dir - Direction vector {x, y}
- * @returns {Object} Next position with wrapping
+ * Lets each bot due to move pick its snake's next direction, through the
+ * same requestDirection() path as the keyboard
+ * @param {Object} state - Engine state snapshot before the tick
  */
-function calculateNextPosition(currentPos, dir) {
-  // Defensive check for undefined parameters
-  if (!currentPos || !dir || cols === undefined || rows === undefined) {
-    console.error('calculateNextPosition called with invalid parameters:', { currentPos, dir, cols, rows });
-    return { x: 0, y: 0 };
-  }
-  
-  tempPos.x = (currentPos.x + dir.x + cols) % cols;
-  tempPos.y = (currentPos.y + dir.y + rows) % rows;
-  return tempPos;
+function steerBots(state) {
+  bots.forEach((bot, index) => {
+    if (!bot || !engine.isPlayerDue(state.players[index])) return;
+    const direction = bot.chooseDirection(state, index);
+    if (direction) requestDirection(index, direction);
+  });
 }
 
 /**
- * Checks for collisions that would end the game
- * @param {Object} nextHeadPos - Next position of snake head
- * @returns {boolean} True if collision detected
+ * Hands every snake due to move its next queued turn; one turn per move
+ * @param {Object} state - Engine state snapshot before the tick
  */
-function checkGameEndingCollisions(nextHeadPos) {
-  // Check bomb collision
-  const bombCollision = bombs.some(bomb => 
-    bomb.x === nextHeadPos.x && bomb.y === nextHeadPos.y
-  );
-  
-  // Check self-collision (snake hitting itself)
-  const selfCollision = snake.some(segment => 
-    segment.x === nextHeadPos.x && segment.y === nextHeadPos.y
-  );
-  
-  return bombCollision || selfCollision;
+function takeQueuedDirections(state) {
+  state.players.forEach((player, index) => {
+    if (inputQueues[index].length > 0 && engine.isPlayerDue(player)) {
+      nextDirections[index] = inputQueues[index].shift();
+    }
+  });
 }
 
 /**
@@ -530,15 +938,28 @@ function checkGameEndingCollisions(nextHeadPos) {
  */
 function endGame() {
   currentGameState = GAME_STATES.GAME_OVER;
+  finishRecording(currentRecording, engine);
+  clearSavedGame();
+  sound.stopMusic();
   
-  // Update high score if current score is higher
-  if (score > highScore) {
-    highScore = score;
-    saveHighScore(highScore);
-    updateHighScoreDisplay();
-  }
-  
+  recordLeaderboardEntry();
+  recordSkinProgress();
+  recordAchievementProgress();
+  recordDailyRun();
   showGameOverModal();
+  
+  // Let a death explosion play out behind the game over screen
+  requestAnimationFrame(gameOverEffectsLoop);
+}
+
+/**
+ * Keeps drawing the final frame while effects are still animating
+ */
+function gameOverEffectsLoop() {
+  if (currentGameState !== GAME_STATES.GAME_OVER) return;
+  
+  render(engine.getState(), accumulator);
+  if (effects.isActive()) requestAnimationFrame(gameOverEffectsLoop);
 }
 
 /**
@@ -546,289 +967,639 @@ function endGame() {
  */
 function manualEndGame() {
   if (currentGameState === GAME_STATES.PLAYING || currentGameState === GAME_STATES.PAUSED) {
-    // Close pause modal if open
-    DOM.pauseModal.classList.remove('show');
+    // Close pause modal and countdown if open
+    hideModal(DOM.pauseModal);
+    cancelResumeCountdown();
     endGame();
   }
 }
 
 // =============================================================================
-// GAME STATE UPDATE
+// SAVED GAMES
 // =============================================================================
 
 /**
- * Updates game state for one game tick
+ * Saves the current game so it can be continued after a reload (see savegame.js).
+ * Playtests belong to an editor session and are never saved.
  */
-function updateGameState() {
-  // Update snake direction
-  direction = { ...nextDirection };
-  
-  // Calculate new head position
-  const newHead = {
-    x: (snake[0].x + direction.x + cols) % cols,
-    y: (snake[0].y + direction.y + rows) % rows
-  };
-  
-  // Add new head to snake
-  snake.unshift(newHead);
-  
-  // Check for fruit collision
-  const eatenFruitIndex = fruits.findIndex(fruit => 
-    fruit.x === newHead.x && fruit.y === newHead.y
-  );
-  
-  if (eatenFruitIndex !== -1) {
-    handleFruitEaten(eatenFruitIndex);
-  } else {
-    // No fruit eaten, remove tail to maintain snake length
-    snake.pop();
-  }
-}
-
-/**
- * Handles logic when a fruit is eaten
- * @param {number} fruitIndex - Index of eaten fruit in fruits array
- */
-function handleFruitEaten(fruitIndex) {
-  const eatenFruit = fruits.splice(fruitIndex, 1)[0];
-  
-  // Update score and snake color
-  score += eatenFruit.points;
-  currentSnakeColor = eatenFruit.color;
-  updateScoreDisplay();
-  
-  // Debug: Log current speed after eating fruit
-  console.log('Fruit eaten! Current speed:', getCurrentGameSpeed() + 'ms', 'Score:', score, 'Speed reset score:', speedResetScore, 'Max bombs:', maxBombs);
-  
-  // Handle special fruit effects
-  if (eatenFruit.effect === 'speedreset') {
-    // Reset speed by setting speedResetScore to current score
-    speedResetScore = score;
-    // Increase maximum bomb count
-    maxBombs++;
-    // Also need to remove the tail since speed reset fruit doesn't make snake grow
-    snake.pop();
-  } else if (eatenFruit.effect === 'shrink') {
-    // Shrink snake to half its length (minimum length of 1)
-    const newLength = Math.max(1, Math.floor(snake.length / 2));
-    snake = snake.slice(0, newLength);
-    // Increase maximum bomb count
-    maxBombs++;
-    // Also need to remove the tail since shrink fruit doesn't make snake grow
-    snake.pop();
-  } else {
-    // Normal fruit: Snake grows by NOT removing the tail
-    // The new head was already added in updateGameState(), so the snake is now one segment longer
-  }
-  
-  // Spawn new fruit to replace eaten one
-  spawnFruit();
+function saveGameInProgress() {
+  const inProgress = currentGameState === GAME_STATES.PLAYING || currentGameState === GAME_STATES.PAUSED;
+  if (!inProgress || playtestLevel || engine.gameOver) return;
   
-  // Use dynamic bomb spawn/despawn rates based on current bomb density
-  const bombRates = calculateBombRates();
-  console.log('Bomb rates - Current bombs:', bombs.length, '/', maxBombs, 'Spawn rate:', (bombRates.spawnRate * 100).toFixed(1) + '%', 'Despawn rate:', (bombRates.despawnRate * 100).toFixed(1) + '%');
-  
-  if (Math.random() < bombRates.spawnRate) {
-    spawnBomb();
-  }
-  
-  if (Math.random() < bombRates.despawnRate && bombs.length > 0) {
-    const randomBombIndex = Math.floor(Math.random() * bombs.length);
-    bombs.splice(randomBombIndex, 1);
-  }
+  storeSavedGame(createSavedGame(engine, currentRecording, {
+    mode: currentMode,
+    difficulty: currentDifficulty,
+    opponent: DOM.opponentSelect.value,
+    daily: currentMode === GAME_MODES.DAILY ? dailyDate : null
+  }));
 }
 
-// =============================================================================
-// RENDERING SYSTEM
-// =============================================================================
-
 /**
- * Main rendering function with interpolation for smooth animation
- * @param {number} interpolationFactor - Factor for smooth interpolation (0-1)
+ * Pauses and saves the game when the page is hidden, since the tab may never come back
  */
-function render(interpolationFactor) {
-  // Clear entire canvas
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
-  
-  // Render game objects
-  renderFruits();
-  renderBombs();
-  renderSnake(interpolationFactor);
+function handleVisibilityChange() {
+  if (!document.hidden) return;
+  autoPause();
+  saveGameInProgress();
 }
 
 /**
- * Renders all fruits on the canvas
+ * Shows the title screen's Continue button only when there's a usable save
  */
-function renderFruits() {
-  // Set up glow effect for fruits
-  ctx.shadowBlur = SHADOW_BLUR;
-  
-  fruits.forEach(fruit => {
-    const centerX = fruit.x * CELL_SIZE + CELL_SIZE / 2;
-    const centerY = fruit.y * CELL_SIZE + CELL_SIZE / 2;
-    
-    // Set fruit color and glow
-    ctx.fillStyle = fruit.color;
-    ctx.shadowColor = fruit.color;
-    
-    // Draw fruit based on shape type
-    renderFruitShape(fruit.shape, centerX, centerY);
-  });
-  
-  // Reset shadow for subsequent renders
-  ctx.shadowBlur = 0;
+function updateContinueButton() {
+  DOM.continueButton.style.display = loadSavedGame() ? '' : 'none';
 }
 
 /**
- * Renders a specific fruit shape at given coordinates
- * @param {string} shape - Shape type ('circle', 'triangle', 'diamond', 'star')
- * @param {number} centerX - X coordinate of shape center
- * @param {number} centerY - Y coordinate of shape center
+ * Restores the saved game into the paused state
  */
-function renderFruitShape(shape, centerX, centerY) {
-  ctx.beginPath();
-  
-  switch (shape) {
-    case 'circle':
-      ctx.arc(centerX, centerY, CELL_SIZE / 2, 0, 2 * Math.PI);
-      break;
-      
-    case 'triangle':
-      const triangleSize = CELL_SIZE * 0.45;
-      ctx.moveTo(centerX, centerY - triangleSize);
-      ctx.lineTo(centerX - triangleSize, centerY + triangleSize);
-      ctx.lineTo(centerX + triangleSize, centerY + triangleSize);
-      ctx.closePath();
-      break;
-      
-    case 'diamond':
-      // Draw rotated square for diamond effect
-      ctx.save();
-      ctx.translate(centerX, centerY);
-      ctx.rotate(Math.PI / 4);
-      const diamondSize = CELL_SIZE * 0.75;
-      ctx.fillRect(-diamondSize / 2, -diamondSize / 2, diamondSize, diamondSize);
-      ctx.restore();
-      return; // Early return since we used fillRect
-      
-    case 'star':
-      renderStarShape(centerX, centerY);
-      break;
-      
-    case 'speedreset':
-      renderSpeedResetShape(centerX, centerY);
-      break;
-      
-    case 'shrink':
-      renderShrinkShape(centerX, centerY);
-      break;
+function continueSavedGame() {
+  const saved = loadSavedGame();
+  const meta = saved && saved.meta;
+  const usable = saved &&
+    Object.values(GAME_MODES).includes(meta.mode) &&
+    (!meta.opponent || BOT_STRATEGIES.hasOwnProperty(meta.opponent)) &&
+    (meta.mode !== GAME_MODES.DAILY || isDailyDateKey(meta.daily)) &&
+    (DIFFICULTY_PRESETS.hasOwnProperty(meta.difficulty) || [CUSTOM_PRESET, ASSIST_PRESET].includes(meta.difficulty));
+  if (!usable) {
+    clearSavedGame();
+    updateContinueButton();
+    setTitleStatus('The saved game could not be restored.', true);
+    return;
   }
   
-  ctx.fill();
+  // Put the title pickers back the way the game was started
+  currentMode = meta.mode;
+  DOM.modeSelect.value = currentMode;
+  DOM.opponentSelect.value = meta.opponent || '';
+  updateOpponentSelect();
+  currentDifficulty = meta.difficulty;
+  dailyDate = meta.daily || null;
+  
+  currentGameState = GAME_STATES.PAUSED;
+  setGameControlsVisible(true);
+  showPlayfield();
+  
+  // The saved grid is kept and scaled to fit this screen
+  engine = saved.engine;
+  cols = engine.cols;
+  rows = engine.rows;
+  layoutCanvas();
+  resetSessionState();
+  currentRecording.inputs = saved.inputs;
+  
+  render(engine.getState(), 0);
+  showModal(DOM.pauseModal);
+  setTitleStatus(REPLAY_DROP_HINT);
+  attachEventListeners();
 }
 
+// =============================================================================
+// ATTRACT MODE
+// =============================================================================
+
 /**
- * Renders a star shape at given coordinates
- * @param {number} centerX - X coordinate of star center
- * @param {number} centerY - Y coordinate of star center
+ * Starts (or restarts) the bot-played demo behind the title screen
  */
-function renderStarShape(centerX, centerY) {
-  const spikes = 5;
-  const outerRadius = CELL_SIZE / 2;
-  const innerRadius = outerRadius / 2;
-  let rotation = Math.PI / 2 * 3; // Start from top
+function startAttractMode() {
+  clearTimeout(attractRestartTimer);
+  attractRestartTimer = null;
   
-  ctx.moveTo(centerX, centerY - outerRadius);
+  setupCanvas();
+  DOM.gameCanvas.classList.add('attract');
+  updateArenaBorder(true);
   
-  for (let i = 0; i < spikes; i++) {
-    // Draw to outer point
-    ctx.lineTo(
-      centerX + Math.cos(rotation) * outerRadius,
-      centerY + Math.sin(rotation) * outerRadius
-    );
-    rotation += Math.PI / spikes;
-    
-    // Draw to inner point
-    ctx.lineTo(
-      centerX + Math.cos(rotation) * innerRadius,
-      centerY + Math.sin(rotation) * innerRadius
-    );
-    rotation += Math.PI / spikes;
-  }
+  engine = new SnakeEngine({ cols, rows, config: GAME_MODE_CONFIGS[GAME_MODES.CLASSIC] });
+  prevSnakes = [];
+  effects.clear();
+  nextDirections = [{ ...engine.direction }];
+  inputQueues = [[]];
+  bots = [createBot(ATTRACT_BOT)];
+  resetGameTiming();
   
-  ctx.closePath();
+  // A demo already running picks up the new engine on its next frame
+  if (!attractMode) {
+    attractMode = true;
+    requestAnimationFrame(attractLoop);
+  }
 }
 
 /**
- * Renders a speed reset fruit shape (hourglass/bow-tie shape) at given coordinates
- * @param {number} centerX - X coordinate of speed reset fruit center
- * @param {number} centerY - Y coordinate of speed reset fruit center
+ * Demo loop mirroring gameLoop without recording, scoring or a game over screen
+ * @param {number} timestamp - Current timestamp from requestAnimationFrame
  */
-function renderSpeedResetShape(centerX, centerY) {
-  const size = CELL_SIZE * 0.385;
+function attractLoop(timestamp) {
+  // Stop as soon as anything takes over from the title screen
+  if (currentGameState !== GAME_STATES.MENU) {
+    attractMode = false;
+    clearTimeout(attractRestartTimer);
+    attractRestartTimer = null;
+    return;
+  }
   
-  // Draw hourglass/bow-tie shape - two triangles meeting at center
-  // Top triangle
-  ctx.moveTo(centerX, centerY);
-  ctx.lineTo(centerX - size, centerY - size);
-  ctx.lineTo(centerX + size, centerY - size);
-  ctx.closePath();
-  ctx.fill();
+  const deltaTime = timestamp - lastTime;
+  lastTime = timestamp;
+  accumulator += deltaTime;
   
-  // Bottom triangle
-  ctx.beginPath();
-  ctx.moveTo(centerX, centerY);
-  ctx.lineTo(centerX - size, centerY + size);
-  ctx.lineTo(centerX + size, centerY + size);
-  ctx.closePath();
+  let currentSpeed = engine.getSpeed();
+  let ticksThisFrame = 0;
+  while (accumulator >= currentSpeed && !engine.gameOver) {
+    if (ticksThisFrame++ === MAX_CATCH_UP_TICKS) {
+      accumulator = 0;
+      break;
+    }
+    const state = engine.getState();
+    const snakesBefore = copySnakes(state);
+    steerBots(state);
+    takeQueuedDirections(state);
+    engine.step(nextDirections);
+    updatePrevSnakes(snakesBefore, engine.getState());
+    accumulator -= currentSpeed;
+    currentSpeed = engine.getSpeed();
+  }
+  
+  // Hold the crash on screen for a moment, then play again
+  if (engine.gameOver && !attractRestartTimer) {
+    accumulator = 0;
+    attractRestartTimer = setTimeout(startAttractMode, ATTRACT_RESTART_DELAY);
+  }
+  
+  render(engine.getState(), accumulator);
+  requestAnimationFrame(attractLoop);
 }
 
+// =============================================================================
+// ENGINE EVENT HANDLING
+// =============================================================================
+
 /**
- * Renders a shrink fruit shape (thick cut/slice symbol) at given coordinates
- * @param {number} centerX - X coordinate of shrink fruit center
- * @param {number} centerY - Y coordinate of shrink fruit center
+ * Reacts to events reported by the engine during a tick
+ * @param {Array} events - Events returned from engine.step()
  */
-function renderShrinkShape(centerX, centerY) {
-  const size = CELL_SIZE * 0.45;
-  const thickness = CELL_SIZE * 0.1;
+function handleEngineEvents(events) {
+  for (const event of events) {
+    if (event.type === ENGINE_EVENTS.FRUIT_EATEN) {
+      const state = engine.getState();
+      updateScoreDisplay(state);
+      updateLevelStatus(state);
+      
+      playFruitSound(event.fruit, state);
+      showFruitEffects(event, state);
+      announceFruit(event, state);
+      
+      // Debug: Log current speed after eating fruit
+      console.log('Fruit eaten! Current speed:', getCurrentGameSpeed() + 'ms', 'Score:', state.score, 'Speed reset score:', state.speedResetScore, 'Max bombs:', state.maxBombs);
+    } else if (event.type === ENGINE_EVENTS.BOMB_SPAWNED) {
+      sound.play('bombSpawn');
+      effects.flash(event.bomb.x, event.bomb.y, themeColor(BOMB_FLASH_COLOR));
+    } else if (event.type === ENGINE_EVENTS.BOMB_DESPAWNED) {
+      sound.play('bombDespawn');
+    } else if (event.type === ENGINE_EVENTS.POWER_UP_USED) {
+      sound.play('shield');
+      if (event.bomb) effects.shockwave(event.bomb.x, event.bomb.y, themeColor(POWER_UPS[event.powerUp].color), SHOCKWAVE_RADIUS / 2);
+      announce(POWER_UPS[event.powerUp].label + ' used');
+    } else if (event.type === ENGINE_EVENTS.POWER_UP_ENDED) {
+      announce(POWER_UPS[event.powerUp].label + ' ended');
+    } else if (event.type === ENGINE_EVENTS.LEVEL_COMPLETE) {
+      sound.play('levelComplete');
+      handleLevelComplete(event);
+    } else if (event.type === ENGINE_EVENTS.GAME_OVER && event.cause !== 'complete') {
+      sound.play('death');
+      showDeathEffects(engine.getState());
+    }
+  }
   
-  // Draw thick X made of rectangles for better visibility
-  ctx.save();
-  ctx.translate(centerX, centerY);
+  showAchievementUnlocks(achievementTracker.recordTick(events, engine.getState()));
+}
+
+/**
+ * Tells screen reader users the new score, and what a special fruit did
+ * @param {Object} event - FRUIT_EATEN event from the engine
+ * @param {Object} state - Engine state after the tick
+ */
+function announceFruit(event, state) {
+  const versus = state.players.length > 1;
+  let message = (versus ? 'Player ' + (event.player + 1) + ' score ' : 'Score ') + state.players[event.player].score;
+  const definition = getFruitDefinition(event.fruit.shape);
+  if (definition && definition.announcement) message += ', ' + definition.announcement;
+  if (event.bonuses.combo > 0) message += ', combo bonus ' + event.bonuses.combo;
+  announce(message);
+}
+
+/**
+ * Bursts an eaten fruit into sparks with a score popup. Fruit types marked
+ * with shockwave send one out, and a snake cut shorter dissolves its lost tail.
+ * @param {Object} event - FRUIT_EATEN event from the engine
+ * @param {Object} state - Engine state after the tick
+ */
+function showFruitEffects(event, state) {
+  const fruit = event.fruit;
+  const color = themeColor(fruit.color);
+  effects.burst(fruit.x, fruit.y, color, FRUIT_BURST_SPARKS, FRUIT_BURST_SPEED);
+  if (event.points > 0) effects.popup(fruit.x, fruit.y, color, '+' + event.points);
   
-  // First diagonal bar (top-left to bottom-right)
-  ctx.save();
-  ctx.rotate(Math.PI / 4);
-  ctx.fillRect(-size, -thickness / 2, size * 2, thickness);
-  ctx.restore();
+  const definition = getFruitDefinition(fruit.shape);
+  if (definition && definition.shockwave) {
+    effects.shockwave(fruit.x, fruit.y, color, SHOCKWAVE_RADIUS);
+  }
+  
+  // prevSnakes still holds the snake from before this tick; a snake that got
+  // shorter kept the new head plus the front of that body, so the rest was cut off
+  const player = state.players[event.player];
+  const before = prevSnakes[event.player] || [];
+  if (player.snake.length < before.length) {
+    before.slice(player.snake.length - 1).forEach(segment => {
+      effects.dissolve(segment.x, segment.y, themeColor(player.snakeColor));
+    });
+  }
+}
+
+/**
+ * Blows up every snake that just died and shakes the screen
+ * @param {Object} state - Engine state after the tick
+ */
+function showDeathEffects(state) {
+  effects.shake(DEATH_SHAKE_STRENGTH, DEATH_SHAKE_DURATION);
+  const flashColor = themeColor(BOMB_FLASH_COLOR);
+  state.players.forEach(player => {
+    if (player.alive) return;
+    const head = player.snake[0];
+    effects.flash(head.x, head.y, flashColor);
+    effects.shockwave(head.x, head.y, flashColor, SHOCKWAVE_RADIUS / 2);
+    effects.burst(head.x, head.y, themeColor(player.snakeColor), DEATH_SPARKS / 2, DEATH_BURST_SPEED);
+    effects.burst(head.x, head.y, themeColor('text'), DEATH_SPARKS / 2, DEATH_BURST_SPEED);
+  });
+}
+
+/**
+ * Plays the sound for an eaten fruit, or a fanfare the first time a ranked
+ * game beats the best score on record
+ * @param {Object} fruit - The eaten fruit
+ * @param {Object} state - Engine state after the tick
+ */
+function playFruitSound(fruit, state) {
+  const ranked = !playtestLevel && !UNRANKED_MODES.includes(currentMode);
+  const definition = getFruitDefinition(fruit.shape);
+  if (ranked && !highScoreCheered && highScore > 0 && state.score > highScore) {
+    highScoreCheered = true;
+    sound.play('highScore');
+  } else if (definition && definition.sound) {
+    sound.play(definition.sound);
+  } else {
+    sound.playFruit(fruit.shape);
+  }
+}
+
+/**
+ * Unlocks the next level and gives the player a moment before it starts
+ * @param {Object} event - LEVEL_COMPLETE event from the engine
+ */
+function handleLevelComplete(event) {
+  const state = engine.getState();
+  updateLevelStatus(state);
+  
+  if (event.nextLevelIndex === null) {
+    if (!playtestLevel) saveUnlockedLevelCount(BUILT_IN_LEVELS.length);
+    return; // Campaign or playtest finished; the engine ends the game
+  }
+  
+  saveUnlockedLevelCount(event.nextLevelIndex + 1);
+  showLevelBanner('LEVEL ' + (event.nextLevelIndex + 1) + ': ' + state.level.name);
+  
+  // The new level has its own start direction, and the snake shouldn't slide there
+  nextDirections[0] = { ...state.direction };
+  inputQueues[0] = [];
+  prevSnakes = [];
+  
+  // A negative accumulator holds off the next tick while the banner is up
+  accumulator = -LEVEL_INTRO_DELAY;
+}
+
+/**
+ * Briefly shows a banner over the playfield
+ * @param {string} text - Banner text
+ */
+function showLevelBanner(text) {
+  DOM.levelBanner.textContent = text;
+  announce(text);
+  DOM.levelBanner.classList.add('show');
+  clearTimeout(levelBannerTimer);
+  levelBannerTimer = setTimeout(() => DOM.levelBanner.classList.remove('show'), LEVEL_INTRO_DELAY);
+}
+
+// =============================================================================
+// RENDERING SYSTEM
+// =============================================================================
+
+/**
+ * Main rendering function with interpolation for smooth animation
+ * @param {Object} state - Engine state snapshot to draw
+ * @param {number} timeSinceTick - Milliseconds of play since the engine's last tick
+ */
+function render(state, timeSinceTick) {
+  // Clear entire canvas
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
   
-  // Second diagonal bar (top-right to bottom-left)
+  // Effects run on the wall clock so they keep their pace at any game speed
+  effects.update(performance.now());
+  const shake = effects.getShakeOffset(cellSize);
   ctx.save();
-  ctx.rotate(-Math.PI / 4);
-  ctx.fillRect(-size, -thickness / 2, size * 2, thickness);
-  ctx.restore();
+  ctx.translate(shake.x, shake.y);
   
+  // Render static level geometry, then game objects, then effects on top
+  renderArena(state);
+  renderFruits(state.fruits);
+  renderBombs(state.bombs);
+  renderSnakes(state, timeSinceTick);
+  effects.draw(ctx, cellSize, activeTheme.glow);
   ctx.restore();
+  
+  updateComboStatus(state);
+  updatePowerUpStatus(state, state.elapsedTime + timeSinceTick);
+}
+
+/**
+ * Shows each running power-up in the header with a bar counting down its time
+ * @param {Object} state - Engine state snapshot
+ * @param {number} now - Play time being drawn, in milliseconds
+ */
+function updatePowerUpStatus(state, now) {
+  const versus = state.players.length > 1;
+  const items = [];
+  state.players.forEach((player, index) => {
+    player.powerUps.forEach(effect => {
+      const definition = POWER_UPS[effect.type];
+      items.push({
+        label: (versus ? 'P' + (index + 1) + ' ' : '') + definition.symbol + ' ' + definition.label + (effect.stacks > 1 ? ' ×' + effect.stacks : ''),
+        color: definition.color,
+        remaining: (effect.expiresAt - now) / effect.duration
+      });
+    });
+  });
+  renderStatusBars(DOM.powerUpStatus, items);
+}
+
+/**
+ * Shows each running combo in the header with its multiplier and a bar
+ * counting down the moves left to chain the next fruit
+ * @param {Object} state - Engine state snapshot
+ */
+function updateComboStatus(state) {
+  const versus = state.players.length > 1;
+  const items = [];
+  if (state.comboRules) {
+    state.players.forEach((player, index) => {
+      if (player.combo === 0) return;
+      items.push({
+        label: (versus ? 'P' + (index + 1) + ' ' : '') + 'Combo ×' + calculateComboMultiplier(state.comboRules, player.combo),
+        color: COMBO_STATUS_COLOR,
+        remaining: player.comboTimer / state.comboRules.window
+      });
+    });
+  }
+  renderStatusBars(DOM.comboStatus, items);
+}
+
+/**
+ * Fills a header status area with labeled countdown bars. The bars are rebuilt
+ * only when the labels change; otherwise just their widths move.
+ * @param {HTMLElement} container - Status area to fill
+ * @param {Array} items - {label, color, remaining} per bar; remaining runs from 1 to 0
+ */
+function renderStatusBars(container, items) {
+  const signature = items.map(item => item.label + '|' + item.color).join(',');
+  if (signature !== container.dataset.signature) {
+    container.dataset.signature = signature;
+    container.innerHTML = '';
+    items.forEach(({ label, color }) => {
+      const item = document.createElement('div');
+      item.className = 'status-item';
+      item.style.setProperty('--status-color', 'var(--color-' + color + ')');
+      
+      const text = document.createElement('span');
+      text.textContent = label;
+      const bar = document.createElement('div');
+      bar.className = 'status-bar';
+      bar.appendChild(document.createElement('div'));
+      
+      item.appendChild(text);
+      item.appendChild(bar);
+      container.appendChild(item);
+    });
+  }
+  
+  const fills = container.querySelectorAll('.status-bar > div');
+  items.forEach(({ remaining }, index) => {
+    fills[index].style.width = (Math.max(0, Math.min(1, remaining)) * 100).toFixed(1) + '%';
+  });
+}
+
+/**
+ * Looks up a theme color by name. Unknown names pass through unchanged, so
+ * plain CSS colors (such as those in games saved before themes) still draw.
+ * @param {string} name - Theme color name, e.g. 'cyan' or 'wall'
+ * @returns {string} CSS color
+ */
+function themeColor(name) {
+  return activeTheme.colors[name] || name;
+}
+
+/**
+ * Gets the glow blur for the active theme
+ * @returns {number} Shadow blur radius in pixels
+ */
+function themeGlow() {
+  return SHADOW_BLUR * activeTheme.glow;
+}
+
+/**
+ * Copies every snake's body so the renderer can glide from it after a tick
+ * @param {Object} state - Engine state snapshot before the tick
+ * @returns {Array} Snake copies, one per player
+ */
+function copySnakes(state) {
+  return state.players.map(player => player.snake.map(segment => ({ ...segment })));
+}
+
+/**
+ * Keeps the pre-tick copy only for snakes that moved on the last tick, so a
+ * snake still waiting for its next move keeps gliding from where it was
+ * @param {Array} snakesBefore - copySnakes() from before the tick
+ * @param {Object} state - Engine state snapshot after the tick
+ */
+function updatePrevSnakes(snakesBefore, state) {
+  state.players.forEach((player, index) => {
+    if (player.lastMoveTime === state.elapsedTime) {
+      prevSnakes[index] = snakesBefore[index];
+      
+      // The trail skin leaves an afterimage in the cell the tail just left
+      if (activeSkin === 'trail') {
+        const tail = snakesBefore[index][snakesBefore[index].length - 1];
+        effects.trail(tail.x, tail.y, themeColor(player.snakeColor));
+      }
+    }
+  });
+}
+
+/**
+ * Draws level walls, portals and the void around a centered level.
+ * Walls and void are cached on an offscreen canvas since they never move.
+ * @param {Object} state - Engine state snapshot
+ */
+function renderArena(state) {
+  if (!state.level) return;
+  
+  if (arenaCache.level !== state.level || arenaCache.theme !== activeTheme ||
+      arenaCache.canvas.width !== canvas.width || arenaCache.canvas.height !== canvas.height) {
+    buildArenaCache(state);
+  }
+  ctx.drawImage(arenaCache.canvas, 0, 0, cols * cellSize, rows * cellSize);
+  
+  // Portals pulse, so they're drawn live
+  const pulse = 0.75 + 0.25 * Math.sin(performance.now() / 200);
+  ctx.lineWidth = cellSize * 0.12;
+  ctx.shadowBlur = themeGlow();
+  state.portals.forEach((pair, index) => {
+    const color = themeColor(PORTAL_COLORS[index % PORTAL_COLORS.length]);
+    ctx.strokeStyle = color;
+    ctx.shadowColor = color;
+    pair.forEach(end => {
+      ctx.beginPath();
+      ctx.arc(end.x * cellSize + cellSize / 2, end.y * cellSize + cellSize / 2, cellSize * PORTAL_RADIUS * pulse, 0, 2 * Math.PI);
+      ctx.stroke();
+    });
+  });
+  ctx.shadowBlur = 0;
+}
+
+/**
+ * Pre-renders the current level's walls and surrounding void
+ * @param {Object} state - Engine state snapshot
+ */
+function buildArenaCache(state) {
+  if (!arenaCache.canvas) {
+    arenaCache.canvas = document.createElement('canvas');
+  }
+  const cacheCanvas = arenaCache.canvas;
+  cacheCanvas.width = canvas.width;
+  cacheCanvas.height = canvas.height;
+  const cacheCtx = cacheCanvas.getContext('2d');
+  cacheCtx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+  cacheCtx.clearRect(0, 0, cols * cellSize, rows * cellSize);
+  
+  // Tint everything outside the arena so the level's real bounds are clear
+  const arena = state.arena;
+  cacheCtx.fillStyle = themeColor(LEVEL_VOID_COLOR);
+  cacheCtx.fillRect(0, 0, cols * cellSize, rows * cellSize);
+  cacheCtx.clearRect(arena.x * cellSize, arena.y * cellSize, arena.width * cellSize, arena.height * cellSize);
+  
+  // Walls as glowing neon blocks, inset slightly so neighbours read as a grid
+  const inset = cellSize * 0.08;
+  cacheCtx.fillStyle = themeColor(LEVEL_WALL_COLOR);
+  cacheCtx.shadowColor = themeColor(LEVEL_WALL_COLOR);
+  cacheCtx.shadowBlur = themeGlow() / 2;
+  state.walls.forEach(wall => {
+    cacheCtx.fillRect(wall.x * cellSize + inset, wall.y * cellSize + inset, cellSize - 2 * inset, cellSize - 2 * inset);
+  });
+  
+  arenaCache.level = state.level;
+  arenaCache.theme = activeTheme;
+}
+
+/**
+ * Renders all fruits on the canvas
+ * @param {Array} fruits - Fruits to draw
+ */
+function renderFruits(fruits) {
+  // Set up glow effect for fruits
+  ctx.shadowBlur = themeGlow();
+  
+  fruits.forEach(fruit => {
+    const centerX = fruit.x * cellSize + cellSize / 2;
+    const centerY = fruit.y * cellSize + cellSize / 2;
+    
+    // Set fruit color and glow
+    ctx.fillStyle = themeColor(fruit.color);
+    ctx.shadowColor = ctx.fillStyle;
+    
+    // Draw fruit based on its type
+    renderFruitShape(fruit.shape, centerX, centerY);
+    if (gameSettings.patterns) renderFruitPattern(fruit.shape, centerX, centerY);
+  });
+  
+  // Reset shadow for subsequent renders
+  ctx.shadowBlur = 0;
+}
+
+/**
+ * Renders a fruit with its registered draw function; shapes that aren't
+ * registered (say, from a mod missing here) fall back to a circle
+ * @param {string} shape - Fruit shape, a key of FRUIT_REGISTRY
+ * @param {number} centerX - X coordinate of shape center
+ * @param {number} centerY - Y coordinate of shape center
+ */
+function renderFruitShape(shape, centerX, centerY) {
+  const definition = getFruitDefinition(shape);
+  (definition ? definition.draw : drawCircleFruit)(ctx, centerX, centerY, cellSize);
+}
+
+/**
+ * Draws a fruit's accessibility pattern over its shape
+ * @param {string} shape - Fruit shape, a key of FRUIT_REGISTRY
+ * @param {number} centerX - X coordinate of fruit center
+ * @param {number} centerY - Y coordinate of fruit center
+ */
+function renderFruitPattern(shape, centerX, centerY) {
+  const definition = getFruitDefinition(shape);
+  const pattern = definition && definition.pattern;
+  if (!pattern) return;
+  
+  const fillStyle = ctx.fillStyle;
+  const shadowBlur = ctx.shadowBlur;
+  ctx.shadowBlur = 0;
+  
+  if (pattern.dots) {
+    ctx.fillStyle = themeColor('background');
+    ctx.beginPath();
+    pattern.dots.forEach(([x, y]) => {
+      ctx.moveTo(centerX + x * cellSize + PATTERN_DOT_RADIUS * cellSize, centerY + y * cellSize);
+      ctx.arc(centerX + x * cellSize, centerY + y * cellSize, PATTERN_DOT_RADIUS * cellSize, 0, 2 * Math.PI);
+    });
+    ctx.fill();
+  }
+  if (pattern.ring) {
+    ctx.strokeStyle = themeColor('text');
+    ctx.lineWidth = PATTERN_LINE_WIDTH * cellSize;
+    ctx.setLineDash([cellSize * 0.1, cellSize * 0.08]);
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, cellSize / 2, 0, 2 * Math.PI);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+  
+  ctx.fillStyle = fillStyle;
+  ctx.shadowBlur = shadowBlur;
 }
 
 /**
  * Renders all bombs on the canvas
+ * @param {Array} bombs - Bombs to draw
  */
-function renderBombs() {
+function renderBombs(bombs) {
   bombs.forEach(bomb => {
-    const centerX = bomb.x * CELL_SIZE + CELL_SIZE / 2;
-    const centerY = bomb.y * CELL_SIZE + CELL_SIZE / 2;
-    const radius = CELL_SIZE * BOMB_RADIUS;
+    const centerX = bomb.x * cellSize + cellSize / 2;
+    const centerY = bomb.y * cellSize + cellSize / 2;
+    const radius = cellSize * BOMB_RADIUS;
     
-    // Draw white circle for bomb body
-    ctx.fillStyle = '#fff';
+    // Draw circle for bomb body
+    ctx.fillStyle = themeColor('bomb');
     ctx.shadowBlur = 0; // No glow for bombs
     ctx.beginPath();
     ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
     ctx.fill();
     
-    // Draw black X for bomb marker
-    ctx.strokeStyle = '#000';
+    // Draw X for bomb marker
+    ctx.strokeStyle = themeColor('bombMark');
     ctx.lineWidth = 3;
     ctx.beginPath();
     ctx.moveTo(centerX - radius, centerY - radius);
@@ -836,101 +1607,157 @@ function renderBombs() {
     ctx.moveTo(centerX + radius, centerY - radius);
     ctx.lineTo(centerX - radius, centerY + radius);
     ctx.stroke();
+    
+    // With fruit patterns on, a warning ring sets bombs apart from every fruit
+    if (gameSettings.patterns) {
+      ctx.strokeStyle = themeColor('red');
+      ctx.lineWidth = PATTERN_LINE_WIDTH * cellSize;
+      ctx.beginPath();
+      ctx.arc(centerX, centerY, cellSize / 2, 0, 2 * Math.PI);
+      ctx.stroke();
+    }
+  });
+}
+
+/**
+ * Renders every snake, each gliding between its own moves
+ * @param {Object} state - Engine state snapshot
+ * @param {number} timeSinceTick - Milliseconds of play since the engine's last tick
+ */
+function renderSnakes(state, timeSinceTick) {
+  const now = state.elapsedTime + timeSinceTick;
+  state.players.forEach((player, index) => {
+    const moveLength = player.nextMoveTime - player.lastMoveTime;
+    const factor = Math.max(0, Math.min(1, (now - player.lastMoveTime) / moveLength));
+    renderSnake(player, prevSnakes[index] || [], factor, state.wrapEdges);
   });
 }
 
 /**
- * Renders the snake with smooth interpolated movement
+ * Renders one snake with smooth interpolated movement
+ * @param {Object} player - Player entry from the engine state
+ * @param {Array} prevSnake - The snake's segments before its last move
  * @param {number} interpolationFactor - Factor for smooth interpolation (0-1)
+ * @param {boolean} wrapEdges - Whether the snake can wrap around the grid edges
  */
-function renderSnake(interpolationFactor) {
+function renderSnake(player, prevSnake, interpolationFactor, wrapEdges) {
+  const snakeColor = themeColor(player.snakeColor);
+  
   // Set snake color and glow effect
-  ctx.fillStyle = currentSnakeColor;
-  ctx.shadowColor = currentSnakeColor;
-  ctx.shadowBlur = SHADOW_BLUR;
+  ctx.fillStyle = snakeColor;
+  ctx.shadowColor = snakeColor;
+  ctx.shadowBlur = themeGlow();
   
-  snake.forEach((segment, index) => {
+  player.snake.forEach((segment, index) => {
     // Calculate interpolated position for smooth movement
-    const interpolatedPos = calculateInterpolatedPosition(segment, index, interpolationFactor);
+    const interpolatedPos = calculateInterpolatedPosition(segment, prevSnake[index], interpolationFactor, wrapEdges);
     
     if (index === 0) {
       // Render snake head with special shape and eyes
-      renderSnakeHead(interpolatedPos.x, interpolatedPos.y);
+      renderSnakeHead(interpolatedPos.x, interpolatedPos.y, player.direction, snakeColor);
     } else {
-      // Render snake body segment as simple rectangle
-      ctx.fillRect(interpolatedPos.x, interpolatedPos.y, CELL_SIZE, CELL_SIZE);
+      // Render snake body segment as simple rectangle, shaded by the skin
+      ctx.globalAlpha = getSkinAlpha(index, player.snake.length);
+      ctx.fillRect(interpolatedPos.x, interpolatedPos.y, cellSize, cellSize);
     }
   });
+  ctx.globalAlpha = 1;
+}
+
+/**
+ * Works out how strongly a body segment is drawn with the active skin
+ * @param {number} index - Segment index, head first
+ * @param {number} length - Snake length
+ * @returns {number} Opacity (0-1)
+ */
+function getSkinAlpha(index, length) {
+  if (activeSkin === 'gradient') return 1 - SKIN_GRADIENT_FADE * index / length;
+  if (activeSkin === 'striped') return index % 2 === 0 ? 1 : SKIN_STRIPE_ALPHA;
+  return 1;
 }
 
 /**
  * Calculates interpolated position for smooth snake movement
  * @param {Object} currentSegment - Current segment position
- * @param {number} segmentIndex - Index of segment in snake array
+ * @param {Object} [previousSegment] - Same segment before the snake's last move
  * @param {number} factor - Interpolation factor (0-1)
- * @returns {Object} Interpolated position {x, y}
+ * @param {boolean} wrapEdges - Whether the snake can wrap around the grid edges
+ * @returns {Object} Interpolated position {x, y} (shared temp object)
  */
-function calculateInterpolatedPosition(currentSegment, segmentIndex, factor) {
+function calculateInterpolatedPosition(currentSegment, previousSegment, factor, wrapEdges) {
   // Use previous position if available, otherwise current position
-  const previousSegment = prevSnake[segmentIndex] || currentSegment;
+  previousSegment = previousSegment || currentSegment;
   
   // Calculate movement delta with screen wrapping consideration
   let deltaX = currentSegment.x - previousSegment.x;
   let deltaY = currentSegment.y - previousSegment.y;
   
-  // Handle screen wrapping for smooth interpolation
-  if (deltaX > cols / 2) deltaX -= cols;
-  if (deltaX < -cols / 2) deltaX += cols;
-  if (deltaY > rows / 2) deltaY -= rows;
-  if (deltaY < -rows / 2) deltaY += rows;
+  // Handle screen wrapping for smooth interpolation (walls mode never wraps)
+  if (wrapEdges) {
+    if (deltaX > cols / 2) deltaX -= cols;
+    if (deltaX < -cols / 2) deltaX += cols;
+    if (deltaY > rows / 2) deltaY -= rows;
+    if (deltaY < -rows / 2) deltaY += rows;
+  }
+  
+  // Jumps (portals, level changes, wrapping inside a smaller arena) snap instead of sliding
+  if (Math.abs(deltaX) + Math.abs(deltaY) > 1) {
+    tempPos.x = currentSegment.x * cellSize;
+    tempPos.y = currentSegment.y * cellSize;
+    return tempPos;
+  }
   
   // Calculate interpolated position in pixels
-  const interpolatedX = (previousSegment.x + deltaX * factor) * CELL_SIZE;
-  const interpolatedY = (previousSegment.y + deltaY * factor) * CELL_SIZE;
+  const interpolatedX = (previousSegment.x + deltaX * factor) * cellSize;
+  const interpolatedY = (previousSegment.y + deltaY * factor) * cellSize;
   
-  return { x: interpolatedX, y: interpolatedY };
+  tempPos.x = interpolatedX;
+  tempPos.y = interpolatedY;
+  return tempPos;
 }
 
 /**
  * Renders the snake head with rounded corners and eyes
  * @param {number} x - X position in pixels
  * @param {number} y - Y position in pixels
+ * @param {Object} direction - Current movement direction {x, y}
+ * @param {string} snakeColor - Current snake color
  */
-function renderSnakeHead(x, y) {
-  const cornerRadius = CELL_SIZE * HEAD_CORNER_RADIUS;
+function renderSnakeHead(x, y, direction, snakeColor) {
+  const cornerRadius = cellSize * HEAD_CORNER_RADIUS;
   
   // Draw rounded rectangle for snake head based on movement direction
   ctx.beginPath();
   
   if (direction.x === 1) { // Moving right
     ctx.moveTo(x, y);
-    ctx.lineTo(x + CELL_SIZE - cornerRadius, y);
-    ctx.quadraticCurveTo(x + CELL_SIZE, y, x + CELL_SIZE, y + cornerRadius);
-    ctx.lineTo(x + CELL_SIZE, y + CELL_SIZE - cornerRadius);
-    ctx.quadraticCurveTo(x + CELL_SIZE, y + CELL_SIZE, x + CELL_SIZE - cornerRadius, y + CELL_SIZE);
-    ctx.lineTo(x, y + CELL_SIZE);
+    ctx.lineTo(x + cellSize - cornerRadius, y);
+    ctx.quadraticCurveTo(x + cellSize, y, x + cellSize, y + cornerRadius);
+    ctx.lineTo(x + cellSize, y + cellSize - cornerRadius);
+    ctx.quadraticCurveTo(x + cellSize, y + cellSize, x + cellSize - cornerRadius, y + cellSize);
+    ctx.lineTo(x, y + cellSize);
   } else if (direction.x === -1) { // Moving left
     ctx.moveTo(x + cornerRadius, y);
-    ctx.lineTo(x + CELL_SIZE, y);
-    ctx.lineTo(x + CELL_SIZE, y + CELL_SIZE);
-    ctx.lineTo(x + cornerRadius, y + CELL_SIZE);
-    ctx.quadraticCurveTo(x, y + CELL_SIZE, x, y + CELL_SIZE - cornerRadius);
+    ctx.lineTo(x + cellSize, y);
+    ctx.lineTo(x + cellSize, y + cellSize);
+    ctx.lineTo(x + cornerRadius, y + cellSize);
+    ctx.quadraticCurveTo(x, y + cellSize, x, y + cellSize - cornerRadius);
     ctx.lineTo(x, y + cornerRadius);
     ctx.quadraticCurveTo(x, y, x + cornerRadius, y);
   } else if (direction.y === 1) { // Moving down
     ctx.moveTo(x, y);
-    ctx.lineTo(x + CELL_SIZE, y);
-    ctx.lineTo(x + CELL_SIZE, y + CELL_SIZE - cornerRadius);
-    ctx.quadraticCurveTo(x + CELL_SIZE, y + CELL_SIZE, x + CELL_SIZE - cornerRadius, y + CELL_SIZE);
-    ctx.lineTo(x + cornerRadius, y + CELL_SIZE);
-    ctx.quadraticCurveTo(x, y + CELL_SIZE, x, y + CELL_SIZE - cornerRadius);
+    ctx.lineTo(x + cellSize, y);
+    ctx.lineTo(x + cellSize, y + cellSize - cornerRadius);
+    ctx.quadraticCurveTo(x + cellSize, y + cellSize, x + cellSize - cornerRadius, y + cellSize);
+    ctx.lineTo(x + cornerRadius, y + cellSize);
+    ctx.quadraticCurveTo(x, y + cellSize, x, y + cellSize - cornerRadius);
     ctx.lineTo(x, y);
   } else { // Moving up
     ctx.moveTo(x, y + cornerRadius);
-    ctx.lineTo(x, y + CELL_SIZE);
-    ctx.lineTo(x + CELL_SIZE, y + CELL_SIZE);
-    ctx.lineTo(x + CELL_SIZE, y + cornerRadius);
-    ctx.quadraticCurveTo(x + CELL_SIZE, y, x + CELL_SIZE - cornerRadius, y);
+    ctx.lineTo(x, y + cellSize);
+    ctx.lineTo(x + cellSize, y + cellSize);
+    ctx.lineTo(x + cellSize, y + cornerRadius);
+    ctx.quadraticCurveTo(x + cellSize, y, x + cellSize - cornerRadius, y);
     ctx.lineTo(x + cornerRadius, y);
     ctx.quadraticCurveTo(x, y, x, y + cornerRadius);
   }
@@ -939,25 +1766,27 @@ function renderSnakeHead(x, y) {
   ctx.fill();
   
   // Render eyes on snake head
-  renderSnakeEyes(x, y);
+  renderSnakeEyes(x, y, direction, snakeColor);
 }
 
 /**
  * Renders eyes on the snake head
  * @param {number} headX - Head X position in pixels
  * @param {number} headY - Head Y position in pixels
+ * @param {Object} direction - Current movement direction {x, y}
+ * @param {string} snakeColor - Snake color to restore after drawing eyes
  */
-function renderSnakeEyes(headX, headY) {
-  const centerX = headX + CELL_SIZE / 2;
-  const centerY = headY + CELL_SIZE / 2;
-  const eyeOffset = CELL_SIZE * EYE_OFFSET;
-  const eyeRadius = CELL_SIZE * EYE_RADIUS;
+function renderSnakeEyes(headX, headY, direction, snakeColor) {
+  const centerX = headX + cellSize / 2;
+  const centerY = headY + cellSize / 2;
+  const eyeOffset = cellSize * EYE_OFFSET;
+  const eyeRadius = cellSize * EYE_RADIUS;
   
   // Remove glow effect for eyes
   ctx.shadowBlur = 0;
   
   // Draw white eye backgrounds
-  ctx.fillStyle = '#fff';
+  ctx.fillStyle = themeColor('text');
   ctx.beginPath();
   
   if (direction.x === 0) { // Vertical movement - side-by-side eyes
@@ -971,7 +1800,7 @@ function renderSnakeEyes(headX, headY) {
   ctx.fill();
   
   // Draw black pupils
-  ctx.fillStyle = '#000';
+  ctx.fillStyle = themeColor('background');
   ctx.beginPath();
   
   if (direction.x === 0) { // Vertical movement
@@ -985,9 +1814,9 @@ function renderSnakeEyes(headX, headY) {
   ctx.fill();
   
   // Restore snake color and glow effect for body segments
-  ctx.fillStyle = currentSnakeColor;
-  ctx.shadowColor = currentSnakeColor;
-  ctx.shadowBlur = SHADOW_BLUR;
+  ctx.fillStyle = snakeColor;
+  ctx.shadowColor = snakeColor;
+  ctx.shadowBlur = themeGlow();
 }
 
 // =============================================================================
@@ -995,157 +1824,2407 @@ function renderSnakeEyes(headX, headY) {
 // =============================================================================
 
 /**
- * Updates the score display in the UI
+ * Updates the score display in the UI; versus games show both players instead of the high score
+ * @param {Object} state - Engine state snapshot
  */
-function updateScoreDisplay() {
-  DOM.scoreboard.textContent = 'Score: ' + score;
+function updateScoreDisplay(state) {
+  const versus = state.players.length > 1;
+  DOM.scoreboard.textContent = versus ? 'P1: ' + state.players[0].score : 'Score: ' + state.score;
+  DOM.scoreboardTwo.textContent = versus ? 'P2: ' + state.players[1].score : '';
+  DOM.scoreboardTwo.style.display = versus ? 'block' : 'none';
+  DOM.highscore.style.display = versus ? 'none' : 'block';
 }
 
 /**
  * Updates the high score display in the UI
  */
 function updateHighScoreDisplay() {
-  DOM.highscore.textContent = 'High Score: ' + highScore;
+  const difficulty = currentDifficulty === DEFAULT_PRESET ? '' : ' (' + describePreset(currentDifficulty) + ')';
+  const label = currentMode === GAME_MODES.DAILY ? "Today's Best" : 'High Score';
+  DOM.highscore.textContent = label + difficulty + ': ' + highScore;
 }
 
 /**
  * Shows the game over modal with final score
  */
 function showGameOverModal() {
-  DOM.finalScore.textContent = score;
-  DOM.gameOverModal.classList.add('show');
+  const state = engine.getState();
+  const versus = state.players.length > 1;
+  if (versus) {
+    const winner = getVersusWinner(state);
+    DOM.gameOverTitle.textContent = winner === null ? 'DRAW' : 'PLAYER ' + (winner + 1) + ' WINS';
+    DOM.versusScores.textContent = 'P1 ' + state.players[0].score + ' - P2 ' + state.players[1].score;
+    DOM.versusReason.textContent = describeVersusEnding(state);
+  } else if (state.deathCause === 'complete') {
+    DOM.gameOverTitle.textContent = playtestLevel ? 'LEVEL CLEAR' : 'ALL LEVELS CLEAR';
+  } else {
+    DOM.gameOverTitle.textContent = 'GAME OVER';
+  }
+  DOM.soloResult.style.display = versus ? 'none' : '';
+  DOM.versusResult.style.display = versus ? '' : 'none';
+  DOM.finalScore.textContent = state.score;
+  renderScoreBreakdown(versus ? null : state.players[0].scoreBreakdown);
+  DOM.finalSeed.textContent = state.seed;
+  DOM.watchReplayButton.style.display = currentRecording ? 'block' : 'none';
+  DOM.downloadReplayButton.style.display = currentRecording ? 'block' : 'none';
+  DOM.editLevelButton.style.display = playtestLevel ? 'block' : 'none';
+  showModal(DOM.gameOverModal);
+  
+  // The initials prompt takes focus from the modal's default button
+  updateNameEntry();
+  announce(DOM.gameOverTitle.textContent + '. ' +
+    (versus ? DOM.versusScores.textContent + '. ' + DOM.versusReason.textContent : 'Final score ' + state.score) +
+    (DOM.unlockInfo.textContent ? '. ' + DOM.unlockInfo.textContent : '') +
+    (DOM.dailyInfo.textContent ? '. ' + DOM.dailyInfo.textContent : ''));
 }
 
 /**
- * Shows the instructions modal
+ * Lists where a solo game's points came from on the game-over screen
+ * @param {Object|null} breakdown - The player's scoreBreakdown, or null to hide the list
  */
-function showInstructions() {
-  DOM.instructionsModal.classList.add('show');
+function renderScoreBreakdown(breakdown) {
+  DOM.scoreBreakdown.innerHTML = '';
+  DOM.scoreBreakdown.style.display = breakdown ? '' : 'none';
+  if (!breakdown) return;
+  
+  SCORE_BREAKDOWN_LINES.forEach(line => {
+    if (!line.always && breakdown[line.key] === 0) return;
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = line.label;
+    const points = document.createElement('span');
+    points.textContent = (line.key === 'base' ? '' : '+') + breakdown[line.key];
+    item.appendChild(label);
+    item.appendChild(points);
+    DOM.scoreBreakdown.appendChild(item);
+  });
 }
 
 /**
- * Hides the instructions modal and returns to title screen
+ * Picks the winner of a versus game: the survivor, or the higher score if
+ * the game was ended early
+ * @param {Object} state - Engine state snapshot
+ * @returns {number|null} Winning player index, or null for a draw
  */
-function hideInstructions() {
-  DOM.instructionsModal.classList.remove('show');
+function getVersusWinner(state) {
+  if (state.gameOver) return state.winner;
+  
+  const [one, two] = state.players;
+  if (one.score === two.score) return null;
+  return one.score > two.score ? 0 : 1;
 }
 
 /**
- * Toggles game pause state
+ * Explains how a versus game ended
+ * @param {Object} state - Engine state snapshot
+ * @returns {string} One sentence for the results screen
  */
-function togglePause() {
-  if (currentGameState === GAME_STATES.PLAYING) {
-    currentGameState = GAME_STATES.PAUSED;
-    DOM.pauseModal.classList.add('show');
-  } else if (currentGameState === GAME_STATES.PAUSED) {
-    currentGameState = GAME_STATES.PLAYING;
-    DOM.pauseModal.classList.remove('show');
-    
-    // Reset timing to prevent animation jumps after unpause
-    resetGameTiming();
-    requestAnimationFrame(gameLoop);
-  }
+function describeVersusEnding(state) {
+  if (!state.gameOver) return 'Game ended early.';
+  
+  // Each snake has its own cause; the other snake in a head-on crash may have died of something else
+  const dead = state.players.filter(player => !player.alive);
+  if (dead.length > 1 && dead.every(player => player.deathCause === 'head-on')) return 'Head-on collision!';
+  
+  return state.players
+    .map((player, index) => player.alive ? null : 'Player ' + (index + 1) + ' ' + DEATH_DESCRIPTIONS[player.deathCause])
+    .filter(Boolean)
+    .join(' and ') + '.';
 }
 
-// =============================================================================
-// INPUT HANDLING
-// =============================================================================
-
 /**
- * Handles keyboard input for game controls
- * @param {KeyboardEvent} event - Keyboard event object
+ * Shows level progress in the header during a Levels game
+ * @param {Object} state - Engine state snapshot
  */
-function handleKeyPress(event) {
-  // Handle pause toggle (works in any game state)
-  if (event.key === 'p' || event.key === 'P') {
-    if (currentGameState === GAME_STATES.PLAYING || currentGameState === GAME_STATES.PAUSED) {
-      togglePause();
-    }
+function updateLevelStatus(state) {
+  if (!state.level) {
+    DOM.levelStatus.style.display = 'none';
     return;
   }
   
-  // Only process movement keys during active gameplay
-  if (currentGameState !== GAME_STATES.PLAYING) return;
+  DOM.levelStatus.style.display = 'block';
+  DOM.levelStatus.textContent = 'Level ' + (state.levelIndex + 1) + ': ' +
+    Math.min(state.levelScore, state.level.targetScore) + '/' + state.level.targetScore;
+}
+
+/**
+ * Shows the level select screen with locked levels greyed out
+ */
+function showLevelSelect() {
+  const unlockedCount = loadUnlockedLevelCount();
   
-  // Handle movement input with reverse direction blocking to prevent instant death
-  switch (event.key) {
-    case 'ArrowUp':
-      if (direction.y !== 1) { // Can't move up if currently moving down
-        nextDirection.x = 0;
-        nextDirection.y = -1;
-      }
-      break;
-      
-    case 'ArrowDown':
-      if (direction.y !== -1) { // Can't move down if currently moving up
-        nextDirection.x = 0;
-        nextDirection.y = 1;
-      }
-      break;
-      
-    case 'ArrowLeft':
-      if (direction.x !== 1) { // Can't move left if currently moving right
-        nextDirection.x = -1;
-        nextDirection.y = 0;
-      }
-      break;
-      
-    case 'ArrowRight':
-      if (direction.x !== -1) { // Can't move right if currently moving left
-        nextDirection.x = 1;
-        nextDirection.y = 0;
-      }
-      break;
-  }
+  DOM.levelList.textContent = '';
+  BUILT_IN_LEVELS.forEach((level, index) => {
+    const locked = index >= unlockedCount;
+    const button = document.createElement('button');
+    button.className = 'level-card' + (locked ? ' locked' : '');
+    button.disabled = locked;
+    button.dataset.levelIndex = index;
+    
+    const number = document.createElement('span');
+    number.className = 'level-number';
+    number.textContent = index + 1;
+    const name = document.createElement('span');
+    name.className = 'level-name';
+    name.textContent = locked ? 'Locked' : level.name;
+    const target = document.createElement('span');
+    target.className = 'level-target';
+    target.textContent = locked ? 'Clear level ' + index + ' to unlock' : 'Target: ' + level.targetScore + ' pts';
+    
+    button.append(number, name, target);
+    DOM.levelList.appendChild(button);
+  });
+  
+  showModal(DOM.levelSelectModal);
 }
 
 /**
- * Handles touch start events for mobile controls
- * @param {TouchEvent} event - Touch event object
+ * Hides the level select screen
  */
-function handleTouchStart(event) {
-  const touch = event.changedTouches[0];
-  touchStartX = touch.clientX;
-  touchStartY = touch.clientY;
-  event.preventDefault(); // Prevent scrolling
+function hideLevelSelect() {
+  hideModal(DOM.levelSelectModal);
 }
 
 /**
- * Handles touch end events for mobile swipe controls
- * @param {TouchEvent} event - Touch event object
+ * Starts a Levels game on the clicked level
+ * @param {MouseEvent} event - Click event from the level list
  */
-function handleTouchEnd(event) {
-  // Only process touch input during active gameplay
-  if (currentGameState !== GAME_STATES.PLAYING) return;
+function handleLevelSelectClick(event) {
+  const card = event.target.closest('.level-card');
+  if (!card || card.disabled) return;
   
-  const touch = event.changedTouches[0];
-  const deltaX = touch.clientX - touchStartX;
-  const deltaY = touch.clientY - touchStartY;
+  selectedLevelIndex = parseInt(card.dataset.levelIndex, 10);
+  currentMode = GAME_MODES.LEVELS;
+  DOM.modeSelect.value = currentMode;
+  highScore = loadHighScore();
+  updateHighScoreDisplay();
   
-  // Determine swipe direction based on largest delta
-  if (Math.abs(deltaX) > Math.abs(deltaY)) {
-    // Horizontal swipe
-    if (deltaX > 0 && direction.x !== -1) { // Swipe right
-      nextDirection.x = 1;
-      nextDirection.y = 0;
-    } else if (deltaX < 0 && direction.x !== 1) { // Swipe left
-      nextDirection.x = -1;
-      nextDirection.y = 0;
-    }
-  } else {
-    // Vertical swipe
-    if (deltaY > 0 && direction.y !== -1) { // Swipe down
-      nextDirection.x = 0;
-      nextDirection.y = 1;
-    } else if (deltaY < 0 && direction.y !== 1) { // Swipe up
-      nextDirection.x = 0;
-      nextDirection.y = -1;
-    }
-  }
+  hideLevelSelect();
+  startGame();
+}
+
+/**
+ * Shows the instructions modal
+ */
+function showInstructions() {
+  renderControlsSummary();
+  renderFruitGuide();
+  showModal(DOM.instructionsModal);
+}
+
+/**
+ * Lists every fruit type and power-up in the instructions from the fruit
+ * registry, drawing each picture with the same code as the playfield. The bomb
+ * entry is fixed markup and stays at the end of the fruit list.
+ */
+function renderFruitGuide() {
+  const lists = { fruits: DOM.fruitGuide, powerUps: DOM.powerUpGuide };
+  Object.values(lists).forEach(list => {
+    list.querySelectorAll('[data-shape]').forEach(item => item.remove());
+  });
+  
+  Object.values(FRUIT_REGISTRY).forEach(definition => {
+    const item = document.createElement('div');
+    item.className = 'fruit-item';
+    item.dataset.shape = definition.shape;
+    
+    const picture = document.createElement('canvas');
+    picture.className = 'fruit-shape';
+    picture.width = FRUIT_GUIDE_SIZE;
+    picture.height = FRUIT_GUIDE_SIZE;
+    const pictureCtx = picture.getContext('2d');
+    if (pictureCtx) {
+      pictureCtx.fillStyle = themeColor(definition.color || definition.guideColor || FRUIT_GUIDE_COLOR);
+      pictureCtx.shadowColor = pictureCtx.fillStyle;
+      pictureCtx.shadowBlur = themeGlow() / 2;
+      definition.draw(pictureCtx, FRUIT_GUIDE_SIZE / 2, FRUIT_GUIDE_SIZE / 2, FRUIT_GUIDE_SIZE * FRUIT_GUIDE_SCALE);
+    }
+    
+    const info = document.createElement('div');
+    info.className = 'fruit-info';
+    const name = document.createElement('strong');
+    name.textContent = definition.label || definition.shape;
+    info.appendChild(name);
+    const lines = definition.points > 0 ? [{ text: definition.points + ' points', className: 'points' }] : [];
+    lines.concat(definition.guide).forEach(line => {
+      const span = document.createElement('span');
+      span.className = line.className || 'effect-special';
+      span.textContent = line.text;
+      if (line.color) span.style.color = 'var(--color-' + line.color + ')';
+      info.appendChild(document.createElement('br'));
+      info.appendChild(span);
+    });
+    
+    item.appendChild(picture);
+    item.appendChild(info);
+    const list = lists[definition.guideGroup] || lists.fruits;
+    list.insertBefore(item, list.querySelector('.bomb-item'));
+  });
+}
+
+/**
+ * Writes the instructions' controls section from the active bindings
+ */
+function renderControlsSummary() {
+  const keys = controls.keys;
+  const pad = controls.gamepad;
+  const keySet = prefix => ['Up', 'Left', 'Down', 'Right'].map(dir => describeKey(keys[prefix + dir])).join(' ');
+  const padMoves = ['up', 'left', 'down', 'right'].map(dir => describeGamepadButton(pad[dir])).join(' / ');
+  
+  // Odd entries are emphasized
+  const lines = [
+    ['Use ', keySet('p1'), ' or ', keySet('p2'), ' or ', 'Swipe', ' to move'],
+    ['On a gamepad use ', padMoves, ' or the ', 'left stick', ''],
+    ['In ', 'Versus', ' Player 1 steers with ', keySet('p1'), ' and Player 2 with ', keySet('p2'),
+      '; with two gamepads each player takes one. Against a CPU opponent any of them work'],
+    ['Press ', describeKey(keys.pause), ' or ', describeGamepadButton(pad.pause), ' to pause during gameplay, and ', describeKey(keys.mute), ' to mute sound'],
+    ['', describeGamepadButton(pad.confirm), ' confirms on menus; change any of these under ', 'Controls', '']
+  ];
+  
+  DOM.controlsSummary.innerHTML = '';
+  lines.forEach(parts => {
+    const line = document.createElement('p');
+    line.appendChild(document.createTextNode('• '));
+    parts.forEach((text, index) => {
+      if (index % 2 === 1) {
+        const strong = document.createElement('strong');
+        strong.textContent = text;
+        line.appendChild(strong);
+      } else {
+        line.appendChild(document.createTextNode(text));
+      }
+    });
+    DOM.controlsSummary.appendChild(line);
+  });
+}
+
+/**
+ * Hides the instructions modal and returns to title screen
+ */
+function hideInstructions() {
+  hideModal(DOM.instructionsModal);
+}
+
+/**
+ * Toggles game pause state. Unpausing counts down first so the player has
+ * time to get ready; pausing again during the countdown cancels it.
+ */
+function togglePause() {
+  if (currentGameState === GAME_STATES.PLAYING) {
+    currentGameState = GAME_STATES.PAUSED;
+    showModal(DOM.pauseModal);
+    sound.stopMusic();
+    sound.play('pause');
+    saveGameInProgress();
+    announce('Game paused');
+  } else if (resumeCountdownTimer) {
+    cancelResumeCountdown();
+    showModal(DOM.pauseModal);
+  } else if (currentGameState === GAME_STATES.PAUSED) {
+    hideModal(DOM.pauseModal);
+    announce('Resuming in ' + RESUME_COUNTDOWN_SECONDS + ' seconds');
+    startResumeCountdown();
+  }
+}
+
+/**
+ * Pauses a running game, or a resume countdown, when the player may have
+ * stopped watching: the tab was hidden, the window lost focus or was resized
+ */
+function autoPause() {
+  if (currentGameState === GAME_STATES.PLAYING || resumeCountdownTimer) {
+    togglePause();
+  }
+}
+
+/**
+ * Shows a 3-2-1 countdown over the paused playfield, then resumes the game
+ */
+function startResumeCountdown() {
+  let remaining = RESUME_COUNTDOWN_SECONDS;
+  const countDown = () => {
+    if (remaining === 0) {
+      cancelResumeCountdown();
+      resumeGame();
+      return;
+    }
+    DOM.resumeCountdown.textContent = remaining;
+    sound.play('countdown');
+    remaining--;
+    resumeCountdownTimer = setTimeout(countDown, 1000);
+  };
+  
+  DOM.resumeCountdown.classList.add('show');
+  countDown();
+}
+
+/**
+ * Stops the resume countdown and hides it, leaving the game paused
+ */
+function cancelResumeCountdown() {
+  clearTimeout(resumeCountdownTimer);
+  resumeCountdownTimer = null;
+  DOM.resumeCountdown.classList.remove('show');
+}
+
+/**
+ * Sets a paused game running again
+ */
+function resumeGame() {
+  currentGameState = GAME_STATES.PLAYING;
+  
+  // Reset timing to prevent animation jumps after unpause
+  resetGameTiming();
+  sound.startMusic();
+  requestAnimationFrame(gameLoop);
+}
+
+// =============================================================================
+// LEADERBOARD
+// =============================================================================
+
+/**
+ * Saves the finished game to the leaderboard if it made the top scores.
+ * The entry is stored right away under the last used initials so the score
+ * is never lost; the game over screen then lets the player rename it.
+ */
+function recordLeaderboardEntry() {
+  const state = engine.getState();
+  pendingLeaderboardEntry = null;
+  
+  // Playtests of work-in-progress levels and versus games don't count
+  if (playtestLevel || UNRANKED_MODES.includes(currentMode)) return;
+  
+  leaderboard = loadLeaderboard();
+  if (!qualifiesForLeaderboard(leaderboard, currentMode, currentDifficulty, currentScoring, state.score)) return;
+  
+  const entry = createLeaderboardEntry({
+    name: loadPlayerName(),
+    score: state.score,
+    mode: currentMode,
+    difficulty: currentDifficulty,
+    scoring: currentScoring,
+    length: state.snake.length,
+    fruits: { ...state.fruitsEaten },
+    duration: state.elapsedTime
+  });
+  const result = addLeaderboardEntry(leaderboard, entry);
+  leaderboard = result.entries;
+  saveLeaderboard(leaderboard);
+  
+  pendingLeaderboardEntry = entry;
+  DOM.leaderboardRank.textContent = result.rank;
+  
+  highScore = getBestScore(leaderboard, currentMode, currentDifficulty, currentScoring);
+  updateHighScoreDisplay();
+}
+
+/**
+ * Unlocks any snake skins the finished game's score reached and announces
+ * them on the game over screen
+ */
+function recordSkinProgress() {
+  const unlocked = playtestLevel || UNRANKED_MODES.includes(currentMode) ? [] : saveSkinProgress(engine.getState().score);
+  
+  DOM.unlockInfo.textContent = unlocked.length === 0 ? '' :
+    'Unlocked skin: ' + unlocked.map(skin => SNAKE_SKINS[skin].label).join(', ') + ' (choose it in Settings)';
+  DOM.unlockInfo.style.display = unlocked.length === 0 ? 'none' : 'block';
+}
+
+/**
+ * Shows the initials prompt on the game over screen for a qualifying score
+ */
+function updateNameEntry() {
+  if (!pendingLeaderboardEntry) {
+    DOM.nameEntry.style.display = 'none';
+    return;
+  }
+  
+  DOM.nameEntry.style.display = 'block';
+  DOM.nameInput.value = loadPlayerName();
+  DOM.nameInput.focus();
+}
+
+/**
+ * Applies the entered initials to the pending leaderboard entry
+ */
+function saveLeaderboardName() {
+  if (!pendingLeaderboardEntry) return;
+  
+  const name = normalizePlayerName(DOM.nameInput.value);
+  pendingLeaderboardEntry.name = name;
+  saveLeaderboard(leaderboard);
+  savePlayerName(name);
+  
+  pendingLeaderboardEntry = null;
+  DOM.nameEntry.style.display = 'none';
+}
+
+/**
+ * Saves initials when Enter is pressed in the name field
+ * @param {KeyboardEvent} event - Keyboard event object
+ */
+function handleNameInputKey(event) {
+  if (event.key === 'Enter') {
+    saveLeaderboardName();
+  }
+}
+
+/**
+ * Formats a duration in milliseconds as m:ss
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const seconds = totalSeconds % 60;
+  return Math.floor(totalSeconds / 60) + ':' + (seconds < 10 ? '0' : '') + seconds;
+}
+
+/**
+ * Formats per-shape fruit counts as compact symbols, e.g. "●4 ▲2 ★1"
+ * @param {Object} fruits - Counts keyed by fruit shape
+ * @returns {string} Formatted counts
+ */
+function formatFruitCounts(fruits) {
+  return Object.keys(FRUIT_REGISTRY)
+    .filter(shape => fruits[shape] > 0)
+    .map(shape => FRUIT_REGISTRY[shape].symbol + fruits[shape])
+    .join(' ');
+}
+
+/**
+ * Shows the leaderboard screen
+ */
+function showLeaderboard() {
+  // Save any initials typed so far before leaving the prompt
+  saveLeaderboardName();
+  
+  leaderboard = loadLeaderboard();
+  const showAllModes = currentGameState === GAME_STATES.MENU || UNRANKED_MODES.includes(currentMode);
+  DOM.leaderboardModeFilter.value = showAllModes ? '' : currentMode;
+  DOM.leaderboardDifficultyFilter.value = currentDifficulty;
+  DOM.leaderboardScoringFilter.value = currentScoring;
+  renderLeaderboard();
+  showModal(DOM.leaderboardModal);
+}
+
+/**
+ * Hides the leaderboard screen
+ */
+function hideLeaderboard() {
+  hideModal(DOM.leaderboardModal);
+}
+
+/**
+ * Rebuilds the leaderboard table for the selected mode, difficulty and scoring filters
+ */
+function renderLeaderboard() {
+  const mode = DOM.leaderboardModeFilter.value || null;
+  const difficulty = DOM.leaderboardDifficultyFilter.value || null;
+  const scoring = Number(DOM.leaderboardScoringFilter.value) || null;
+  const entries = getRankedEntries(leaderboard, mode, difficulty, scoring);
+  
+  DOM.leaderboardBody.textContent = '';
+  entries.forEach((entry, index) => {
+    const row = document.createElement('tr');
+    const cells = [
+      index + 1,
+      entry.name,
+      entry.score,
+      entry.length || '-',
+      entry.fruits ? formatFruitCounts(entry.fruits) || '-' : '-',
+      entry.duration ? formatDuration(entry.duration) : '-',
+      GAME_MODE_LABELS[entry.mode] || entry.mode,
+      describePreset(getEntryDifficulty(entry)),
+      SCORING_LABELS[getEntryScoring(entry)],
+      entry.date ? new Date(entry.date).toLocaleDateString() : '-'
+    ];
+    cells.forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    
+    // Per-entry delete button, handled by delegation on the table body
+    const actionCell = document.createElement('td');
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'delete-entry-button';
+    deleteButton.dataset.entryId = entry.id;
+    deleteButton.title = 'Remove this entry';
+    deleteButton.textContent = '✕';
+    actionCell.appendChild(deleteButton);
+    row.appendChild(actionCell);
+    
+    DOM.leaderboardBody.appendChild(row);
+  });
+  
+  DOM.leaderboardEmpty.style.display = entries.length === 0 ? 'block' : 'none';
+}
+
+/**
+ * Removes a single leaderboard entry when its delete button is clicked
+ * @param {MouseEvent} event - Click event from the leaderboard table body
+ */
+function handleLeaderboardClick(event) {
+  const button = event.target.closest('.delete-entry-button');
+  if (!button) return;
+  
+  leaderboard = removeLeaderboardEntry(leaderboard, button.dataset.entryId);
+  saveLeaderboard(leaderboard);
+  refreshHighScoreAfterLeaderboardChange();
+  renderLeaderboard();
+}
+
+/**
+ * Clears every entry matching the selected mode, difficulty and scoring filters
+ */
+function clearLeaderboard() {
+  const mode = DOM.leaderboardModeFilter.value || null;
+  const difficulty = DOM.leaderboardDifficultyFilter.value || null;
+  const scoring = Number(DOM.leaderboardScoringFilter.value) || null;
+  const filters = [difficulty && describePreset(difficulty), mode && GAME_MODE_LABELS[mode]].filter(Boolean);
+  const scope = (filters.length > 0 ? filters.join(' ') + ' scores' : 'all scores') +
+    (scoring ? ' (' + SCORING_LABELS[scoring] + ')' : '');
+  if (!window.confirm('Clear ' + scope + ' from the leaderboard?')) return;
+  
+  const cleared = getRankedEntries(leaderboard, mode, difficulty, scoring);
+  leaderboard = leaderboard.filter(entry => !cleared.includes(entry));
+  saveLeaderboard(leaderboard);
+  refreshHighScoreAfterLeaderboardChange();
+  renderLeaderboard();
+}
+
+/**
+ * Updates the header high score after entries are removed
+ */
+function refreshHighScoreAfterLeaderboardChange() {
+  highScore = loadHighScore();
+  updateHighScoreDisplay();
+}
+
+/**
+ * Fills the leaderboard filters and title pickers with every game mode,
+ * difficulty, scoring version and opponent
+ */
+function populateModeOptions() {
+  Object.values(GAME_MODES).forEach(mode => {
+    const selects = UNRANKED_MODES.includes(mode) ? [DOM.modeSelect] : [DOM.leaderboardModeFilter, DOM.modeSelect];
+    selects.forEach(select => {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.textContent = GAME_MODE_LABELS[mode];
+      select.appendChild(option);
+    });
+  });
+  DOM.modeSelect.value = currentMode;
+  
+  [...Object.keys(DIFFICULTY_PRESETS), CUSTOM_PRESET, ASSIST_PRESET].forEach(difficulty => {
+    const option = document.createElement('option');
+    option.value = difficulty;
+    option.textContent = describePreset(difficulty);
+    DOM.leaderboardDifficultyFilter.appendChild(option);
+  });
+  
+  // Scores from before combos rank on their own board unless All Scoring lists
+  // both, with the Scoring column telling them apart
+  [SCORING_VERSION, LEGACY_SCORING_VERSION].forEach(scoring => {
+    const option = document.createElement('option');
+    option.value = scoring;
+    option.textContent = SCORING_LABELS[scoring];
+    DOM.leaderboardScoringFilter.appendChild(option);
+  });
+  
+  // Versus can pit player 1 against a bot instead of a second human
+  const opponents = [['', 'Player 2: Human']];
+  Object.keys(BOT_STRATEGIES).forEach(strategy => {
+    opponents.push([strategy, 'Player 2: CPU (' + BOT_STRATEGIES[strategy].label + ')']);
+  });
+  opponents.forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    DOM.opponentSelect.appendChild(option);
+  });
+  updateOpponentSelect();
+}
+
+/**
+ * Shows the player 2 picker only when Versus is selected
+ */
+function updateOpponentSelect() {
+  DOM.opponentSelect.style.display = currentMode === GAME_MODES.VERSUS ? '' : 'none';
+}
+
+/**
+ * Switches the mode used for the next game and shows its high score
+ */
+function handleModeChange() {
+  currentMode = DOM.modeSelect.value;
+  updateOpponentSelect();
+  highScore = loadHighScore();
+  updateHighScoreDisplay();
+}
+
+// =============================================================================
+// STATS & ACHIEVEMENTS
+// =============================================================================
+
+/**
+ * Adds the finished game to the lifetime stats and shows any achievements
+ * it unlocked
+ */
+function recordAchievementProgress() {
+  // Games that don't count were never tracked
+  if (!achievementTracker.game) return;
+  
+  const unlocked = achievementTracker.finishGame(engine.getState());
+  saveStats(achievementTracker.stats);
+  showAchievementUnlocks(unlocked);
+}
+
+/**
+ * Saves newly unlocked achievements and pops up a toast for each
+ * @param {Array} unlocked - Ids of the achievements just unlocked
+ */
+function showAchievementUnlocks(unlocked) {
+  if (unlocked.length === 0) return;
+  
+  saveUnlockedAchievements(achievementTracker.unlocked);
+  unlocked.forEach(id => showToast('Achievement unlocked: ' + ACHIEVEMENTS[id].label, ACHIEVEMENTS[id].description));
+}
+
+/**
+ * Shows a short notice in the corner that fades away by itself; the toast
+ * area is a live region, so screen readers read it out too
+ * @param {string} title - First line, in bold
+ * @param {string} text - Detail line
+ */
+function showToast(title, text) {
+  const toast = document.createElement('div');
+  toast.className = 'toast';
+  const heading = document.createElement('strong');
+  heading.textContent = title;
+  const detail = document.createElement('span');
+  detail.textContent = text;
+  toast.append(heading, detail);
+  DOM.toastArea.appendChild(toast);
+  
+  setTimeout(() => {
+    toast.classList.add('hide');
+    setTimeout(() => toast.remove(), TOAST_FADE_TIME);
+  }, TOAST_DURATION);
+}
+
+/**
+ * Shows the lifetime stats and achievements screen
+ */
+function showStats() {
+  renderStats();
+  renderAchievements();
+  showModal(DOM.statsModal);
+}
+
+/**
+ * Hides the stats and achievements screen
+ */
+function hideStats() {
+  hideModal(DOM.statsModal);
+}
+
+/**
+ * Fills the lifetime stats list
+ */
+function renderStats() {
+  const stats = achievementTracker.stats;
+  const fruitCounts = formatFruitCounts(stats.fruitsByShape);
+  const lines = [
+    ['Games played', stats.gamesPlayed],
+    ['Fruits eaten', countFruits(stats.fruitsByShape) + (fruitCounts ? ' (' + fruitCounts + ')' : '')],
+    ['Longest snake', stats.longestSnake],
+    ['Longest survival', formatDuration(stats.longestSurvival)],
+    ['Bombs dodged', stats.bombsDodged],
+    ['Speed fruits eaten', stats.fruitsByShape.speedreset || 0],
+    ['Cut fruits eaten', stats.fruitsByShape.shrink || 0]
+  ];
+  Object.keys(DEATH_DESCRIPTIONS)
+    .filter(cause => stats.deathsByCause[cause] > 0)
+    .forEach(cause => lines.push(['Deaths: ' + DEATH_DESCRIPTIONS[cause], stats.deathsByCause[cause]]));
+  
+  DOM.statsList.textContent = '';
+  lines.forEach(([label, value]) => {
+    const item = document.createElement('li');
+    const name = document.createElement('span');
+    name.textContent = label;
+    const amount = document.createElement('span');
+    amount.textContent = value;
+    item.append(name, amount);
+    DOM.statsList.appendChild(item);
+  });
+}
+
+/**
+ * Fills the achievements list, unlocked ones marked with their date
+ */
+function renderAchievements() {
+  const unlocked = achievementTracker.unlocked;
+  const ids = Object.keys(ACHIEVEMENTS);
+  DOM.achievementCount.textContent = ids.filter(id => unlocked.hasOwnProperty(id)).length + ' / ' + ids.length;
+  
+  DOM.achievementList.textContent = '';
+  ids.forEach(id => {
+    const achievement = ACHIEVEMENTS[id];
+    const isUnlocked = unlocked.hasOwnProperty(id);
+    const item = document.createElement('li');
+    item.className = 'achievement' + (isUnlocked ? ' unlocked' : '');
+    
+    const label = document.createElement('strong');
+    label.textContent = achievement.label;
+    const description = document.createElement('span');
+    description.textContent = achievement.description;
+    const status = document.createElement('span');
+    status.className = 'achievement-status';
+    status.textContent = isUnlocked ? new Date(unlocked[id]).toLocaleDateString() : 'Locked';
+    item.append(label, description, status);
+    DOM.achievementList.appendChild(item);
+  });
+}
+
+// =============================================================================
+// DAILY CHALLENGE
+// =============================================================================
+
+/**
+ * Checks whether the game being set up or played is a daily run
+ * @returns {boolean} True for a Daily game that isn't a level playtest
+ */
+function isDailyGame() {
+  return currentMode === GAME_MODES.DAILY && !playtestLevel;
+}
+
+/**
+ * Checks whether daily results go in the assisted history. Follows the
+ * difficulty, which a daily run fixes when it starts and the settings set
+ * otherwise, so a run and the screens showing it always agree.
+ * @returns {boolean} True when playing, or about to play, with assist speed
+ */
+function isAssistedDaily() {
+  return currentDifficulty === ASSIST_PRESET;
+}
+
+/**
+ * Adds a finished daily run to its history (assisted runs have their own)
+ * and shows the day's best and streak on the game over screen
+ */
+function recordDailyRun() {
+  DOM.dailyInfo.textContent = '';
+  DOM.dailyResult.style.display = isDailyGame() ? 'block' : 'none';
+  if (!isDailyGame()) return;
+  
+  const state = engine.getState();
+  const run = {
+    score: state.score,
+    length: state.snake.length,
+    duration: Math.round(state.elapsedTime),
+    fruits: { ...state.fruitsEaten }
+  };
+  const assisted = isAssistedDaily();
+  const result = addDailyRun(loadDailyHistory(assisted), dailyDate, run);
+  saveDailyHistory(result.history, assisted);
+  
+  const day = result.history[dailyDate];
+  const streak = getDailyStreak(result.history, getDailyDateKey());
+  DOM.dailyInfo.textContent = (result.best ? 'New best for the day! ' : "Today's best: " + day.score + '. ') +
+    'Streak: ' + formatDays(streak.current);
+  DOM.shareDailyButton.textContent = 'Copy Result';
+  dailyShareText = formatDailyShareText(run, day, streak);
+  
+  highScore = loadHighScore();
+  updateHighScoreDisplay();
+}
+
+/**
+ * Writes a daily run up as a few lines of plain text for pasting into chat
+ * @param {Object} run - {score, length, duration, fruits} of the run
+ * @param {Object} day - The day's history record, including this run
+ * @param {Object} streak - {current, best} from getDailyStreak()
+ * @returns {string} Result summary
+ */
+function formatDailyShareText(run, day, streak) {
+  const assist = isAssistedDaily() ? ' (' + describePreset(ASSIST_PRESET) + ')' : '';
+  return [
+    DAILY_SHARE_TITLE + ' ' + dailyDate + assist,
+    describeDailyModifiers(getDailyModifiers(dailyDate)),
+    'Score ' + run.score + (day.score > run.score ? ' (best ' + day.score + ')' : '') +
+      ', length ' + run.length + ', ' + formatDuration(run.duration),
+    formatFruitCounts(run.fruits),
+    'Streak: ' + formatDays(streak.current)
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Formats a number of days, e.g. "1 day" or "4 days"
+ * @param {number} days - Number of days
+ * @returns {string} Count with its unit
+ */
+function formatDays(days) {
+  return days + (days === 1 ? ' day' : ' days');
+}
+
+/**
+ * Copies the last daily result to the clipboard, or shows it for copying by
+ * hand where the clipboard isn't available
+ */
+function copyDailyResult() {
+  const copyByHand = () => window.prompt('Copy your result:', dailyShareText);
+  if (!navigator.clipboard) {
+    copyByHand();
+    return;
+  }
+  
+  navigator.clipboard.writeText(dailyShareText).then(() => {
+    DOM.shareDailyButton.textContent = 'Copied!';
+    announce('Result copied');
+  }, copyByHand);
+}
+
+/**
+ * Shows the Daily Challenge screen
+ */
+function showDaily() {
+  renderDaily();
+  showModal(DOM.dailyModal);
+}
+
+/**
+ * Hides the Daily Challenge screen
+ */
+function hideDaily() {
+  hideModal(DOM.dailyModal);
+}
+
+/**
+ * Starts today's daily run from the Daily Challenge screen
+ */
+function playDaily() {
+  hideDaily();
+  DOM.modeSelect.value = GAME_MODES.DAILY;
+  handleModeChange();
+  startGame();
+}
+
+/**
+ * Fills the Daily Challenge screen with today's modifiers, best and streak,
+ * and the most recent days played. With assist speed on, the results shown
+ * are those of assisted runs.
+ */
+function renderDaily() {
+  const today = getDailyDateKey();
+  const assisted = isAssistedDaily();
+  const history = loadDailyHistory(assisted);
+  const streak = getDailyStreak(history, today);
+  
+  // Days follow UTC, so show the date the run belongs to rather than the local one
+  DOM.dailyDate.textContent = new Date().toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC' });
+  DOM.dailyModifiers.textContent = '';
+  getDailyModifiers(today).forEach(modifier => {
+    const item = document.createElement('li');
+    const label = document.createElement('strong');
+    label.textContent = DAILY_MODIFIERS[modifier].label;
+    item.append(label, ': ' + DAILY_MODIFIERS[modifier].description);
+    DOM.dailyModifiers.appendChild(item);
+  });
+  
+  const day = history[today];
+  const assist = assisted ? ' (' + describePreset(ASSIST_PRESET) + ')' : '';
+  const todayBest = day ? "Today's best" + assist + ': ' + day.score + ' (' + day.attempts + (day.attempts === 1 ? ' try)' : ' tries)') : 'Not played yet today' + assist;
+  DOM.dailySummary.textContent = todayBest + ' · Streak: ' + formatDays(streak.current) + ' · Longest: ' + formatDays(streak.best);
+  
+  const dateKeys = Object.keys(history).sort().reverse().slice(0, DAILY_HISTORY_SHOWN);
+  DOM.dailyHistory.textContent = '';
+  dateKeys.forEach(dateKey => {
+    const row = document.createElement('tr');
+    [dateKey, history[dateKey].score, history[dateKey].attempts, describeDailyModifiers(getDailyModifiers(dateKey))].forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    DOM.dailyHistory.appendChild(row);
+  });
+  DOM.dailyHistoryEmpty.style.display = dateKeys.length === 0 ? 'block' : 'none';
+}
+
+// =============================================================================
+// REPLAY PLAYBACK
+// =============================================================================
+
+/**
+ * Plays back the last recorded game from the game over screen
+ */
+function watchLastReplay() {
+  if (!currentRecording) return;
+  startReplay(currentRecording, GAME_STATES.GAME_OVER);
+}
+
+/**
+ * Starts playing a recording on the already laid out playfield
+ * @param {Object} recording - Finished recording to play
+ * @param {string} origin - GAME_STATES value to return to on exit
+ */
+function startReplay(recording, origin) {
+  currentGameState = GAME_STATES.REPLAY;
+  replayOrigin = origin;
+  replayPlayer = new ReplayPlayer(recording);
+  updateArenaBorder(replayPlayer.engine.getState().wrapEdges);
+  replaySpeed = REPLAY_SPEEDS[0];
+  replayPaused = false;
+  prevSnakes = [];
+  effects.clear();
+  
+  // Swap the game over screen for the replay controls
+  hideModal(DOM.gameOverModal);
+  setGameControlsVisible(false);
+  DOM.replayScrubber.max = recording.endTick;
+  DOM.replayControls.classList.add('show');
+  updateScoreDisplay(replayPlayer.engine.getState());
+  updateReplayControls();
+  
+  resetGameTiming();
+  requestAnimationFrame(replayLoop);
+}
+
+/**
+ * Replay loop mirroring gameLoop's fixed timestep, scaled by replaySpeed
+ * @param {number} timestamp - Current timestamp from requestAnimationFrame
+ */
+function replayLoop(timestamp) {
+  // Stop once the player leaves the replay
+  if (currentGameState !== GAME_STATES.REPLAY) return;
+  
+  const deltaTime = timestamp - lastTime;
+  lastTime = timestamp;
+  if (!replayPaused) {
+    accumulator += deltaTime * replaySpeed;
+  }
+  
+  const replayEngine = replayPlayer.engine;
+  let currentSpeed = replayEngine.getSpeed();
+  // Faster playback legitimately needs more ticks per frame
+  let ticksThisFrame = 0;
+  while (accumulator >= currentSpeed && !replayPlayer.isFinished()) {
+    if (ticksThisFrame++ === MAX_CATCH_UP_TICKS * replaySpeed) {
+      accumulator = 0;
+      break;
+    }
+    const snakesBefore = copySnakes(replayEngine.getState());
+    replayPlayer.step();
+    updatePrevSnakes(snakesBefore, replayEngine.getState());
+    updateScoreDisplay(replayEngine.getState());
+    accumulator -= currentSpeed;
+    currentSpeed = replayEngine.getSpeed();
+  }
+  
+  // Hold on the final frame when the recording runs out
+  if (replayPlayer.isFinished() && !replayPaused) {
+    replayPaused = true;
+    accumulator = 0;
+  }
+  
+  updateReplayControls();
+  render(replayEngine.getState(), accumulator);
+  
+  requestAnimationFrame(replayLoop);
+}
+
+/**
+ * Syncs the replay control bar with the player's position and settings
+ */
+function updateReplayControls() {
+  DOM.replayScrubber.value = replayPlayer.tick;
+  DOM.replayTick.textContent = replayPlayer.tick + ' / ' + replayPlayer.recording.endTick;
+  DOM.replayPlayButton.textContent = replayPaused ? 'Play' : 'Pause';
+  DOM.replaySpeedButton.textContent = replaySpeed + 'x';
+}
+
+/**
+ * Pauses or resumes replay playback, restarting from the top if it had finished
+ */
+function toggleReplayPause() {
+  if (replayPaused && replayPlayer.isFinished()) {
+    replayPlayer.seek(0);
+    prevSnakes = [];
+    updateScoreDisplay(replayPlayer.engine.getState());
+  }
+  
+  replayPaused = !replayPaused;
+  accumulator = 0;
+  updateReplayControls();
+}
+
+/**
+ * Cycles playback speed through REPLAY_SPEEDS
+ */
+function cycleReplaySpeed() {
+  const index = REPLAY_SPEEDS.indexOf(replaySpeed);
+  replaySpeed = REPLAY_SPEEDS[(index + 1) % REPLAY_SPEEDS.length];
+  updateReplayControls();
+}
+
+/**
+ * Seeks the replay when the scrubber is dragged
+ */
+function handleReplayScrub() {
+  replayPlayer.seek(parseInt(DOM.replayScrubber.value, 10));
+  
+  // Snap to the new position instead of interpolating from the old one
+  prevSnakes = copySnakes(replayPlayer.engine.getState());
+  accumulator = 0;
+  updateScoreDisplay(replayPlayer.engine.getState());
+  updateReplayControls();
+}
+
+/**
+ * Leaves the replay and returns to the screen it was started from
+ */
+function exitReplay() {
+  replayPlayer = null;
+  DOM.replayControls.classList.remove('show');
+  
+  if (replayOrigin === GAME_STATES.MENU) {
+    showTitleScreen();
+    return;
+  }
+  
+  currentGameState = GAME_STATES.GAME_OVER;
+  setGameControlsVisible(true);
+  
+  // Restore the finished game's final frame and score
+  prevSnakes = [];
+  updateScoreDisplay(engine.getState());
+  render(engine.getState(), 0);
+  showGameOverModal();
+}
+
+// =============================================================================
+// REPLAY FILES
+// =============================================================================
+
+/**
+ * Downloads the last game's replay as a versioned JSON file
+ */
+function downloadReplay() {
+  if (!currentRecording) return;
+  
+  const state = engine.getState();
+  const data = serializeReplay(currentRecording, state.score);
+  downloadJSON(data, 'neon-snake-replay-' + state.seed + '-' + state.score + '.json');
+}
+
+/**
+ * Saves a JSON document to the player's downloads
+ * @param {Object} data - JSON-compatible data
+ * @param {string} filename - Suggested file name
+ */
+function downloadJSON(data, filename) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Shows a message under the title menu
+ * @param {string} message - Text to show, or '' to clear
+ * @param {boolean} [isError=false] - Whether to style the message as an error
+ */
+function setTitleStatus(message, isError = false) {
+  DOM.titleStatus.textContent = message;
+  DOM.titleStatus.classList.toggle('error', isError);
+}
+
+/**
+ * Validates a replay file and plays it from the title screen
+ * @param {File} file - Replay file chosen or dropped by the player
+ */
+async function loadReplayFile(file) {
+  if (!file || currentGameState !== GAME_STATES.MENU) return;
+  
+  let text;
+  try {
+    text = await file.text();
+  } catch (error) {
+    setTitleStatus('Could not read ' + file.name + '.', true);
+    return;
+  }
+  
+  let recording;
+  try {
+    recording = parseReplay(text);
+  } catch (error) {
+    setTitleStatus(error.message, true);
+    return;
+  }
+  
+  // Play on the replay's own grid, scaled to fit this screen, so replays from other
+  // window sizes and Daily's fixed grid play without a size check
+  setGameControlsVisible(false);
+  showPlayfield();
+  cols = recording.cols;
+  rows = recording.rows;
+  layoutCanvas();
+  
+  setTitleStatus(REPLAY_DROP_HINT);
+  startReplay(recording, GAME_STATES.MENU);
+}
+
+/**
+ * Handles a file chosen through the Load Replay picker
+ */
+function handleReplayFileChosen() {
+  const file = DOM.replayFileInput.files[0];
+  DOM.replayFileInput.value = ''; // Allow choosing the same file again
+  loadReplayFile(file);
+}
+
+/**
+ * Allows replay files to be dragged over the title screen
+ * @param {DragEvent} event - Drag event object
+ */
+function handleReplayDragOver(event) {
+  if (currentGameState !== GAME_STATES.MENU) return;
+  event.preventDefault();
+  DOM.titleMenu.classList.add('drag-over');
+}
+
+/**
+ * Clears the drop highlight when a drag leaves the window
+ */
+function handleReplayDragLeave() {
+  DOM.titleMenu.classList.remove('drag-over');
+}
+
+/**
+ * Loads a replay file dropped onto the title screen
+ * @param {DragEvent} event - Drop event object
+ */
+function handleReplayDrop(event) {
+  if (currentGameState !== GAME_STATES.MENU) return;
+  event.preventDefault();
+  DOM.titleMenu.classList.remove('drag-over');
+  loadReplayFile(event.dataTransfer.files[0]);
+}
+
+// =============================================================================
+// LEVEL EDITOR
+// =============================================================================
+
+/**
+ * Opens the level editor on the playfield, keeping the current map if there is one
+ */
+function openEditor() {
+  currentGameState = GAME_STATES.EDITOR;
+  playtestLevel = null;
+  
+  // Lay out the grid exactly as a game would, so playtests fit the map 1:1
+  setGameControlsVisible(true);
+  showPlayfield();
+  updateArenaBorder(true);
+  DOM.header.style.height = DOM.header.offsetHeight + 'px';
+  DOM.header.classList.add('editing');
+  
+  if (!levelEditor || !layoutLevel(levelEditor.toLevel(), cols, rows)) {
+    levelEditor = new LevelEditor(cols, rows);
+  }
+  
+  setEditorStatus('');
+  attachEventListeners();
+  refreshEditor();
+}
+
+/**
+ * Restores the normal game header after editing
+ */
+function leaveEditorLayout() {
+  finishEditorStroke();
+  editorHover = null;
+  hideModal(DOM.editorFileModal);
+  DOM.header.classList.remove('editing');
+  DOM.header.style.height = '';
+}
+
+/**
+ * Leaves the editor for the title screen; the map stays for next time
+ */
+function closeEditor() {
+  leaveEditorLayout();
+  showTitleScreen();
+}
+
+/**
+ * Re-lays out the edited map and redraws it
+ */
+function refreshEditor() {
+  editorLayout = layoutLevel(levelEditor.toLevel(), cols, rows);
+  renderEditor();
+  updateEditorToolbar();
+}
+
+/**
+ * Draws the map being edited with a cell grid and pointer highlight
+ */
+function renderEditor() {
+  const layout = editorLayout;
+  const arena = layout.arena;
+  const scale = arena.width / levelEditor.width;
+  
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  renderArena({ level: layout, arena: arena, walls: layout.walls, portals: layout.portals });
+  
+  // Map cell grid (one map cell may cover several grid cells on large screens)
+  ctx.strokeStyle = EDITOR_GRID_COLOR;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  for (let x = 0; x <= levelEditor.width; x++) {
+    ctx.moveTo((arena.x + x * scale) * cellSize, arena.y * cellSize);
+    ctx.lineTo((arena.x + x * scale) * cellSize, (arena.y + arena.height) * cellSize);
+  }
+  for (let y = 0; y <= levelEditor.height; y++) {
+    ctx.moveTo(arena.x * cellSize, (arena.y + y * scale) * cellSize);
+    ctx.lineTo((arena.x + arena.width) * cellSize, (arena.y + y * scale) * cellSize);
+  }
+  ctx.stroke();
+  
+  renderFruits(layout.fruits.map(fruit => ({ ...fruit, color: EDITOR_FRUIT_COLOR })));
+  
+  if (layout.start) {
+    const snakeColor = themeColor(DEFAULT_SNAKE_COLOR);
+    ctx.fillStyle = snakeColor;
+    ctx.shadowColor = snakeColor;
+    ctx.shadowBlur = themeGlow();
+    renderSnakeHead(layout.start.x * cellSize, layout.start.y * cellSize, layout.startDirection, snakeColor);
+    ctx.shadowBlur = 0;
+  }
+  
+  if (editorHover) {
+    ctx.strokeStyle = themeColor(EDITOR_HOVER_COLOR);
+    ctx.lineWidth = 2;
+    ctx.strokeRect((arena.x + editorHover.x * scale) * cellSize, (arena.y + editorHover.y * scale) * cellSize,
+      scale * cellSize, scale * cellSize);
+  }
+}
+
+/**
+ * Syncs the toolbar with the selected tool and undo/redo availability
+ */
+function updateEditorToolbar() {
+  DOM.editorTools.querySelectorAll('button').forEach(button => {
+    button.classList.toggle('active', button.dataset.tool === editorTool);
+  });
+  DOM.editorUndoButton.disabled = !levelEditor.canUndo();
+  DOM.editorRedoButton.disabled = !levelEditor.canRedo();
+}
+
+/**
+ * Shows a message in the editor toolbar
+ * @param {string} message - Text to show, or '' to clear
+ * @param {boolean} [isError=false] - Whether to style the message as an error
+ */
+function setEditorStatus(message, isError = false) {
+  DOM.editorStatus.textContent = message;
+  DOM.editorStatus.classList.toggle('error', isError);
+}
+
+/**
+ * Fills the fixed fruit picker with the fruit types a level map can place
+ */
+function populateEditorFruitOptions() {
+  Object.values(LEVEL_FRUIT_GLYPHS).forEach(shape => {
+    const option = document.createElement('option');
+    option.value = shape;
+    option.textContent = FRUIT_REGISTRY[shape].symbol + ' ' + shape;
+    DOM.editorFruitSelect.appendChild(option);
+  });
+}
+
+/**
+ * Selects the clicked toolbar tool
+ * @param {MouseEvent} event - Click event from the tool buttons
+ */
+function handleEditorToolClick(event) {
+  const button = event.target.closest('button[data-tool]');
+  if (!button) return;
+  editorTool = button.dataset.tool;
+  updateEditorToolbar();
+}
+
+/**
+ * Switches to the fruit tool when a fruit is picked
+ */
+function handleEditorFruitChange() {
+  editorTool = EDITOR_TOOLS.FRUIT;
+  updateEditorToolbar();
+}
+
+/**
+ * Converts a pointer position to a map cell
+ * @param {PointerEvent} event - Pointer event over the canvas
+ * @returns {Object|null} Map cell {x, y}, or null outside the map
+ */
+function getEditorCell(event) {
+  const rect = canvas.getBoundingClientRect();
+  const gridX = Math.floor((event.clientX - rect.left - canvas.clientLeft) / cellSize);
+  const gridY = Math.floor((event.clientY - rect.top - canvas.clientTop) / cellSize);
+  
+  const arena = editorLayout.arena;
+  const scale = arena.width / levelEditor.width;
+  const x = Math.floor((gridX - arena.x) / scale);
+  const y = Math.floor((gridY - arena.y) / scale);
+  return levelEditor.getGlyph(x, y) === null ? null : { x, y };
+}
+
+/**
+ * Starts painting; the right button always erases
+ * @param {PointerEvent} event - Pointer event object
+ */
+function handleEditorPointerDown(event) {
+  if (currentGameState !== GAME_STATES.EDITOR) return;
+  const cell = getEditorCell(event);
+  if (!cell) return;
+  event.preventDefault();
+  
+  editorStrokeTool = event.button === 2 ? EDITOR_TOOLS.ERASE : editorTool;
+  levelEditor.beginStroke();
+  paintEditorCell(cell);
+  
+  // Only walls and erasing paint while dragging; other tools place one cell per click
+  if (editorStrokeTool !== EDITOR_TOOLS.WALL && editorStrokeTool !== EDITOR_TOOLS.ERASE) {
+    finishEditorStroke();
+  }
+}
+
+/**
+ * Tracks the hovered cell and continues a drag stroke
+ * @param {PointerEvent} event - Pointer event object
+ */
+function handleEditorPointerMove(event) {
+  if (currentGameState !== GAME_STATES.EDITOR) return;
+  editorHover = getEditorCell(event);
+  if (editorHover && editorStrokeTool) {
+    paintEditorCell(editorHover);
+  }
+  renderEditor();
+}
+
+/**
+ * Clears the hover highlight when the pointer leaves the canvas
+ */
+function handleEditorPointerLeave() {
+  if (currentGameState !== GAME_STATES.EDITOR) return;
+  editorHover = null;
+  renderEditor();
+}
+
+/**
+ * Keeps the browser menu from opening on right-click erasing
+ * @param {MouseEvent} event - Context menu event
+ */
+function handleEditorContextMenu(event) {
+  if (currentGameState === GAME_STATES.EDITOR) event.preventDefault();
+}
+
+/**
+ * Applies the current stroke's tool to a cell
+ * @param {Object} cell - Map cell {x, y}
+ */
+function paintEditorCell(cell) {
+  if (levelEditor.paint(cell.x, cell.y, editorStrokeTool, DOM.editorFruitSelect.value)) {
+    setEditorStatus('');
+    refreshEditor();
+  }
+}
+
+/**
+ * Ends the stroke in progress so it becomes one undo step
+ */
+function finishEditorStroke() {
+  if (!editorStrokeTool) return;
+  editorStrokeTool = null;
+  levelEditor.endStroke();
+  updateEditorToolbar();
+}
+
+/**
+ * Undoes the last editor stroke
+ */
+function editorUndo() {
+  if (levelEditor.undo()) refreshEditor();
+}
+
+/**
+ * Redoes the last undone editor stroke
+ */
+function editorRedo() {
+  if (levelEditor.redo()) refreshEditor();
+}
+
+/**
+ * Handles undo/redo shortcuts while editing
+ * @param {KeyboardEvent} event - Keyboard event object
+ */
+function handleEditorKey(event) {
+  // Leave text fields their own undo
+  if (event.target.tagName === 'INPUT') return;
+  if (!event.ctrlKey && !event.metaKey) return;
+  
+  const key = event.key.toLowerCase();
+  if (key === 'z' && !event.shiftKey) {
+    editorUndo();
+  } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+    editorRedo();
+  } else {
+    return;
+  }
+  event.preventDefault();
+}
+
+/**
+ * Validates the edited map and starts a game on it
+ */
+function playtestEditorLevel() {
+  let level;
+  try {
+    level = parseLevel(levelEditor.toLevel());
+  } catch (error) {
+    setEditorStatus(error.message, true);
+    return;
+  }
+  
+  leaveEditorLayout();
+  playtestLevel = level;
+  startGame();
+}
+
+/**
+ * Returns from a finished playtest to the editor
+ */
+function returnToEditor() {
+  hideModal(DOM.gameOverModal);
+  openEditor();
+}
+
+/**
+ * Shows the editor's file screen with the level's name, target and saved levels
+ */
+function showEditorFile() {
+  DOM.editorNameInput.value = levelEditor.name;
+  DOM.editorTargetInput.value = levelEditor.targetScore;
+  setEditorFileStatus('');
+  renderSavedLevels();
+  showModal(DOM.editorFileModal);
+}
+
+/**
+ * Hides the editor's file screen
+ */
+function hideEditorFile() {
+  hideModal(DOM.editorFileModal);
+}
+
+/**
+ * Shows a message on the editor's file screen
+ * @param {string} message - Text to show, or '' to clear
+ * @param {boolean} [isError=false] - Whether to style the message as an error
+ */
+function setEditorFileStatus(message, isError = false) {
+  DOM.editorFileStatus.textContent = message;
+  DOM.editorFileStatus.classList.toggle('error', isError);
+}
+
+/**
+ * Applies the name and target fields to the edited level
+ */
+function handleEditorFieldsInput() {
+  levelEditor.name = DOM.editorNameInput.value;
+  levelEditor.targetScore = Number(DOM.editorTargetInput.value);
+}
+
+/**
+ * Validates the edited level, reporting problems on the file screen
+ * @returns {Object|null} Normalized level, or null if it is invalid
+ */
+function validateEditorLevel() {
+  try {
+    return parseLevel(levelEditor.toLevel());
+  } catch (error) {
+    setEditorFileStatus(error.message, true);
+    return null;
+  }
+}
+
+/**
+ * Loads a level into the editor if it fits the current grid
+ * @param {Object} level - Normalized level
+ * @returns {boolean} True if the level was loaded
+ */
+function loadLevelIntoEditor(level) {
+  if (!layoutLevel(level, cols, rows)) {
+    setEditorFileStatus(level.name + ' needs a ' + level.map[0].length + 'x' + level.map.length +
+      ' grid, but this screen fits ' + cols + 'x' + rows + '.', true);
+    return false;
+  }
+  
+  levelEditor.loadLevel(level);
+  hideEditorFile();
+  setEditorStatus('Loaded ' + level.name + '.');
+  refreshEditor();
+  return true;
+}
+
+/**
+ * Starts over with an empty map after confirming
+ */
+function newEditorLevel() {
+  if (!window.confirm('Start a new level? Unsaved changes will be lost.')) return;
+  levelEditor.newLevel(cols, rows);
+  hideEditorFile();
+  setEditorStatus('');
+  refreshEditor();
+}
+
+/**
+ * Saves the edited level to localStorage, replacing its earlier save
+ */
+function saveEditorLevel() {
+  const level = validateEditorLevel();
+  if (!level) return;
+  
+  if (saveCustomLevels(upsertCustomLevel(loadCustomLevels(), level))) {
+    setEditorFileStatus('Saved ' + level.name + '.');
+  } else {
+    setEditorFileStatus('Could not save to this browser.', true);
+  }
+  renderSavedLevels();
+}
+
+/**
+ * Downloads the edited level as a JSON file
+ */
+function exportEditorLevel() {
+  const level = validateEditorLevel();
+  if (!level) return;
+  downloadJSON(serializeLevel(level), 'neon-snake-level-' + level.id + '.json');
+}
+
+/**
+ * Validates a level file and opens it in the editor
+ * @param {File} file - Level file chosen by the designer
+ */
+async function importEditorLevelFile(file) {
+  if (!file) return;
+  
+  let level;
+  try {
+    level = parseLevel(await file.text());
+  } catch (error) {
+    setEditorFileStatus(error.message, true);
+    return;
+  }
+  
+  loadLevelIntoEditor(level);
+}
+
+/**
+ * Handles a file chosen through the Import picker
+ */
+function handleEditorFileChosen() {
+  const file = DOM.editorFileInput.files[0];
+  DOM.editorFileInput.value = ''; // Allow choosing the same file again
+  importEditorLevelFile(file);
+}
+
+/**
+ * Lists the levels saved in this browser
+ */
+function renderSavedLevels() {
+  const levels = loadCustomLevels();
+  DOM.editorSavedList.textContent = '';
+  DOM.editorSavedEmpty.style.display = levels.length === 0 ? 'block' : 'none';
+  
+  levels.forEach(level => {
+    const item = document.createElement('li');
+    
+    const name = document.createElement('span');
+    name.className = 'saved-level-name';
+    name.textContent = level.name + ' (' + level.map[0].length + 'x' + level.map.length + ', ' + level.targetScore + ' pts)';
+    
+    const loadButton = document.createElement('button');
+    loadButton.textContent = 'Load';
+    loadButton.dataset.action = 'load';
+    loadButton.dataset.levelId = level.id;
+    
+    const deleteButton = document.createElement('button');
+    deleteButton.textContent = '✕';
+    deleteButton.className = 'delete-saved-level';
+    deleteButton.dataset.action = 'delete';
+    deleteButton.dataset.levelId = level.id;
+    deleteButton.title = 'Delete ' + level.name;
+    
+    item.append(name, loadButton, deleteButton);
+    DOM.editorSavedList.appendChild(item);
+  });
+}
+
+/**
+ * Loads or deletes a saved level from its list buttons
+ * @param {MouseEvent} event - Click event from the saved level list
+ */
+function handleSavedLevelClick(event) {
+  const button = event.target.closest('button[data-action]');
+  if (!button) return;
+  
+  const levels = loadCustomLevels();
+  const level = levels.find(saved => saved.id === button.dataset.levelId);
+  if (!level) return;
+  
+  if (button.dataset.action === 'load') {
+    loadLevelIntoEditor(level);
+  } else if (window.confirm('Delete ' + level.name + '?')) {
+    saveCustomLevels(levels.filter(saved => saved !== level));
+    renderSavedLevels();
+  }
+}
+
+// =============================================================================
+// MODALS & ANNOUNCEMENTS
+// =============================================================================
+
+const modalReturnFocus = new Map();      // Element focused before each open modal, to return to
+
+/**
+ * Opens a modal and moves keyboard focus into it, onto its main button
+ * @param {HTMLElement} modal - Modal to show
+ */
+function showModal(modal) {
+  if (modal.classList.contains('show')) return;
+  
+  modalReturnFocus.set(modal, document.activeElement);
+  modal.classList.add('show');
+  
+  const target = modal.querySelector('[data-confirm]');
+  const focusable = target && isFocusable(target, modal) ? target : getFocusableElements(modal)[0];
+  if (focusable) focusable.focus();
+}
+
+/**
+ * Closes a modal, handing focus back to whatever had it before the modal
+ * opened if focus was still inside the modal
+ * @param {HTMLElement} modal - Modal to hide
+ */
+function hideModal(modal) {
+  if (!modal.classList.contains('show')) return;
+  
+  const focusWasInside = modal.contains(document.activeElement) || document.activeElement === document.body;
+  modal.classList.remove('show');
+  
+  const previous = modalReturnFocus.get(modal);
+  modalReturnFocus.delete(modal);
+  if (focusWasInside && previous && previous.focus) previous.focus();
+}
+
+/**
+ * Finds the modal on top: the last open one in page order, as modals opened
+ * over others (instructions over pause, for one) come later in the page
+ * @returns {HTMLElement|null} Top open modal
+ */
+function getTopModal() {
+  const open = document.querySelectorAll('[role="dialog"].show');
+  return open.length > 0 ? open[open.length - 1] : null;
+}
+
+/**
+ * Checks whether an element in a modal can take focus right now
+ * @param {HTMLElement} element - Element to check
+ * @param {HTMLElement} modal - Modal containing it
+ * @returns {boolean} True if it is enabled and not hidden
+ */
+function isFocusable(element, modal) {
+  if (element.disabled || element.hidden) return false;
+  for (let node = element; node && node !== modal; node = node.parentElement) {
+    if (getComputedStyle(node).display === 'none') return false;
+  }
+  return true;
+}
+
+/**
+ * Lists the elements Tab moves between in a modal, in page order
+ * @param {HTMLElement} modal - Modal to search
+ * @returns {Array} Focusable elements
+ */
+function getFocusableElements(modal) {
+  return Array.from(modal.querySelectorAll(FOCUSABLE_SELECTOR)).filter(element => isFocusable(element, modal));
+}
+
+/**
+ * Keeps Tab cycling inside the top modal and lets Escape close it through its
+ * [data-cancel] button. Runs before the game's key handlers, which never see
+ * a key the modal used.
+ * @param {KeyboardEvent} event - Keyboard event object
+ */
+function handleModalKey(event) {
+  const modal = getTopModal();
+  if (!modal) return;
+  
+  if (event.key === 'Escape') {
+    const cancel = modal.querySelector('[data-cancel]');
+    if (!cancel) return;
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    cancel.click();
+    return;
+  }
+  
+  if (event.key !== 'Tab') return;
+  
+  const focusable = getFocusableElements(modal);
+  if (focusable.length === 0) return;
+  
+  const index = focusable.indexOf(document.activeElement);
+  const step = event.shiftKey ? -1 : 1;
+  const next = index === -1 ? (event.shiftKey ? focusable.length - 1 : 0) : (index + step + focusable.length) % focusable.length;
+  event.preventDefault();
+  event.stopImmediatePropagation();
+  focusable[next].focus();
+}
+
+/**
+ * Reads a message out to screen readers through the live region
+ * @param {string} message - Text to announce
+ */
+function announce(message) {
+  // Clearing first makes a repeated message count as a change
+  DOM.announcer.textContent = '';
+  DOM.announcer.textContent = message;
+}
+
+// =============================================================================
+// INPUT HANDLING
+// =============================================================================
+
+/**
+ * Handles keyboard input for game controls
+ * @param {KeyboardEvent} event - Keyboard event object
+ */
+function handleKeyPress(event) {
+  const action = findBoundAction(controls.keys, normalizeKey(event.key));
+  
+  // Handle pause toggle (works in games and replays)
+  if (action === 'pause' && handlePauseInput()) return;
+  
+  // Mute works anywhere except while typing
+  if (action === 'mute' && event.target.tagName !== 'INPUT') {
+    toggleMute();
+    return;
+  }
+  
+  if (currentGameState === GAME_STATES.EDITOR) {
+    handleEditorKey(event);
+    return;
+  }
+  
+  // Only process movement keys during active gameplay
+  if (currentGameState !== GAME_STATES.PLAYING) return;
+  
+  const move = KEY_ACTION_MOVES[action];
+  if (!move) return;
+  requestDirection(getInputPlayer(move.keySet), CONTROL_DIRECTIONS[move.direction]);
+}
+
+/**
+ * Pauses or resumes whatever is running, for the pause key and gamepad Start
+ * @returns {boolean} True if there was something to pause
+ */
+function handlePauseInput() {
+  if (currentGameState === GAME_STATES.PLAYING || currentGameState === GAME_STATES.PAUSED) {
+    togglePause();
+    return true;
+  }
+  if (currentGameState === GAME_STATES.REPLAY) {
+    toggleReplayPause();
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Picks the snake an input source steers: in versus each key set or gamepad
+ * has its own, but with a bot (or in solo games) everything steers player 1
+ * @param {number} slot - Key set or gamepad number
+ * @returns {number} Player index
+ */
+function getInputPlayer(slot) {
+  return slot < nextDirections.length && !bots[slot] ? slot : 0;
+}
+
+/**
+ * Queues a turn for one of a player's upcoming moves (see queueTurn in
+ * controls.js). Every input source comes through here.
+ * @param {number} playerIndex - Player to steer
+ * @param {Object} direction - Requested direction {x, y}
+ */
+function requestDirection(playerIndex, direction) {
+  const heading = engine.getState().players[playerIndex].direction;
+  queueTurn(inputQueues[playerIndex], direction, heading, gameSettings.inputQueueDepth);
+}
+
+/**
+ * Handles touch start events for mobile controls
+ * @param {TouchEvent} event - Touch event object
+ */
+function handleTouchStart(event) {
+  const touch = event.changedTouches[0];
+  touchStartX = touch.clientX;
+  touchStartY = touch.clientY;
+  event.preventDefault(); // Prevent scrolling
+}
+
+/**
+ * Handles touch end events for mobile swipe controls
+ * @param {TouchEvent} event - Touch event object
+ */
+function handleTouchEnd(event) {
+  // Only process touch input during active gameplay
+  if (currentGameState !== GAME_STATES.PLAYING) return;
+  
+  const touch = event.changedTouches[0];
+  const deltaX = touch.clientX - touchStartX;
+  const deltaY = touch.clientY - touchStartY;
+  
+  // Determine swipe direction based on largest delta; swipes steer player 1
+  if (Math.abs(deltaX) > Math.abs(deltaY)) {
+    // Horizontal swipe
+    if (deltaX !== 0) requestDirection(0, { x: Math.sign(deltaX), y: 0 });
+  } else {
+    // Vertical swipe
+    if (deltaY !== 0) requestDirection(0, { x: 0, y: Math.sign(deltaY) });
+  }
   
   event.preventDefault(); // Prevent default touch behavior
 }
 
+// =============================================================================
+// GAMEPAD INPUT
+// =============================================================================
+
+/**
+ * Reads every connected gamepad, reacting to newly pressed buttons and stick
+ * pushes. Called from gameLoop while playing and gamepadMenuLoop otherwise.
+ */
+function pollGamepads() {
+  if (!navigator.getGamepads) return;
+  
+  const pads = Array.from(navigator.getGamepads()).filter(pad => pad && pad.connected);
+  pads.forEach((pad, slot) => {
+    const wasHeld = gamepadButtonsHeld[pad.index] || [];
+    const held = pad.buttons.map(button => button.pressed);
+    gamepadButtonsHeld[pad.index] = held;
+    const pressed = held.map((isHeld, button) => isHeld && !wasHeld[button]);
+    
+    const previousStick = gamepadStickDirections[pad.index] || null;
+    const stick = readStickDirection(pad);
+    gamepadStickDirections[pad.index] = stick;
+    
+    // The controls screen is waiting for a button to bind
+    if (bindingCapture && bindingCapture.type === 'gamepad') {
+      const button = pressed.indexOf(true);
+      if (button !== -1) finishBindingCapture(button);
+      return;
+    }
+    
+    if (pressed[controls.gamepad.pause]) handlePauseInput();
+    if (pressed[controls.gamepad.confirm]) confirmWithGamepad();
+    if (currentGameState !== GAME_STATES.PLAYING) return;
+    
+    const player = getInputPlayer(slot);
+    Object.keys(CONTROL_DIRECTIONS).forEach(direction => {
+      if (pressed[controls.gamepad[direction]]) requestDirection(player, CONTROL_DIRECTIONS[direction]);
+    });
+    if (stick && stick !== previousStick) requestDirection(player, CONTROL_DIRECTIONS[stick]);
+  });
+}
+
+/**
+ * Reads the left stick as one of four directions
+ * @param {Gamepad} pad - Gamepad to read
+ * @returns {string|null} CONTROL_DIRECTIONS key, or null inside the deadzone
+ */
+function readStickDirection(pad) {
+  const x = pad.axes[0] || 0;
+  const y = pad.axes[1] || 0;
+  if (Math.max(Math.abs(x), Math.abs(y)) < GAMEPAD_DEADZONE) return null;
+  
+  if (Math.abs(x) > Math.abs(y)) return x > 0 ? 'right' : 'left';
+  return y > 0 ? 'down' : 'up';
+}
+
+/**
+ * Presses the main button of the top open modal, or Start Game on the title screen
+ */
+function confirmWithGamepad() {
+  const openButtons = document.querySelectorAll('.show [data-confirm]');
+  if (openButtons.length > 0) {
+    openButtons[openButtons.length - 1].click();
+  } else if (currentGameState === GAME_STATES.MENU) {
+    DOM.startButton.click();
+  }
+}
+
+/**
+ * Keeps polling gamepads on menus, pause and game over, where gameLoop isn't running
+ */
+function gamepadMenuLoop() {
+  const connected = navigator.getGamepads && Array.from(navigator.getGamepads()).some(pad => pad && pad.connected);
+  if (!connected) {
+    gamepadMenuPolling = false;
+    return;
+  }
+  
+  if (currentGameState !== GAME_STATES.PLAYING) pollGamepads();
+  requestAnimationFrame(gamepadMenuLoop);
+}
+
+/**
+ * Starts menu polling when a gamepad appears
+ */
+function handleGamepadConnected() {
+  if (gamepadMenuPolling) return;
+  gamepadMenuPolling = true;
+  requestAnimationFrame(gamepadMenuLoop);
+}
+
+// =============================================================================
+// CONTROLS SCREEN
+// =============================================================================
+
+/**
+ * Opens the controls screen
+ */
+function showControls() {
+  bindingCapture = null;
+  renderControls();
+  showModal(DOM.controlsModal);
+}
+
+/**
+ * Closes the controls screen, abandoning any binding in progress
+ */
+function hideControls() {
+  bindingCapture = null;
+  hideModal(DOM.controlsModal);
+}
+
+/**
+ * Fills both binding tables from the active bindings
+ */
+function renderControls() {
+  renderBindingTable(DOM.keyBindings, 'keys', KEY_ACTIONS, describeKey, 'Press a key...');
+  renderBindingTable(DOM.gamepadBindings, 'gamepad', GAMEPAD_ACTIONS, describeGamepadButton, 'Press a button...');
+  
+  const connected = navigator.getGamepads && Array.from(navigator.getGamepads()).some(pad => pad && pad.connected);
+  DOM.gamepadStatus.textContent = connected ? '' : 'No gamepad detected - press a button on it to connect';
+}
+
+/**
+ * Fills one binding table
+ * @param {HTMLElement} body - Table body to fill
+ * @param {string} type - 'keys' or 'gamepad'
+ * @param {Object} actions - Action ids mapped to labels
+ * @param {Function} describe - Turns a binding into a readable name
+ * @param {string} prompt - Shown while waiting for a new binding
+ */
+function renderBindingTable(body, type, actions, describe, prompt) {
+  body.innerHTML = '';
+  Object.keys(actions).forEach(action => {
+    const row = document.createElement('tr');
+    const label = document.createElement('th');
+    label.textContent = actions[action];
+    
+    const button = document.createElement('button');
+    const listening = bindingCapture && bindingCapture.type === type && bindingCapture.action === action;
+    button.className = 'binding-button' + (listening ? ' listening' : '');
+    button.dataset.type = type;
+    button.dataset.action = action;
+    button.textContent = listening ? prompt : describe(controls[type][action]);
+    
+    const cell = document.createElement('td');
+    cell.appendChild(button);
+    row.append(label, cell);
+    body.appendChild(row);
+  });
+}
+
+/**
+ * Starts waiting for a new key or button when a binding is clicked
+ * @param {MouseEvent} event - Click event from a binding table
+ */
+function handleBindingClick(event) {
+  const button = event.target.closest('button[data-action]');
+  if (!button) return;
+  
+  bindingCapture = { type: button.dataset.type, action: button.dataset.action };
+  renderControls();
+}
+
+/**
+ * Takes the next key press as the new binding while the controls screen is
+ * listening, before any other key handler sees it. Escape cancels.
+ * @param {KeyboardEvent} event - Keyboard event object
+ */
+function handleBindingKey(event) {
+  if (!bindingCapture) return;
+  event.preventDefault();
+  event.stopImmediatePropagation();
+  
+  if (event.key === 'Escape') {
+    bindingCapture = null;
+    renderControls();
+  } else if (bindingCapture.type === 'keys') {
+    finishBindingCapture(normalizeKey(event.key));
+  }
+}
+
+/**
+ * Saves the key or button chosen for the action being rebound
+ * @param {string|number} value - Normalized key or button index
+ */
+function finishBindingCapture(value) {
+  const { type, action } = bindingCapture;
+  controls[type] = bindControl(controls[type], action, value);
+  bindingCapture = null;
+  saveControls(controls);
+  renderControls();
+}
+
+/**
+ * Restores the default keyboard and gamepad bindings
+ */
+function resetControls() {
+  controls = { keys: { ...DEFAULT_KEY_BINDINGS }, gamepad: { ...DEFAULT_GAMEPAD_BINDINGS } };
+  bindingCapture = null;
+  saveControls(controls);
+  renderControls();
+}
+
+// =============================================================================
+// SETTINGS SCREEN
+// =============================================================================
+
+/**
+ * Makes settings the active ones: the cell size for the next layout and the
+ * difficulty whose high scores apply
+ * @param {Object} settings - Valid settings
+ */
+function applySettings(settings) {
+  gameSettings = settings;
+  cellSize = settings.cellSize;
+  currentDifficulty = detectPreset(settings);
+  sound.setVolumes(settings.audio);
+  effects.setReducedMotion(isReducedMotion());
+  applyTheme(settings.theme);
+  activeSkin = isSkinUnlocked(settings.skin, loadSkinProgress()) ? settings.skin : DEFAULT_SKIN;
+}
+
+/**
+ * Switches the canvas and the page to a theme
+ * @param {string} theme - Key of THEMES
+ */
+function applyTheme(theme) {
+  activeTheme = THEMES[theme];
+  const properties = getThemeProperties(activeTheme);
+  Object.keys(properties).forEach(name => {
+    document.documentElement.style.setProperty(name, properties[name]);
+  });
+}
+
+/**
+ * Works out whether effects should avoid motion, following the system
+ * preference unless the player chose otherwise
+ * @returns {boolean} True for reduced motion
+ */
+function isReducedMotion() {
+  if (gameSettings.motion === 'system') return window.matchMedia(REDUCED_MOTION_QUERY).matches;
+  return gameSettings.motion === 'reduced';
+}
+
+/**
+ * Opens the settings screen showing the saved settings
+ */
+function showSettings() {
+  renderSettingsForm(loadSettings());
+  showModal(DOM.settingsModal);
+}
+
+/**
+ * Closes the settings screen without saving
+ */
+function hideSettings() {
+  hideModal(DOM.settingsModal);
+  
+  // Drop any volume or theme previewed but not saved
+  sound.setVolumes(gameSettings.audio);
+  applyTheme(gameSettings.theme);
+}
+
+/**
+ * Builds the preset buttons and one number input per setting and fruit weight
+ * @param {Object} settings - Settings to fill the inputs with
+ */
+function renderSettingsForm(settings) {
+  DOM.settingsPresets.innerHTML = '';
+  Object.keys(DIFFICULTY_PRESETS).forEach(preset => {
+    const button = document.createElement('button');
+    button.className = 'preset-button';
+    button.dataset.preset = preset;
+    button.textContent = DIFFICULTY_PRESETS[preset].label;
+    DOM.settingsPresets.appendChild(button);
+  });
+  
+  DOM.settingsFields.innerHTML = '';
+  SETTING_FIELDS.forEach(field => {
+    DOM.settingsFields.appendChild(createSettingInput(field.label, field, 'field', field.key, settings[field.key]));
+  });
+  
+  DOM.settingsWeights.innerHTML = '';
+  FRUIT_TYPES.forEach(type => {
+    const label = FRUIT_REGISTRY[type.shape].symbol + ' ' + type.shape;
+    DOM.settingsWeights.appendChild(createSettingInput(label, FRUIT_WEIGHT_RANGE, 'weight', type.shape, settings.fruitWeights[type.shape]));
+  });
+  
+  DOM.settingsAudio.innerHTML = '';
+  AUDIO_FIELDS.forEach(field => {
+    DOM.settingsAudio.appendChild(createSettingInput(field.label, field, 'audio', field.key, settings.audio[field.key], 'range'));
+  });
+  DOM.settingsAudio.appendChild(createSettingCheckbox('Mute', 'audio', 'muted', settings.audio.muted));
+  
+  // Locked skins are listed with the score that unlocks them
+  const skinProgress = loadSkinProgress();
+  const skinOptions = Object.keys(SNAKE_SKINS).map(skin => {
+    const locked = !isSkinUnlocked(skin, skinProgress);
+    const label = SNAKE_SKINS[skin].label + (locked ? ' (score ' + SNAKE_SKINS[skin].unlockScore + ' to unlock)' : '');
+    return [skin, label, locked];
+  });
+  DOM.settingsDisplay.innerHTML = '';
+  DOM.settingsDisplay.appendChild(createSettingSelect('Theme', 'theme',
+    Object.keys(THEMES).map(theme => [theme, THEMES[theme].label]), settings.theme));
+  DOM.settingsDisplay.appendChild(createSettingSelect('Snake skin', 'skin', skinOptions, settings.skin));
+  DOM.settingsDisplay.appendChild(createSettingSelect('Motion effects', 'motion',
+    Object.keys(MOTION_OPTIONS).map(motion => [motion, MOTION_OPTIONS[motion]]), settings.motion));
+  
+  DOM.settingsAccess.innerHTML = '';
+  DOM.settingsAccess.appendChild(createSettingCheckbox('Fruit patterns', 'access', 'patterns', settings.patterns));
+  DOM.settingsAccess.appendChild(createSettingCheckbox('Assist speed (slower)', 'access', 'assist', settings.assist));
+  DOM.settingsAccess.appendChild(createSettingInput(INPUT_QUEUE_FIELD.label, INPUT_QUEUE_FIELD, 'input',
+    INPUT_QUEUE_FIELD.key, settings.inputQueueDepth));
+  
+  updateSettingsStatus();
+}
+
+/**
+ * Creates a labelled input for one numeric setting
+ * @param {string} text - Label text
+ * @param {Object} range - min, max and step for the input
+ * @param {string} kind - 'field' for SETTING_FIELDS, 'weight' for fruit weights, 'audio' for sound,
+ *   'input' for INPUT_QUEUE_FIELD
+ * @param {string} key - Setting key or fruit shape
+ * @param {number} value - Current value
+ * @param {string} [type='number'] - Input type; volumes use sliders
+ * @returns {HTMLElement} Label wrapping the input
+ */
+function createSettingInput(text, range, kind, key, value, type = 'number') {
+  const label = document.createElement('label');
+  label.textContent = text;
+  
+  const input = document.createElement('input');
+  input.type = type;
+  input.min = range.min;
+  input.max = range.max;
+  input.step = range.step;
+  input.value = value;
+  input.dataset[kind] = key;
+  label.appendChild(input);
+  return label;
+}
+
+/**
+ * Creates a labelled checkbox for an on/off setting
+ * @param {string} text - Label text
+ * @param {string} kind - 'audio' for sound, 'access' for accessibility options
+ * @param {string} key - Setting key
+ * @param {boolean} checked - Current value
+ * @returns {HTMLElement} Label wrapping the checkbox
+ */
+function createSettingCheckbox(text, kind, key, checked) {
+  const label = document.createElement('label');
+  label.textContent = text;
+  
+  const input = document.createElement('input');
+  input.type = 'checkbox';
+  input.checked = checked;
+  input.dataset[kind] = key;
+  label.appendChild(input);
+  return label;
+}
+
+/**
+ * Creates a labelled drop-down for a display setting
+ * @param {string} text - Label text
+ * @param {string} key - Setting key
+ * @param {Array} options - [value, label, disabled] for each choice
+ * @param {string} value - Current value
+ * @returns {HTMLElement} Label wrapping the select
+ */
+function createSettingSelect(text, key, options, value) {
+  const label = document.createElement('label');
+  label.textContent = text;
+  
+  const select = document.createElement('select');
+  options.forEach(([optionValue, optionLabel, disabled]) => {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.textContent = optionLabel;
+    option.disabled = !!disabled;
+    select.appendChild(option);
+  });
+  select.value = value;
+  select.dataset.display = key;
+  label.appendChild(select);
+  return label;
+}
+
+/**
+ * Reads the settings currently entered on the settings screen
+ * @returns {Object} Settings, possibly invalid
+ */
+function readSettingsForm() {
+  // Empty inputs read as NaN rather than 0 so validation catches them
+  const read = input => input.value.trim() === '' ? NaN : Number(input.value);
+  const settings = { fruitWeights: {}, audio: {} };
+  DOM.settingsFields.querySelectorAll('input[data-field]').forEach(input => {
+    settings[input.dataset.field] = read(input);
+  });
+  DOM.settingsWeights.querySelectorAll('input[data-weight]').forEach(input => {
+    settings.fruitWeights[input.dataset.weight] = read(input);
+  });
+  DOM.settingsAudio.querySelectorAll('input[data-audio]').forEach(input => {
+    settings.audio[input.dataset.audio] = input.type === 'checkbox' ? input.checked : read(input);
+  });
+  DOM.settingsDisplay.querySelectorAll('select[data-display]').forEach(select => {
+    settings[select.dataset.display] = select.value;
+  });
+  DOM.settingsAccess.querySelectorAll('input[data-access]').forEach(input => {
+    settings[input.dataset.access] = input.checked;
+  });
+  DOM.settingsAccess.querySelectorAll('input[data-input]').forEach(input => {
+    settings[input.dataset.input] = read(input);
+  });
+  return settings;
+}
+
+/**
+ * Shows which preset the entered settings match and anything wrong with them
+ */
+function updateSettingsStatus() {
+  const settings = readSettingsForm();
+  const errors = validateSettings(settings);
+  const preset = errors.length === 0 ? detectPreset(settings) : null;
+  
+  DOM.settingsPresets.querySelectorAll('.preset-button').forEach(button => {
+    button.classList.toggle('selected', button.dataset.preset === preset);
+  });
+  DOM.settingsDifficulty.textContent = preset === CUSTOM_PRESET
+    ? 'Custom - high scores go on a separate Custom leaderboard'
+    : preset === ASSIST_PRESET ? 'Assist - high scores go on a separate Assist leaderboard'
+    : preset ? 'Difficulty: ' + describePreset(preset) : '';
+  
+  DOM.settingsErrors.innerHTML = '';
+  errors.forEach(message => {
+    const item = document.createElement('li');
+    item.textContent = message;
+    DOM.settingsErrors.appendChild(item);
+  });
+  DOM.saveSettingsButton.disabled = errors.length > 0;
+}
+
+/**
+ * Shows the theme picked on the settings screen until it is saved or cancelled
+ */
+function previewDisplaySettings() {
+  applyTheme(readSettingsForm().theme);
+}
+
+/**
+ * Plays the volume being set on the settings screen until it is saved or cancelled
+ */
+function previewAudioSettings() {
+  sound.setVolumes(readSettingsForm().audio);
+  updateSettingsStatus();
+}
+
+/**
+ * Fills the settings screen with a preset when its button is clicked; the
+ * player's personal settings aren't part of a preset and stay as entered
+ * @param {MouseEvent} event - Click event from the preset buttons
+ */
+function handleSettingsPresetClick(event) {
+  const button = event.target.closest('button[data-preset]');
+  if (!button) return;
+  
+  const entered = readSettingsForm();
+  const settings = getPresetSettings(button.dataset.preset);
+  PERSONAL_SETTINGS.forEach(key => { settings[key] = entered[key]; });
+  renderSettingsForm(settings);
+}
+
+/**
+ * Mutes or unmutes all sound and remembers the choice with the settings
+ */
+function toggleMute() {
+  const settings = loadSettings();
+  settings.audio.muted = !gameSettings.audio.muted;
+  saveSettings(settings);
+  
+  // Only the sound changes; the running game keeps the settings it started with
+  gameSettings.audio = settings.audio;
+  sound.setVolumes(gameSettings.audio);
+}
+
+/**
+ * Saves the entered settings if they're valid and closes the settings screen
+ */
+function saveSettingsForm() {
+  const settings = readSettingsForm();
+  if (validateSettings(settings).length > 0) {
+    updateSettingsStatus();
+    return;
+  }
+  
+  saveSettings(settings);
+  applySettings(settings);
+  highScore = loadHighScore();
+  updateHighScoreDisplay();
+  hideSettings();
+  
+  // Re-lay out the title demo in case the cell size changed
+  if (currentGameState === GAME_STATES.MENU) startAttractMode();
+}
+
 // =============================================================================
 // EVENT LISTENERS & INITIALIZATION
 // =============================================================================
@@ -1157,24 +4236,143 @@ document.addEventListener('DOMContentLoaded', function() {
   // Cache DOM elements for performance
   cacheDOMElements();
   
+  // Load saved bindings before any input arrives
+  controls = loadControls();
+  
+  // Settings pick the grid size and which high scores apply
+  applySettings(loadSettings());
+  achievementTracker = new AchievementTracker(loadStats(), loadUnlockedAchievements());
+  
   // Load and display saved high score
   highScore = loadHighScore();
   updateHighScoreDisplay();
+  populateModeOptions();
+  populateEditorFruitOptions();
+  
+  // Prefill the seed field from a ?seed= URL parameter for shared runs
+  const urlSeed = new URLSearchParams(window.location.search).get('seed');
+  if (urlSeed !== null) {
+    DOM.seedInput.value = urlSeed;
+  }
   
   // Attach UI event listeners
   DOM.startButton.addEventListener('click', startGame);
+  DOM.continueButton.addEventListener('click', continueSavedGame);
   DOM.howToPlayButton.addEventListener('click', showInstructions);
   DOM.resetButton.addEventListener('click', startGame);
-  DOM.resetHighscoreButton.addEventListener('click', resetHighScore);
+  DOM.gameOverLeaderboardButton.addEventListener('click', showLeaderboard);
+  DOM.saveNameButton.addEventListener('click', saveLeaderboardName);
+  DOM.nameInput.addEventListener('keydown', handleNameInputKey);
+  DOM.leaderboardButton.addEventListener('click', showLeaderboard);
+  DOM.leaderboardModeFilter.addEventListener('change', renderLeaderboard);
+  DOM.leaderboardDifficultyFilter.addEventListener('change', renderLeaderboard);
+  DOM.leaderboardScoringFilter.addEventListener('change', renderLeaderboard);
+  DOM.modeSelect.addEventListener('change', handleModeChange);
+  DOM.levelsButton.addEventListener('click', showLevelSelect);
+  DOM.levelList.addEventListener('click', handleLevelSelectClick);
+  DOM.closeLevelSelectButton.addEventListener('click', hideLevelSelect);
+  DOM.leaderboardBody.addEventListener('click', handleLeaderboardClick);
+  DOM.clearLeaderboardButton.addEventListener('click', clearLeaderboard);
+  DOM.closeLeaderboardButton.addEventListener('click', hideLeaderboard);
+  DOM.statsButton.addEventListener('click', showStats);
+  DOM.closeStatsButton.addEventListener('click', hideStats);
+  DOM.dailyButton.addEventListener('click', showDaily);
+  DOM.playDailyButton.addEventListener('click', playDaily);
+  DOM.closeDailyButton.addEventListener('click', hideDaily);
+  DOM.shareDailyButton.addEventListener('click', copyDailyResult);
   DOM.resumeButton.addEventListener('click', togglePause);
   DOM.pauseHowToPlayButton.addEventListener('click', showInstructions);
   DOM.closeInstructionsButton.addEventListener('click', hideInstructions);
+  DOM.controlsButton.addEventListener('click', showControls);
+  DOM.pauseControlsButton.addEventListener('click', showControls);
+  DOM.keyBindings.addEventListener('click', handleBindingClick);
+  DOM.gamepadBindings.addEventListener('click', handleBindingClick);
+  DOM.resetControlsButton.addEventListener('click', resetControls);
+  DOM.closeControlsButton.addEventListener('click', hideControls);
+  DOM.settingsButton.addEventListener('click', showSettings);
+  DOM.settingsPresets.addEventListener('click', handleSettingsPresetClick);
+  DOM.settingsFields.addEventListener('input', updateSettingsStatus);
+  DOM.settingsWeights.addEventListener('input', updateSettingsStatus);
+  DOM.settingsAccess.addEventListener('change', updateSettingsStatus);
+  DOM.settingsAudio.addEventListener('input', previewAudioSettings);
+  DOM.settingsDisplay.addEventListener('change', previewDisplaySettings);
+  DOM.saveSettingsButton.addEventListener('click', saveSettingsForm);
+  DOM.closeSettingsButton.addEventListener('click', hideSettings);
+  window.addEventListener('keydown', handleBindingKey, true);
+  window.addEventListener('keydown', handleModalKey, true);
+  window.addEventListener('gamepadconnected', handleGamepadConnected);
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  window.addEventListener('blur', autoPause);
+  window.addEventListener('beforeunload', saveGameInProgress);
+  DOM.watchReplayButton.addEventListener('click', watchLastReplay);
+  DOM.downloadReplayButton.addEventListener('click', downloadReplay);
+  DOM.loadReplayButton.addEventListener('click', () => DOM.replayFileInput.click());
+  DOM.replayFileInput.addEventListener('change', handleReplayFileChosen);
+  document.addEventListener('dragover', handleReplayDragOver);
+  document.addEventListener('dragleave', handleReplayDragLeave);
+  document.addEventListener('drop', handleReplayDrop);
+  DOM.replayPlayButton.addEventListener('click', toggleReplayPause);
+  DOM.replaySpeedButton.addEventListener('click', cycleReplaySpeed);
+  DOM.replayScrubber.addEventListener('input', handleReplayScrub);
+  DOM.replayExitButton.addEventListener('click', exitReplay);
+  DOM.editorButton.addEventListener('click', openEditor);
+  DOM.editLevelButton.addEventListener('click', returnToEditor);
+  DOM.editorTools.addEventListener('click', handleEditorToolClick);
+  DOM.editorFruitSelect.addEventListener('change', handleEditorFruitChange);
+  DOM.editorUndoButton.addEventListener('click', editorUndo);
+  DOM.editorRedoButton.addEventListener('click', editorRedo);
+  DOM.editorPlaytestButton.addEventListener('click', playtestEditorLevel);
+  DOM.editorFileButton.addEventListener('click', showEditorFile);
+  DOM.editorExitButton.addEventListener('click', closeEditor);
+  DOM.editorNameInput.addEventListener('input', handleEditorFieldsInput);
+  DOM.editorTargetInput.addEventListener('input', handleEditorFieldsInput);
+  DOM.editorNewButton.addEventListener('click', newEditorLevel);
+  DOM.editorSaveButton.addEventListener('click', saveEditorLevel);
+  DOM.editorExportButton.addEventListener('click', exportEditorLevel);
+  DOM.editorImportButton.addEventListener('click', () => DOM.editorFileInput.click());
+  DOM.editorFileInput.addEventListener('change', handleEditorFileChosen);
+  DOM.editorSavedList.addEventListener('click', handleSavedLevelClick);
+  DOM.closeEditorFileButton.addEventListener('click', hideEditorFile);
+  DOM.gameCanvas.addEventListener('pointerdown', handleEditorPointerDown);
+  DOM.gameCanvas.addEventListener('pointermove', handleEditorPointerMove);
+  DOM.gameCanvas.addEventListener('pointerleave', handleEditorPointerLeave);
+  DOM.gameCanvas.addEventListener('contextmenu', handleEditorContextMenu);
+  window.addEventListener('pointerup', finishEditorStroke);
+  
+  // Follow the system's reduced motion preference if it changes mid-session
+  window.matchMedia(REDUCED_MOTION_QUERY).addEventListener('change', () => effects.setReducedMotion(isReducedMotion()));
+  
+  // Browsers only allow audio to start in response to the player
+  ['pointerdown', 'keydown', 'touchend'].forEach(type => window.addEventListener(type, () => sound.unlock()));
+  
+  // Offer to continue a game saved before the page was closed
+  updateContinueButton();
+  
+  // Let a bot play behind the title until someone starts a game
+  startAttractMode();
 });
 
 /**
- * Handles window resize by reloading the page to recalculate canvas dimensions
- * This ensures proper game grid sizing on mobile device rotation or window resize
+ * Refits the canvas when the window is resized or a device is rotated. Games,
+ * replays and the editor keep their grid and are rescaled in place; a game in
+ * progress pauses so the player isn't caught out by the new layout.
  */
 window.addEventListener('resize', function() {
-  location.reload();
+  if (!canvas) return;
+  
+  // The title demo is cheap to restart on a grid that fills the new window
+  if (currentGameState === GAME_STATES.MENU) {
+    startAttractMode();
+    return;
+  }
+  
+  autoPause();
+  layoutCanvas();
+  
+  // Screens whose loop isn't running need redrawing after the canvas resets
+  if (currentGameState === GAME_STATES.EDITOR) {
+    renderEditor();
+  } else if (currentGameState === GAME_STATES.PAUSED || currentGameState === GAME_STATES.GAME_OVER) {
+    render(engine.getState(), accumulator);
+  }
 });
\ No newline at end of file
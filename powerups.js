@@ -0,0 +1,165 @@
+// powerups.js - Timed power-ups picked up from special fruits
+// Each power-up is defined once here: the engine applies its rules, and the
+// header countdowns and How to Play list read the same entries. Durations are
+// in milliseconds of simulated play time, so power-ups replay exactly.
+
+// Browsers load fruits.js first as globals; Node resolves them explicitly
+const powerUpRegisterFruitType = typeof registerFruitType !== 'undefined' ? registerFruitType : require('./fruits.js').registerFruitType;
+
+// =============================================================================
+// POWER-UP DEFINITIONS
+// =============================================================================
+
+const POWER_UP_RING_WIDTH = 0.1;         // Power-up fruit ring thickness (as fraction of cell size)
+const POWER_UP_SYMBOL_SIZE = 0.5;        // Power-up fruit symbol height (as fraction of cell size)
+
+/*
+ * A definition has:
+ *   label, description, symbol  Shown in the header and on How to Play
+ *   color                       Theme color name for its fruit and countdown bar
+ *   weight                      Spawn weight of its fruit (see fruits.js)
+ *   duration                    Milliseconds one pickup lasts
+ *   stacking                    What picking it up again while active does:
+ *                                 'refresh' - restart the full duration
+ *                                 'extend'  - add another duration, up to maxStacks durations
+ *                                 'stack'   - add a level, up to maxStacks, and restart the duration
+ *   maxStacks                   Cap for 'extend' and 'stack'
+ * and any of these rules and hooks, which the engine checks while it is active:
+ *   ignores                     Collision causes that don't hurt the snake
+ *   absorbs                     Collision causes that use up one level instead of killing
+ *   speedScale                  Multiplies the snake's move interval
+ *   scoreBonus                  Extra fruit points per level, as a fraction of the fruit's
+ *   onMove(engine, player, effect)    After each move of the snake
+ *   onExpire(engine, player, effect)  When it runs out or is used up
+ */
+const POWER_UPS = {
+  ghost: {
+    label: 'Ghost',
+    description: 'Pass through your own tail and through bombs',
+    symbol: '◌',
+    color: 'cyan',
+    weight: 0.01,
+    duration: 6000,
+    stacking: 'extend',
+    maxStacks: 2,
+    ignores: ['self', 'bomb']
+  },
+  slowmo: {
+    label: 'Slow-Mo',
+    description: 'Your snake moves at half speed',
+    symbol: '◔',
+    color: 'blue',
+    weight: 0.01,
+    duration: 8000,
+    stacking: 'refresh',
+    maxStacks: 1,
+    speedScale: 2,
+    onExpire: (engine, player) => {
+      // Back to full speed from the next move, not one slow move later
+      player.nextMoveTime = Math.min(player.nextMoveTime, engine.elapsedTime + engine.getPlayerSpeed(player));
+    }
+  },
+  magnet: {
+    label: 'Magnet',
+    description: 'Pulls fruit within 3 cells toward your head',
+    symbol: '∩',
+    color: 'red',
+    weight: 0.01,
+    duration: 8000,
+    stacking: 'extend',
+    maxStacks: 2,
+    radius: 3,
+    onMove: (engine, player) => engine.pullFruits(player, POWER_UPS.magnet.radius)
+  },
+  multiplier: {
+    label: 'Score x2',
+    description: 'Doubles fruit points; each extra pickup adds another x1, up to x4',
+    symbol: '×',
+    color: 'green',
+    weight: 0.01,
+    duration: 10000,
+    stacking: 'stack',
+    maxStacks: 3,
+    scoreBonus: 1
+  },
+  shield: {
+    label: 'Bomb Shield',
+    description: 'Survive a bomb hit, destroying the bomb; each pickup adds one more hit',
+    symbol: '◈',
+    color: 'orange',
+    weight: 0.01,
+    duration: 20000,
+    stacking: 'stack',
+    maxStacks: 3,
+    absorbs: ['bomb']
+  }
+};
+
+/**
+ * Describes how long a power-up lasts and how repeat pickups combine, for
+ * How to Play
+ * @param {Object} definition - Entry of POWER_UPS
+ * @returns {string} Readable summary such as '6s, repeat pickups add time'
+ */
+function describePowerUpDuration(definition) {
+  const seconds = definition.duration / 1000 + 's';
+  if (definition.stacking === 'extend') return seconds + ', repeat pickups add time';
+  if (definition.stacking === 'stack') return seconds + ', stacks up to ' + definition.maxStacks;
+  return seconds + ', repeat pickups restart it';
+}
+
+/**
+ * Draws a power-up fruit: a ring around its power-up's symbol
+ * @param {CanvasRenderingContext2D} ctx - Canvas to draw on
+ * @param {number} centerX - X coordinate of the fruit center
+ * @param {number} centerY - Y coordinate of the fruit center
+ * @param {number} size - Cell size in pixels
+ * @param {string} symbol - The power-up's symbol
+ */
+function drawPowerUpFruit(ctx, centerX, centerY, size, symbol) {
+  ctx.save();
+  ctx.strokeStyle = ctx.fillStyle;
+  ctx.lineWidth = size * POWER_UP_RING_WIDTH;
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, (size - ctx.lineWidth) / 2, 0, 2 * Math.PI);
+  ctx.stroke();
+
+  ctx.font = 'bold ' + Math.round(size * POWER_UP_SYMBOL_SIZE) + 'px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(symbol, centerX, centerY);
+  ctx.restore();
+}
+
+// Each power-up comes from an ultra rare fruit of its own, which grants it
+// instead of growing the snake. Their weights add to the built-in fruits'
+// rather than taking from them, so the plain fruits keep their proportions.
+Object.keys(POWER_UPS).forEach(type => {
+  const definition = POWER_UPS[type];
+  powerUpRegisterFruitType({
+    shape: type,
+    label: definition.label,
+    symbol: definition.symbol,
+    weight: definition.weight,
+    points: 0,
+    color: definition.color,
+    guideGroup: 'powerUps',
+    guide: [{ text: definition.description }, { text: describePowerUpDuration(definition), className: 'points' }],
+    sound: 'powerup',
+    announcement: definition.label,
+    draw: (ctx, centerX, centerY, size) => drawPowerUpFruit(ctx, centerX, centerY, size, definition.symbol),
+    onEat: (engine, player, fruit, events) => {
+      engine.activatePowerUp(player, type, events);
+      player.snake.pop();
+    }
+  });
+});
+
+// Allow power-ups to be inspected from Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    POWER_UPS,
+    describePowerUpDuration,
+    drawPowerUpFruit
+  };
+}
@@ -0,0 +1,347 @@
+// replay.js - Input recording and deterministic replay playback
+// A recording is just the seed, grid size and direction changes by tick;
+// replaying feeds those into a fresh SnakeEngine to rebuild the whole run.
+
+// Browsers load engine.js and validation.js first as globals; Node resolves them explicitly
+const ReplayEngine = typeof SnakeEngine !== 'undefined' ? SnakeEngine : require('./engine.js').SnakeEngine;
+const replayHash = typeof hashString !== 'undefined' ? hashString : require('./engine.js').hashString;
+const replayIsEngineConfig = typeof isEngineConfig !== 'undefined' ? isEngineConfig : require('./validation.js').isEngineConfig;
+
+// =============================================================================
+// DIRECTION ENCODING
+// =============================================================================
+
+// Single-letter codes keep recorded input logs compact
+const DIRECTION_CODES = {
+  U: { x: 0, y: -1 },
+  D: { x: 0, y: 1 },
+  L: { x: -1, y: 0 },
+  R: { x: 1, y: 0 }
+};
+
+/**
+ * Converts a direction vector into its single-letter code
+ * @param {Object} dir - Direction vector {x, y}
+ * @returns {string} One of 'U', 'D', 'L', 'R'
+ */
+function encodeDirection(dir) {
+  if (dir.x === 0) return dir.y < 0 ? 'U' : 'D';
+  return dir.x < 0 ? 'L' : 'R';
+}
+
+/**
+ * Converts a single-letter code back into a direction vector
+ * @param {string} code - One of 'U', 'D', 'L', 'R'
+ * @returns {Object|null} Direction vector {x, y}, or null for unknown codes
+ */
+function decodeDirection(code) {
+  const dir = DIRECTION_CODES[code];
+  return dir ? { x: dir.x, y: dir.y } : null;
+}
+
+// =============================================================================
+// RECORDING
+// =============================================================================
+
+/**
+ * Starts a new recording for a freshly created engine
+ * @param {SnakeEngine} engine - Engine at tick 0
+ * @returns {Object} Recording with seed, grid size and an empty input log
+ */
+function createRecording(engine) {
+  return {
+    seed: engine.seed,
+    cols: engine.cols,
+    rows: engine.rows,
+    config: engine.config,
+    inputs: [],      // [tick, directionCode] pairs in tick order, plus a player index for player two
+    endTick: null,   // Tick the run ended on
+    endCause: null   // 'wall', 'bomb', 'self', 'rival', 'head-on', 'complete' or 'quit'
+  };
+}
+
+/**
+ * Records a direction change if it differs from the player's last requested direction
+ * @param {Object} recording - Recording to append to
+ * @param {number} tick - Tick the direction will be passed to engine.step() on
+ * @param {Object} requested - Direction about to be passed to engine.step()
+ * @param {Object} current - The player's requestedDirection in the engine
+ * @param {number} [player=0] - Player index
+ */
+function recordDirectionChange(recording, tick, requested, current, player = 0) {
+  if (requested.x === current.x && requested.y === current.y) return;
+  const input = [tick, encodeDirection(requested)];
+  if (player > 0) input.push(player);
+  recording.inputs.push(input);
+}
+
+/**
+ * Marks a recording as complete
+ * @param {Object} recording - Recording to finish
+ * @param {SnakeEngine} engine - Engine in its final state
+ */
+function finishRecording(recording, engine) {
+  recording.endTick = engine.tick;
+  recording.endCause = engine.deathCause || 'quit';
+}
+
+// =============================================================================
+// PLAYBACK
+// =============================================================================
+
+/**
+ * Replays a recording through its own SnakeEngine, one tick at a time.
+ * Seeking backwards re-simulates from tick 0, which is cheap and exact.
+ */
+class ReplayPlayer {
+  /**
+   * @param {Object} recording - Finished recording to play back
+   */
+  constructor(recording) {
+    this.recording = recording;
+    this.engine = new ReplayEngine({
+      cols: recording.cols,
+      rows: recording.rows,
+      seed: recording.seed,
+      config: recording.config
+    });
+    this.inputIndex = 0;
+  }
+
+  /**
+   * Current playback position
+   * @returns {number} Engine tick
+   */
+  get tick() {
+    return this.engine.tick;
+  }
+
+  /**
+   * Checks whether playback has reached the end of the recorded run
+   * @returns {boolean} True when there is nothing left to play
+   */
+  isFinished() {
+    if (this.engine.gameOver) return true;
+    return this.recording.endCause === 'quit' && this.engine.tick >= this.recording.endTick;
+  }
+
+  /**
+   * Advances playback by one tick, applying any input recorded for it
+   * @returns {Object|null} Engine step result, or null if already finished
+   */
+  step() {
+    if (this.isFinished()) return null;
+
+    // Gather every player's input for this tick
+    const inputs = this.recording.inputs;
+    const tickInputs = [];
+    while (this.inputIndex < inputs.length && inputs[this.inputIndex][0] === this.engine.tick) {
+      const [, code, player = 0] = inputs[this.inputIndex];
+      tickInputs[player] = decodeDirection(code);
+      this.inputIndex++;
+    }
+
+    return this.engine.step(tickInputs);
+  }
+
+  /**
+   * Jumps playback to the given tick
+   * @param {number} targetTick - Tick to seek to (clamped to the recorded run)
+   */
+  seek(targetTick) {
+    if (targetTick < this.engine.tick) {
+      this.engine.reset();
+      this.inputIndex = 0;
+    }
+
+    while (this.engine.tick < targetTick && !this.isFinished()) {
+      this.step();
+    }
+  }
+}
+
+// =============================================================================
+// REPLAY FILE FORMAT
+// =============================================================================
+
+/*
+ * Replay files are JSON documents of the following shape (version 1):
+ *
+ *   {
+ *     "format": "neon-snake-replay",     // Always this string
+ *     "version": 1,                      // Bumped on any incompatible change
+ *     "seed": 1335831723,                // Unsigned 32-bit RNG seed
+ *     "grid": { "cols": 17, "rows": 11 },// Grid the run was played on
+ *     "config": { ... },                 // Full SnakeEngine config used
+ *     "inputs": [[12, "D"], [30, "L", 1]],// [tick, direction, player?] changes in tick order
+ *     "endTick": 285,                    // Tick the run ended on
+ *     "endCause": "self",                // 'wall', 'bomb', 'self', 'rival', 'head-on', 'complete' or 'quit'
+ *     "finalScore": 40,                  // Score at the end of the run
+ *     "createdAt": "2026-10-18T12:00:00.000Z",
+ *     "checksum": "1a2b3c4d"             // FNV-1a of every other field, see below
+ *   }
+ *
+ * Inputs without a player index belong to player one; versus games add 1 for
+ * player two, and inputs on the same tick are ordered by player.
+ *
+ * The checksum is the hex FNV-1a hash of the document without its checksum
+ * field, serialized with object keys sorted. It catches hand edits and
+ * corruption; it is not a signature.
+ */
+
+const REPLAY_FORMAT = 'neon-snake-replay';
+const REPLAY_VERSION = 1;
+const REPLAY_END_CAUSES = ['wall', 'bomb', 'self', 'rival', 'head-on', 'complete', 'quit'];
+const REPLAY_MAX_TICKS = 1000000;        // Longest run a replay may claim; loading re-plays every tick at once
+
+/**
+ * Serializes a value to JSON with object keys sorted, so equal data always
+ * produces identical text regardless of key order
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON text
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return '[' + value.map(canonicalJSON).join(',') + ']';
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return '{' + keys.map(key => JSON.stringify(key) + ':' + canonicalJSON(value[key])).join(',') + '}';
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Computes the checksum for a replay document
+ * @param {Object} data - Replay document (any existing checksum is ignored)
+ * @returns {string} 8-digit hex checksum
+ */
+function computeReplayChecksum(data) {
+  const { checksum, ...payload } = data;
+  return replayHash(canonicalJSON(payload)).toString(16).padStart(8, '0');
+}
+
+/**
+ * Builds a versioned replay document from a finished recording
+ * @param {Object} recording - Finished recording
+ * @param {number} finalScore - Score the run ended with
+ * @returns {Object} Replay document ready for JSON.stringify
+ */
+function serializeReplay(recording, finalScore) {
+  const data = {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    seed: recording.seed,
+    grid: { cols: recording.cols, rows: recording.rows },
+    config: recording.config,
+    inputs: recording.inputs,
+    endTick: recording.endTick,
+    endCause: recording.endCause,
+    finalScore: finalScore,
+    createdAt: new Date().toISOString()
+  };
+  data.checksum = computeReplayChecksum(data);
+  return data;
+}
+
+/**
+ * Checks that a value is a non-negative integer
+ * @param {*} value - Value to check
+ * @returns {boolean} True for integers >= 0
+ */
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Parses and validates a replay file, re-simulating it to confirm its score
+ * @param {string} text - Raw file contents
+ * @returns {Object} Recording suitable for ReplayPlayer
+ * @throws {Error} With a player-facing message when the replay is invalid
+ */
+function parseReplay(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Not a valid replay file (could not read JSON).');
+  }
+
+  if (!data || typeof data !== 'object' || data.format !== REPLAY_FORMAT) {
+    throw new Error('Not a Neon Snake replay file.');
+  }
+
+  if (data.version !== REPLAY_VERSION) {
+    throw new Error('Unsupported replay version ' + data.version + ' (this game reads version ' + REPLAY_VERSION + ').');
+  }
+
+  if (data.checksum !== computeReplayChecksum(data)) {
+    throw new Error('Replay checksum does not match. The file was modified or corrupted.');
+  }
+
+  // Structural checks on every field the player relies on
+  const grid = data.grid;
+  if (!grid || !(grid.cols > 0) || !(grid.rows > 0) || !Number.isInteger(grid.cols) || !Number.isInteger(grid.rows)) {
+    throw new Error('Replay data is malformed: invalid grid size.');
+  }
+  if (!isNonNegativeInteger(data.seed) || data.seed > 0xFFFFFFFF) {
+    throw new Error('Replay data is malformed: invalid seed.');
+  }
+  if (!replayIsEngineConfig(data.config, grid.cols, grid.rows)) {
+    throw new Error('Replay data is malformed: invalid config.');
+  }
+  const playerCount = data.config.playerCount === undefined ? 1 : data.config.playerCount;
+  if (!isNonNegativeInteger(data.endTick) || data.endTick > REPLAY_MAX_TICKS || !REPLAY_END_CAUSES.includes(data.endCause) || !isNonNegativeInteger(data.finalScore)) {
+    throw new Error('Replay data is malformed: invalid ending.');
+  }
+  const inputOrder = input => input[0] * playerCount + (input[2] || 0);
+  const inputsValid = Array.isArray(data.inputs) && data.inputs.every((input, index) =>
+    Array.isArray(input) &&
+    isNonNegativeInteger(input[0]) &&
+    input[0] <= data.endTick &&
+    DIRECTION_CODES.hasOwnProperty(input[1]) &&
+    (input.length === 2 || (input.length === 3 && Number.isInteger(input[2]) && input[2] > 0 && input[2] < playerCount)) &&
+    (index === 0 || inputOrder(input) > inputOrder(data.inputs[index - 1]))
+  );
+  if (!inputsValid) {
+    throw new Error('Replay data is malformed: invalid input events.');
+  }
+
+  const recording = {
+    seed: data.seed,
+    cols: grid.cols,
+    rows: grid.rows,
+    config: data.config,
+    inputs: data.inputs,
+    endTick: data.endTick,
+    endCause: data.endCause
+  };
+
+  // Play the whole run to make sure it really ends the way the file claims
+  const player = new ReplayPlayer(recording);
+  player.seek(recording.endTick);
+  player.step();
+  const engine = player.engine;
+  const reproducedCause = engine.deathCause || 'quit';
+  if (engine.score !== data.finalScore || reproducedCause !== data.endCause || engine.tick !== data.endTick) {
+    throw new Error('Replay does not reproduce its recorded result (score ' + data.finalScore + ').');
+  }
+
+  return recording;
+}
+
+// Allow recordings to be replayed from Node alongside the engine
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    encodeDirection,
+    decodeDirection,
+    createRecording,
+    recordDirectionChange,
+    finishRecording,
+    ReplayPlayer,
+    REPLAY_FORMAT,
+    REPLAY_VERSION,
+    serializeReplay,
+    parseReplay
+  };
+}
@@ -0,0 +1,237 @@
+// savegame.js - Saving a game in progress so it survives a reload
+// A save is the engine's constructor options plus a saveState() snapshot, with
+// the input log so far so the finished run can still be replayed. Only one game
+// is kept; it is overwritten whenever the current game is saved again.
+
+// Browsers load engine.js and validation.js first as globals; Node resolves them explicitly
+const SaveEngine = typeof SnakeEngine !== 'undefined' ? SnakeEngine : require('./engine.js').SnakeEngine;
+const saveIsGridCell = typeof isGridCell !== 'undefined' ? isGridCell : require('./validation.js').isGridCell;
+const saveIsUnitDirection = typeof isUnitDirection !== 'undefined' ? isUnitDirection : require('./validation.js').isUnitDirection;
+const saveIsEngineConfig = typeof isEngineConfig !== 'undefined' ? isEngineConfig : require('./validation.js').isEngineConfig;
+const SavePowerUps = typeof POWER_UPS !== 'undefined' ? POWER_UPS : require('./powerups.js').POWER_UPS;
+
+// =============================================================================
+// SAVE FORMAT
+// =============================================================================
+
+const SAVE_STORAGE_KEY = 'neonSnakeSavedGame';
+const SAVE_FORMAT = 'neon-snake-save';
+const SAVE_VERSION = 1;                  // Bump when the layout changes; older saves are discarded
+
+/**
+ * Builds a save of a game in progress
+ * @param {SnakeEngine} engine - Engine of the running game
+ * @param {Object} recording - The game's replay recording
+ * @param {Object} meta - Details only the UI needs to resume: {mode, difficulty, opponent}
+ * @returns {Object} JSON-compatible save
+ */
+function createSavedGame(engine, recording, meta) {
+  return {
+    format: SAVE_FORMAT,
+    version: SAVE_VERSION,
+    savedAt: new Date().toISOString(),
+    meta: { ...meta },
+    cols: engine.cols,
+    rows: engine.rows,
+    seed: engine.seed,
+    config: engine.config,
+    state: engine.saveState(),
+    inputs: recording.inputs.map(input => input.slice())
+  };
+}
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Checks that a value is a whole number of at least min
+ * @param {*} value - Value to check
+ * @param {number} [min=0] - Smallest allowed value
+ * @returns {boolean} True for integers >= min
+ */
+function isSaveInteger(value, min = 0) {
+  return Number.isInteger(value) && value >= min;
+}
+
+/**
+ * Checks that a value is a finite, non-negative number
+ * @param {*} value - Value to check
+ * @returns {boolean} True for numbers >= 0
+ */
+function isSaveAmount(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Checks that a value is a running power-up the engine knows
+ * @param {*} effect - Value to check
+ * @returns {boolean} True for {type, stacks, expiresAt, duration} with a known type
+ */
+function isSavePowerUp(effect) {
+  return !!effect && SavePowerUps.hasOwnProperty(effect.type) &&
+    isSaveInteger(effect.stacks, 1) && isSaveAmount(effect.expiresAt) && isSaveAmount(effect.duration);
+}
+
+/**
+ * Checks that a value tallies a score's parts like createScoreBreakdown() does
+ * @param {*} breakdown - Value to check
+ * @param {number} score - Score the parts must add up to
+ * @returns {boolean} True for whole, non-negative parts summing to score
+ */
+function isSaveScoreBreakdown(breakdown, score) {
+  const parts = ['base', 'combo', 'color', 'closeCall', 'powerUp'];
+  return !!breakdown && typeof breakdown === 'object' &&
+    parts.every(part => isSaveInteger(breakdown[part])) &&
+    parts.reduce((sum, part) => sum + breakdown[part], 0) === score;
+}
+
+/**
+ * Checks a saved player against the grid
+ * @param {*} player - Value to check
+ * @param {number} cols - Grid width
+ * @param {number} rows - Grid height
+ * @returns {boolean} True if the player can be restored
+ */
+function isSavePlayer(player, cols, rows) {
+  return !!player && typeof player === 'object' &&
+    Array.isArray(player.snake) && player.snake.length > 0 &&
+    player.snake.every(segment => saveIsGridCell(segment, cols, rows)) &&
+    saveIsUnitDirection(player.direction) && saveIsUnitDirection(player.requestedDirection) &&
+    isSaveInteger(player.score) && isSaveInteger(player.speedResetScore) && player.speedResetScore <= player.score &&
+    typeof player.snakeColor === 'string' &&
+    isSaveAmount(player.lastMoveTime) && isSaveAmount(player.nextMoveTime) &&
+    typeof player.alive === 'boolean' &&
+    Array.isArray(player.powerUps) && player.powerUps.every(isSavePowerUp) &&
+    isSaveInteger(player.combo) && isSaveInteger(player.comboTimer) && isSaveInteger(player.colorStreak) &&
+    isSaveScoreBreakdown(player.scoreBreakdown, player.score);
+}
+
+/**
+ * Validates a save and rebuilds its engine
+ * @param {*} data - Parsed save from storage
+ * @returns {Object} {engine, inputs, meta} ready to resume
+ * @throws {Error} Describing the first problem found
+ */
+function parseSavedGame(data) {
+  if (!data || typeof data !== 'object' || data.format !== SAVE_FORMAT) {
+    throw new Error('Not a saved game.');
+  }
+  if (data.version !== SAVE_VERSION) {
+    throw new Error('Saved game version ' + data.version + ' is not supported.');
+  }
+  if (!data.meta || typeof data.meta !== 'object' || typeof data.meta.mode !== 'string') {
+    throw new Error('Saved game is missing its mode.');
+  }
+  if (!isSaveInteger(data.cols, 1) || !isSaveInteger(data.rows, 1) || !isSaveInteger(data.seed) || data.seed > 0xFFFFFFFF) {
+    throw new Error('Saved game has an invalid grid or seed.');
+  }
+  if (!saveIsEngineConfig(data.config, data.cols, data.rows)) {
+    throw new Error('Saved game has an invalid config.');
+  }
+
+  const { cols, rows } = data;
+  const state = data.state;
+  const playerCount = data.config.playerCount === undefined ? 1 : data.config.playerCount;
+  const levelCount = Array.isArray(data.config.levels) ? data.config.levels.length : 0;
+  const stateValid = !!state && typeof state === 'object' &&
+    isSaveInteger(state.rngState) && state.rngState <= 0xFFFFFFFF &&
+    isSaveInteger(state.tick) && isSaveAmount(state.elapsedTime) &&
+    !!state.fruitsEaten && typeof state.fruitsEaten === 'object' &&
+    Object.values(state.fruitsEaten).every(count => isSaveInteger(count)) &&
+    Number.isInteger(state.levelIndex) && state.levelIndex >= -1 && state.levelIndex < levelCount &&
+    (state.levelIndex >= 0 || levelCount === 0) &&
+    isSaveInteger(state.levelStartScore) &&
+    Array.isArray(state.players) && state.players.length === playerCount &&
+    state.players.every(player => isSavePlayer(player, cols, rows)) &&
+    state.players.some(player => player.alive) &&
+    Array.isArray(state.fruits) && state.fruits.every(fruit =>
+      saveIsGridCell(fruit, cols, rows) && typeof fruit.shape === 'string' && isSaveInteger(fruit.points) &&
+      typeof fruit.color === 'string' && (fruit.effect === undefined || typeof fruit.effect === 'string')) &&
+    Array.isArray(state.bombs) && state.bombs.every(bomb => saveIsGridCell(bomb, cols, rows)) &&
+    isSaveInteger(state.maxBombs);
+  if (!stateValid) {
+    throw new Error('Saved game state is corrupt.');
+  }
+
+  const inputsValid = Array.isArray(data.inputs) && data.inputs.every(input =>
+    Array.isArray(input) && isSaveInteger(input[0]) && input[0] <= state.tick &&
+    /^[UDLR]$/.test(input[1]) && (input.length === 2 || (input.length === 3 && isSaveInteger(input[2], 1) && input[2] < playerCount)));
+  if (!inputsValid) {
+    throw new Error('Saved game input log is corrupt.');
+  }
+
+  const engine = new SaveEngine({ cols, rows, seed: data.seed, config: data.config });
+  engine.loadState(state);
+
+  return {
+    engine: engine,
+    inputs: data.inputs,
+    meta: data.meta
+  };
+}
+
+// =============================================================================
+// PERSISTENCE
+// =============================================================================
+
+/**
+ * Loads and validates the saved game. A corrupt or outdated save is deleted
+ * so it doesn't keep offering a Continue that can't work.
+ * @returns {Object|null} parseSavedGame() result, or null if there is no usable save
+ */
+function loadSavedGame() {
+  let text = null;
+  try {
+    text = localStorage.getItem(SAVE_STORAGE_KEY);
+  } catch (error) {
+    // localStorage might be disabled or unavailable
+    console.warn('Unable to load saved game from localStorage:', error);
+    return null;
+  }
+  if (!text) return null;
+
+  try {
+    return parseSavedGame(JSON.parse(text));
+  } catch (error) {
+    console.warn('Discarding saved game:', error);
+    clearSavedGame();
+    return null;
+  }
+}
+
+/**
+ * Saves a game in progress, replacing any earlier save
+ * @param {Object} save - Save from createSavedGame()
+ */
+function storeSavedGame(save) {
+  try {
+    localStorage.setItem(SAVE_STORAGE_KEY, JSON.stringify(save));
+  } catch (error) {
+    // localStorage might be disabled, full, or unavailable
+    console.warn('Unable to save game to localStorage:', error);
+  }
+}
+
+/**
+ * Deletes the saved game
+ */
+function clearSavedGame() {
+  try {
+    localStorage.removeItem(SAVE_STORAGE_KEY);
+  } catch (error) {
+    console.warn('Unable to clear saved game from localStorage:', error);
+  }
+}
+
+// Allow saves to be exercised from Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SAVE_VERSION,
+    createSavedGame,
+    parseSavedGame,
+    loadSavedGame,
+    storeSavedGame,
+    clearSavedGame
+  };
+}
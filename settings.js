@@ -0,0 +1,379 @@
+// settings.js - Player-adjustable game tuning
+// Holds the values behind a difficulty preset (or the player's own mix), checks
+// them against safe ranges and saves them in localStorage. main.js reads them
+// when a game starts and turns them into engine config overrides.
+
+const SettingsEngineConfig = typeof DEFAULT_ENGINE_CONFIG !== 'undefined' ? DEFAULT_ENGINE_CONFIG : require('./engine.js').DEFAULT_ENGINE_CONFIG;
+const SettingsComboRules = typeof COMBO_RULES !== 'undefined' ? COMBO_RULES : require('./engine.js').COMBO_RULES;
+const SettingsFruitTypes = typeof FRUIT_TYPES !== 'undefined' ? FRUIT_TYPES : require('./engine.js').FRUIT_TYPES;
+const settingsApplyFruitWeights = typeof applyFruitWeights !== 'undefined' ? applyFruitWeights : require('./levels.js').applyFruitWeights;
+const SettingsAudioDefaults = typeof DEFAULT_AUDIO_SETTINGS !== 'undefined' ? DEFAULT_AUDIO_SETTINGS : require('./audio.js').DEFAULT_AUDIO_SETTINGS;
+const SettingsThemes = typeof THEMES !== 'undefined' ? THEMES : require('./themes.js').THEMES;
+const SettingsSkins = typeof SNAKE_SKINS !== 'undefined' ? SNAKE_SKINS : require('./themes.js').SNAKE_SKINS;
+
+// =============================================================================
+// SETTINGS CONSTANTS
+// =============================================================================
+
+const SETTINGS_STORAGE_KEY = 'neonSnakeSettings';
+const DEFAULT_CELL_SIZE = 60;            // Size of each grid cell in pixels
+const CUSTOM_PRESET = 'custom';          // Difficulty of settings that match no preset
+const ASSIST_PRESET = 'assist';          // Difficulty of any settings played with assist speed
+const ASSIST_SLOWDOWN = 1.5;             // Assist multiplies the starting and fastest move times by this
+const ASSIST_SPEED_UP_SCALE = 0.5;       // ...and speeds up this much as fast per point
+
+// Numeric settings in the order the settings screen lists them. Each value must
+// lie within [min, max]; integer fields also have to be whole numbers.
+const SETTING_FIELDS = [
+  { key: 'cellSize', label: 'Cell size (px)', min: 20, max: 120, step: 1, integer: true },
+  { key: 'baseGameSpeed', label: 'Starting move time (ms)', min: 40, max: 400, step: 5, integer: true },
+  { key: 'speedIncreaseRate', label: 'Speed-up per point (ms)', min: 0, max: 1, step: 0.005, integer: false },
+  { key: 'minGameSpeed', label: 'Fastest move time (ms)', min: 20, max: 400, step: 5, integer: true },
+  { key: 'maxFruits', label: 'Fruits on the grid', min: 1, max: 15, step: 1, integer: true },
+  { key: 'maxBombs', label: 'Bomb limit', min: 0, max: 20, step: 1, integer: true },
+  { key: 'baseBombSpawnChance', label: 'Bomb spawn chance', min: 0, max: 1, step: 0.01, integer: false },
+  { key: 'minBombSpawnChance', label: 'Bomb spawn chance at limit', min: 0, max: 1, step: 0.01, integer: false },
+  { key: 'maxBombDespawnChance', label: 'Bomb despawn chance at limit', min: 0, max: 1, step: 0.01, integer: false }
+];
+
+// Range shared by every fruit weight; only the ratios matter, since the engine
+// spawns each type with probability weight / total weight
+const FRUIT_WEIGHT_RANGE = { min: 0, max: 1, step: 0.01 };
+
+// Turns a player can queue ahead of their snake, so quick taps between ticks
+// aren't lost. It's a matter of feel, so like sound it isn't part of a preset.
+const INPUT_QUEUE_FIELD = { key: 'inputQueueDepth', label: 'Turns queued ahead', min: 1, max: 3, step: 1, integer: true };
+
+// Volume sliders (0-1). Sound isn't part of the difficulty, so presets leave
+// these alone and they never make settings Custom.
+const AUDIO_FIELDS = [
+  { key: 'master', label: 'Master volume', min: 0, max: 1, step: 0.05, integer: false },
+  { key: 'music', label: 'Music volume', min: 0, max: 1, step: 0.05, integer: false },
+  { key: 'sfx', label: 'Effects volume', min: 0, max: 1, step: 0.05, integer: false }
+];
+
+// Choices for particles and screen shake. Like sound, motion, the theme and
+// skin (see themes.js) and the accessibility options aren't part of a preset.
+const MOTION_OPTIONS = {
+  system: 'Match system setting',
+  full: 'Full',
+  reduced: 'Reduced'
+};
+
+/**
+ * Reads the default spawn weight of every fruit type
+ * @returns {Object} Weights keyed by shape
+ */
+function getDefaultFruitWeights() {
+  const weights = {};
+  SettingsFruitTypes.forEach(type => { weights[type.shape] = type.weight; });
+  return weights;
+}
+
+// Normal keeps the engine's default speeds, fruit and bomb limits and fruit weights
+const NORMAL_SETTINGS = {
+  cellSize: DEFAULT_CELL_SIZE,
+  baseGameSpeed: SettingsEngineConfig.baseGameSpeed,
+  speedIncreaseRate: SettingsEngineConfig.speedIncreaseRate,
+  minGameSpeed: SettingsEngineConfig.minGameSpeed,
+  maxFruits: SettingsEngineConfig.maxFruits,
+  maxBombs: SettingsEngineConfig.maxBombs,
+  baseBombSpawnChance: SettingsEngineConfig.baseBombSpawnChance,
+  minBombSpawnChance: SettingsEngineConfig.minBombSpawnChance,
+  maxBombDespawnChance: SettingsEngineConfig.maxBombDespawnChance,
+  fruitWeights: getDefaultFruitWeights(),
+  audio: { ...SettingsAudioDefaults },
+  motion: 'system',
+  theme: 'neon',
+  skin: 'solid',
+  patterns: false,                       // Mark each fruit's value with a pattern, not just its shape
+  assist: false,                         // Slower speed curve, ranked on its own leaderboard
+  inputQueueDepth: 3                     // See INPUT_QUEUE_FIELD
+};
+
+// Difficulty presets, easiest first. Each keeps its own high scores.
+const DIFFICULTY_PRESETS = {
+  easy: {
+    label: 'Easy',
+    settings: {
+      ...NORMAL_SETTINGS,
+      baseGameSpeed: 170,
+      speedIncreaseRate: 0.05,
+      minGameSpeed: 70,
+      maxFruits: 6,
+      maxBombs: 2,
+      baseBombSpawnChance: 0.2,
+      minBombSpawnChance: 0.02,
+      maxBombDespawnChance: 0.35
+    }
+  },
+  normal: {
+    label: 'Normal',
+    settings: NORMAL_SETTINGS
+  },
+  hard: {
+    label: 'Hard',
+    settings: {
+      ...NORMAL_SETTINGS,
+      baseGameSpeed: 115,
+      speedIncreaseRate: 0.1,
+      minGameSpeed: 40,
+      maxFruits: 4,
+      maxBombs: 6,
+      baseBombSpawnChance: 0.4,
+      minBombSpawnChance: 0.08,
+      maxBombDespawnChance: 0.2
+    }
+  },
+  insane: {
+    label: 'Insane',
+    settings: {
+      ...NORMAL_SETTINGS,
+      baseGameSpeed: 90,
+      speedIncreaseRate: 0.15,
+      minGameSpeed: 30,
+      maxFruits: 3,
+      maxBombs: 10,
+      baseBombSpawnChance: 0.5,
+      minBombSpawnChance: 0.15,
+      maxBombDespawnChance: 0.15
+    }
+  }
+};
+
+const DEFAULT_PRESET = 'normal';
+
+// Settings that are the player's own taste rather than part of the difficulty;
+// picking a preset leaves them as they are
+const PERSONAL_SETTINGS = ['audio', 'motion', 'theme', 'skin', 'patterns', 'assist', 'inputQueueDepth'];
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Copies settings so edits never touch a preset
+ * @param {Object} settings - Settings to copy
+ * @returns {Object} Independent copy
+ */
+function cloneSettings(settings) {
+  return { ...settings, fruitWeights: { ...settings.fruitWeights }, audio: { ...settings.audio } };
+}
+
+/**
+ * Gets a copy of a preset's settings
+ * @param {string} preset - Key of DIFFICULTY_PRESETS
+ * @returns {Object} Settings for the preset
+ * @throws {Error} If the preset is unknown
+ */
+function getPresetSettings(preset) {
+  const entry = DIFFICULTY_PRESETS[preset];
+  if (!entry) throw new Error('Unknown difficulty preset: ' + preset);
+  return cloneSettings(entry.settings);
+}
+
+/**
+ * Checks a single value against a field's range
+ * @param {*} value - Value to check
+ * @param {Object} field - Range with min, max and integer flag
+ * @returns {boolean} True if the value is usable
+ */
+function isValidSettingValue(value, field) {
+  return typeof value === 'number' && Number.isFinite(value) &&
+    value >= field.min && value <= field.max &&
+    (!field.integer || Number.isInteger(value));
+}
+
+/**
+ * Lists everything wrong with a set of settings
+ * @param {Object} settings - Settings to check
+ * @returns {Array} Readable error messages, empty if the settings are valid
+ */
+function validateSettings(settings) {
+  const errors = [];
+
+  SETTING_FIELDS.forEach(field => {
+    if (!isValidSettingValue(settings[field.key], field)) {
+      errors.push(field.label + ' must be ' + (field.integer ? 'a whole number ' : '') +
+        'between ' + field.min + ' and ' + field.max + '.');
+    }
+  });
+
+  const weights = settings.fruitWeights || {};
+  SettingsFruitTypes.forEach(type => {
+    if (!isValidSettingValue(weights[type.shape], FRUIT_WEIGHT_RANGE)) {
+      errors.push('The ' + type.shape + ' weight must be between ' + FRUIT_WEIGHT_RANGE.min +
+        ' and ' + FRUIT_WEIGHT_RANGE.max + '.');
+    }
+  });
+
+  const audio = settings.audio || {};
+  AUDIO_FIELDS.forEach(field => {
+    if (!isValidSettingValue(audio[field.key], field)) {
+      errors.push(field.label + ' must be between ' + field.min + ' and ' + field.max + '.');
+    }
+  });
+  if (typeof audio.muted !== 'boolean') {
+    errors.push('Mute must be on or off.');
+  }
+  if (!MOTION_OPTIONS.hasOwnProperty(settings.motion)) {
+    errors.push('Motion effects must be one of: ' + Object.values(MOTION_OPTIONS).join(', ') + '.');
+  }
+  if (!SettingsThemes.hasOwnProperty(settings.theme)) {
+    errors.push('Unknown theme: ' + settings.theme + '.');
+  }
+  if (!SettingsSkins.hasOwnProperty(settings.skin)) {
+    errors.push('Unknown snake skin: ' + settings.skin + '.');
+  }
+  if (typeof settings.patterns !== 'boolean' || typeof settings.assist !== 'boolean') {
+    errors.push('Fruit patterns and assist speed must be on or off.');
+  }
+  if (!isValidSettingValue(settings.inputQueueDepth, INPUT_QUEUE_FIELD)) {
+    errors.push(INPUT_QUEUE_FIELD.label + ' must be a whole number between ' + INPUT_QUEUE_FIELD.min +
+      ' and ' + INPUT_QUEUE_FIELD.max + '.');
+  }
+
+  // Rules between fields, only worth checking once each field is in range
+  if (errors.length === 0) {
+    if (settings.minGameSpeed > settings.baseGameSpeed) {
+      errors.push('Fastest move time can\'t be slower than the starting move time.');
+    }
+    if (settings.minBombSpawnChance > settings.baseBombSpawnChance) {
+      errors.push('Bomb spawn chance at limit can\'t be higher than the bomb spawn chance.');
+    }
+    if (SettingsFruitTypes.every(type => weights[type.shape] === 0)) {
+      errors.push('At least one fruit needs a weight above 0.');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Works out which preset a set of settings matches. Assist speed changes
+ * every preset, so assisted games get a difficulty of their own.
+ * @param {Object} settings - Valid settings
+ * @returns {string} Key of DIFFICULTY_PRESETS, CUSTOM_PRESET or ASSIST_PRESET
+ */
+function detectPreset(settings) {
+  if (settings.assist) return ASSIST_PRESET;
+
+  const matches = preset => {
+    const values = DIFFICULTY_PRESETS[preset].settings;
+    return SETTING_FIELDS.every(field => settings[field.key] === values[field.key]) &&
+      SettingsFruitTypes.every(type => settings.fruitWeights[type.shape] === values.fruitWeights[type.shape]);
+  };
+  return Object.keys(DIFFICULTY_PRESETS).find(matches) || CUSTOM_PRESET;
+}
+
+/**
+ * Gets the display name of a preset key
+ * @param {string} preset - Key of DIFFICULTY_PRESETS, CUSTOM_PRESET or ASSIST_PRESET
+ * @returns {string} Name to show players
+ */
+function describePreset(preset) {
+  if (preset === ASSIST_PRESET) return 'Assist';
+  return DIFFICULTY_PRESETS[preset] ? DIFFICULTY_PRESETS[preset].label : 'Custom';
+}
+
+/**
+ * Turns settings into engine config overrides. New games always score combos;
+ * the engine only leaves them off for a config without combo rules, and the
+ * leaderboard ranks the two scorings apart (see getConfigScoring).
+ * @param {Object} settings - Valid settings
+ * @returns {Object} Overrides for SnakeEngine's config
+ */
+function settingsToEngineConfig(settings) {
+  const config = {};
+  SETTING_FIELDS.forEach(field => {
+    if (SettingsEngineConfig.hasOwnProperty(field.key)) config[field.key] = settings[field.key];
+  });
+  config.fruitTypes = settingsApplyFruitWeights(SettingsFruitTypes, settings.fruitWeights);
+  config.combo = { ...SettingsComboRules };
+
+  if (settings.assist) {
+    config.baseGameSpeed = Math.round(config.baseGameSpeed * ASSIST_SLOWDOWN);
+    config.minGameSpeed = Math.round(config.minGameSpeed * ASSIST_SLOWDOWN);
+    config.speedIncreaseRate *= ASSIST_SPEED_UP_SCALE;
+  }
+  return config;
+}
+
+// =============================================================================
+// PERSISTENCE
+// =============================================================================
+
+/**
+ * Loads the saved settings, falling back to Normal if none are saved or they
+ * no longer validate
+ * @returns {Object} Valid settings
+ */
+function loadSettings() {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+  } catch (error) {
+    // localStorage might be disabled, unavailable, or hold corrupt data
+    console.warn('Unable to load settings from localStorage:', error);
+  }
+
+  if (!saved || typeof saved !== 'object') return getPresetSettings(DEFAULT_PRESET);
+
+  // Fields added since the settings were saved take their Normal values
+  const settings = getPresetSettings(DEFAULT_PRESET);
+  SETTING_FIELDS.forEach(field => {
+    if (saved.hasOwnProperty(field.key)) settings[field.key] = saved[field.key];
+  });
+  if (saved.fruitWeights && typeof saved.fruitWeights === 'object') {
+    Object.assign(settings.fruitWeights, saved.fruitWeights);
+  }
+  if (saved.audio && typeof saved.audio === 'object') {
+    Object.assign(settings.audio, saved.audio);
+  }
+  ['motion', 'theme', 'skin', 'patterns', 'assist', 'inputQueueDepth'].forEach(key => {
+    if (saved.hasOwnProperty(key)) settings[key] = saved[key];
+  });
+
+  if (validateSettings(settings).length > 0) {
+    console.warn('Ignoring invalid saved settings');
+    return getPresetSettings(DEFAULT_PRESET);
+  }
+  return settings;
+}
+
+/**
+ * Saves settings to localStorage
+ * @param {Object} settings - Valid settings
+ */
+function saveSettings(settings) {
+  try {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    // localStorage might be disabled, full, or unavailable
+    console.warn('Unable to save settings to localStorage:', error);
+  }
+}
+
+// Allow settings validation to be exercised from Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_CELL_SIZE,
+    CUSTOM_PRESET,
+    ASSIST_PRESET,
+    DEFAULT_PRESET,
+    SETTING_FIELDS,
+    FRUIT_WEIGHT_RANGE,
+    INPUT_QUEUE_FIELD,
+    AUDIO_FIELDS,
+    MOTION_OPTIONS,
+    DIFFICULTY_PRESETS,
+    PERSONAL_SETTINGS,
+    getPresetSettings,
+    validateSettings,
+    detectPreset,
+    describePreset,
+    settingsToEngineConfig,
+    loadSettings,
+    saveSettings
+  };
+}
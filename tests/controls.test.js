@@ -0,0 +1,41 @@
+// controls.test.js - Queueing turns ahead of the snake's moves
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONTROL_DIRECTIONS, queueTurn } = require('../controls.js');
+
+const { up: UP, down: DOWN, left: LEFT, right: RIGHT } = CONTROL_DIRECTIONS;
+
+test('quick turns within one move are queued in order', () => {
+  const queue = [];
+
+  assert.equal(queueTurn(queue, UP, RIGHT, 3), true);
+  assert.equal(queueTurn(queue, LEFT, RIGHT, 3), true);
+
+  assert.deepEqual(queue, [UP, LEFT]);
+});
+
+test('the queue holds no more turns than its depth', () => {
+  const queue = [];
+  [UP, LEFT, DOWN, RIGHT].forEach(direction => queueTurn(queue, direction, RIGHT, 2));
+
+  assert.deepEqual(queue, [UP, LEFT]);
+});
+
+test('a turn is checked against the last queued turn, not the current heading', () => {
+  const queue = [];
+  queueTurn(queue, UP, RIGHT, 3);
+
+  // Down reverses the queued Up; Left would reverse the heading but follows Up safely
+  assert.equal(queueTurn(queue, DOWN, RIGHT, 3), false);
+  assert.equal(queueTurn(queue, LEFT, RIGHT, 3), true);
+});
+
+test('repeating the heading or reversing into the body queues nothing', () => {
+  const queue = [];
+
+  assert.equal(queueTurn(queue, RIGHT, RIGHT, 3), false);
+  assert.equal(queueTurn(queue, LEFT, RIGHT, 3), false);
+  assert.deepEqual(queue, []);
+});
@@ -0,0 +1,52 @@
+// daily.test.js - Daily challenge days and modifiers
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SnakeEngine, FRUIT_TYPES } = require('../engine.js');
+const { getDailyDateKey, applyDailyModifiers } = require('../daily.js');
+
+const SPAWN_SAMPLES = 20000;             // Fruit picks drawn to measure spawn chances
+
+/**
+ * Draws many fruit picks from an engine and counts them by shape
+ * @param {Object} config - Engine config overrides
+ * @returns {Object} Share of picks (0-1) keyed by shape
+ */
+function measureSpawnShares(config) {
+  const engine = new SnakeEngine({ cols: 20, rows: 12, seed: 3, config });
+  const counts = {};
+  for (let i = 0; i < SPAWN_SAMPLES; i++) {
+    const shape = engine.selectWeightedFruitType().shape;
+    counts[shape] = (counts[shape] || 0) + 1;
+  }
+  Object.keys(counts).forEach(shape => { counts[shape] /= SPAWN_SAMPLES; });
+  return counts;
+}
+
+/**
+ * Adds up the share of special (pointless) fruits
+ * @param {Object} shares - Share of picks keyed by shape
+ * @returns {number} Combined share of special fruits
+ */
+function specialShare(shares) {
+  return FRUIT_TYPES
+    .filter(type => type.points === 0)
+    .reduce((sum, type) => sum + (shares[type.shape] || 0), 0);
+}
+
+test('days follow the UTC calendar', () => {
+  assert.equal(getDailyDateKey(new Date('2026-03-01T23:30:00-05:00')), '2026-03-02');
+  assert.equal(getDailyDateKey(new Date('2026-03-01T00:30:00+09:00')), '2026-02-28');
+});
+
+test('Stars Only spawns stars in place of plain fruits and keeps special fruits as rare', () => {
+  const normal = measureSpawnShares({ fruitTypes: FRUIT_TYPES });
+  const starsOnly = measureSpawnShares(applyDailyModifiers({ fruitTypes: FRUIT_TYPES }, ['starsOnly']));
+
+  const plainShapes = FRUIT_TYPES.filter(type => type.points > 0 && type.shape !== 'star').map(type => type.shape);
+  plainShapes.forEach(shape => assert.equal(starsOnly[shape], undefined, shape + ' still spawns'));
+  assert.ok(starsOnly.star > 0.85, 'stars are ' + starsOnly.star + ' of spawns');
+  assert.ok(Math.abs(specialShare(starsOnly) - specialShare(normal)) < 0.02,
+    'special fruits went from ' + specialShare(normal) + ' to ' + specialShare(starsOnly));
+});
@@ -0,0 +1,99 @@
+// editor.test.js - Level editor model
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLevel, upsertCustomLevel } = require('../levels.js');
+const { EDITOR_TOOLS, EDITOR_HISTORY_LIMIT, LevelEditor } = require('../editor.js');
+
+/**
+ * Paints a run of cells as one stroke, like a single drag in the editor
+ * @param {LevelEditor} editor - Editor to paint on
+ * @param {Array} cells - Map cells {x, y}
+ * @param {string} tool - EDITOR_TOOLS value
+ * @returns {boolean} True if the stroke changed the map
+ */
+function paintStroke(editor, cells, tool) {
+  editor.beginStroke();
+  cells.forEach(cell => editor.paint(cell.x, cell.y, tool));
+  return editor.endStroke();
+}
+
+test('one drag undoes and redoes as a single step', () => {
+  const editor = new LevelEditor(12, 8);
+  const empty = editor.snapshot();
+  paintStroke(editor, [{ x: 2, y: 2 }, { x: 3, y: 2 }, { x: 4, y: 2 }], EDITOR_TOOLS.WALL);
+  const walled = editor.snapshot();
+
+  assert.equal(editor.undo(), true);
+  assert.deepEqual(editor.snapshot(), empty);
+  assert.equal(editor.canUndo(), false);
+
+  assert.equal(editor.redo(), true);
+  assert.deepEqual(editor.snapshot(), walled);
+  assert.equal(editor.canRedo(), false);
+});
+
+test('a stroke that changes nothing adds no history, and a new edit clears redo', () => {
+  const editor = new LevelEditor(12, 8);
+
+  assert.equal(paintStroke(editor, [{ x: 0, y: 0 }], EDITOR_TOOLS.WALL), false);
+  assert.equal(editor.canUndo(), false);
+
+  paintStroke(editor, [{ x: 2, y: 2 }], EDITOR_TOOLS.WALL);
+  editor.undo();
+  paintStroke(editor, [{ x: 5, y: 5 }], EDITOR_TOOLS.PORTAL);
+  assert.equal(editor.canRedo(), false);
+  assert.equal(editor.getGlyph(2, 2), '.');
+  assert.equal(editor.getGlyph(5, 5), '1');
+});
+
+test('history keeps only the most recent strokes', () => {
+  const editor = new LevelEditor(40, 40);
+  const strokes = EDITOR_HISTORY_LIMIT + 20;
+  const cell = index => ({ x: 1 + index % 38, y: 1 + Math.floor(index / 38) });
+  for (let i = 0; i < strokes; i++) paintStroke(editor, [cell(i)], EDITOR_TOOLS.WALL);
+
+  let undone = 0;
+  while (editor.undo()) undone++;
+
+  // The oldest strokes fell out of the history and stay painted
+  const oldest = cell(strokes - EDITOR_HISTORY_LIMIT - 1);
+  const oldestUndone = cell(strokes - EDITOR_HISTORY_LIMIT);
+  assert.equal(undone, EDITOR_HISTORY_LIMIT);
+  assert.equal(editor.getGlyph(oldest.x, oldest.y), '#');
+  assert.equal(editor.getGlyph(oldestUndone.x, oldestUndone.y), '.');
+});
+
+test('loading a level starts a fresh history', () => {
+  const editor = new LevelEditor(12, 8);
+  paintStroke(editor, [{ x: 2, y: 2 }], EDITOR_TOOLS.WALL);
+
+  editor.loadLevel(parseLevel(editor.toLevel()));
+
+  assert.equal(editor.canUndo(), false);
+  assert.equal(editor.getGlyph(2, 2), '#');
+});
+
+test('levels made in the editor are saved apart even when they share a name', () => {
+  const first = new LevelEditor(12, 8);
+  const second = new LevelEditor(12, 8);
+  first.name = second.name = 'Maze';
+
+  const saved = upsertCustomLevel(upsertCustomLevel([], parseLevel(first.toLevel())), parseLevel(second.toLevel()));
+
+  assert.equal(saved.length, 2);
+  assert.notEqual(saved[0].id, saved[1].id);
+});
+
+test('a level keeps its id when it is renamed and saved again', () => {
+  const editor = new LevelEditor(12, 8);
+  const original = parseLevel(editor.toLevel());
+  editor.loadLevel(original);
+  editor.name = 'Renamed';
+
+  const saved = upsertCustomLevel([original], parseLevel(editor.toLevel()));
+
+  assert.equal(saved.length, 1);
+  assert.equal(saved[0].name, 'Renamed');
+});
@@ -0,0 +1,121 @@
+// engine.test.js - Movement and fruit rules of the headless engine
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SnakeEngine, FRUIT_TYPES } = require('../engine.js');
+
+/**
+ * Creates a small engine with no bombs or fruit, so each test places its own
+ * @param {Object} [config] - Engine config overrides
+ * @returns {SnakeEngine} Engine with player one at the start of the game
+ */
+function createEngine(config = {}) {
+  const engine = new SnakeEngine({ cols: 10, rows: 8, seed: 1, config: { maxBombs: 0, ...config } });
+  engine.fruits = [];
+  engine.bombs = [];
+  return engine;
+}
+
+/**
+ * Lays player one's snake out in a row, head first, heading right
+ * @param {SnakeEngine} engine - Engine to change
+ * @param {Object} head - Head cell {x, y}
+ * @param {number} length - Number of segments
+ */
+function placeSnake(engine, head, length) {
+  const player = engine.players[0];
+  player.snake = Array.from({ length }, (_, index) => ({ x: head.x - index, y: head.y }));
+  player.direction = { x: 1, y: 0 };
+  player.requestedDirection = { x: 1, y: 0 };
+}
+
+/**
+ * Puts a fruit of one type on the grid
+ * @param {SnakeEngine} engine - Engine to change
+ * @param {Object} position - Cell {x, y}
+ * @param {string} shape - Fruit shape from FRUIT_TYPES
+ */
+function placeFruit(engine, position, shape) {
+  engine.placeFruit(position, FRUIT_TYPES.find(type => type.shape === shape));
+}
+
+test('the snake wraps around the grid edges', () => {
+  const engine = createEngine();
+  placeSnake(engine, { x: 9, y: 3 }, 3);
+
+  engine.step();
+
+  assert.equal(engine.gameOver, false);
+  assert.deepEqual(engine.snake[0], { x: 0, y: 3 });
+  assert.equal(engine.snake.length, 3);
+});
+
+test('the grid edges are lethal when wrapping is off', () => {
+  const engine = createEngine({ wrapEdges: false });
+  placeSnake(engine, { x: 9, y: 3 }, 3);
+
+  const result = engine.step();
+
+  assert.equal(result.gameOver, true);
+  assert.equal(engine.deathCause, 'wall');
+});
+
+test('eating a plain fruit grows the snake and scores its points', () => {
+  const engine = createEngine();
+  placeSnake(engine, { x: 4, y: 3 }, 3);
+  placeFruit(engine, { x: 5, y: 3 }, 'circle');
+
+  engine.step();
+
+  assert.equal(engine.snake.length, 4);
+  assert.equal(engine.score, 5);
+  assert.equal(engine.getState().fruitsEaten.circle, 1);
+});
+
+test('a cut fruit halves the snake without growing it', () => {
+  const engine = createEngine();
+  placeSnake(engine, { x: 8, y: 3 }, 8);
+  placeFruit(engine, { x: 9, y: 3 }, 'shrink');
+
+  engine.step();
+
+  assert.equal(engine.snake.length, 3);
+  assert.deepEqual(engine.snake[0], { x: 9, y: 3 });
+});
+
+test('a speed fruit resets the speed-up without growing the snake', () => {
+  const engine = createEngine();
+  const player = engine.players[0];
+  placeSnake(engine, { x: 4, y: 3 }, 3);
+  player.score = 200;
+  assert.ok(engine.getPlayerSpeed(player) < engine.config.baseGameSpeed);
+
+  placeFruit(engine, { x: 5, y: 3 }, 'speedreset');
+  engine.step();
+
+  assert.equal(engine.getPlayerSpeed(player), engine.config.baseGameSpeed);
+  assert.equal(engine.snake.length, 3);
+  assert.equal(engine.score, 200);
+});
+
+test('fruit spawned when one snake eats never lands where the other is moving', () => {
+  const engine = new SnakeEngine({ cols: 4, rows: 2, seed: 1, config: { playerCount: 2, maxBombs: 0 } });
+  const [one, two] = engine.players;
+  engine.fruits = [];
+  engine.bombs = [];
+  // The grid is full except for one snake's fruit and the other's next cell
+  one.snake = [{ x: 1, y: 0 }, { x: 0, y: 0 }];
+  one.direction = one.requestedDirection = { x: 1, y: 0 };
+  two.snake = [{ x: 3, y: 1 }, { x: 2, y: 1 }, { x: 1, y: 1 }, { x: 0, y: 1 }];
+  two.direction = two.requestedDirection = { x: 0, y: -1 };
+  placeFruit(engine, { x: 2, y: 0 }, 'circle');
+
+  engine.step();
+
+  assert.equal(one.snake.length, 3);
+  assert.deepEqual(two.snake[0], { x: 3, y: 0 });
+  assert.equal(two.snake.length, 4);
+  assert.equal(two.score, 0);
+  assert.deepEqual(engine.fruits, []);
+});
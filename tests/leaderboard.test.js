@@ -0,0 +1,86 @@
+// leaderboard.test.js - Saved scores, the legacy high score and ranking
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  LEADERBOARD_SIZE, SCORING_VERSION, LEGACY_SCORING_VERSION, loadLeaderboard, saveLeaderboard,
+  createLeaderboardEntry, getEntryDifficulty, getEntryScoring, getRankedEntries, addLeaderboardEntry
+} = require('../leaderboard.js');
+
+/**
+ * Replaces localStorage with an in-memory store for one test
+ * @param {Object} t - Test context
+ * @param {Object} [items] - Stored strings keyed by storage key
+ * @returns {Map} The store's contents
+ */
+function useStorage(t, items = {}) {
+  const store = new Map(Object.entries(items));
+  global.localStorage = {
+    getItem: key => store.has(key) ? store.get(key) : null,
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: key => store.delete(key)
+  };
+  t.after(() => { delete global.localStorage; });
+  return store;
+}
+
+test('the old single high score becomes a classic entry, once', t => {
+  const store = useStorage(t, { neonSnakeHighScore: '120' });
+
+  const entries = loadLeaderboard();
+
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].score, 120);
+  assert.equal(entries[0].mode, 'classic');
+  assert.equal(entries[0].date, null);
+  assert.equal(getEntryScoring(entries[0]), LEGACY_SCORING_VERSION);
+  assert.equal(store.has('neonSnakeHighScore'), false);
+  assert.deepEqual(loadLeaderboard(), entries);
+});
+
+test('a first run without an old high score starts an empty leaderboard', t => {
+  const store = useStorage(t);
+
+  assert.deepEqual(loadLeaderboard(), []);
+  assert.equal(store.get('neonSnakeLeaderboard'), '[]');
+});
+
+test('entries from before difficulties and scoring versions load as Normal and Before Combos', t => {
+  const old = { id: 'a', name: 'ABC', score: 40, mode: 'classic', length: null, fruits: null, duration: null, date: null };
+  useStorage(t, { neonSnakeLeaderboard: JSON.stringify([old]) });
+
+  const [entry] = loadLeaderboard();
+
+  assert.equal(getEntryDifficulty(entry), 'normal');
+  assert.equal(getEntryScoring(entry), LEGACY_SCORING_VERSION);
+  assert.deepEqual(getRankedEntries([entry], 'classic', 'normal', SCORING_VERSION), []);
+});
+
+test('entries that do not validate are dropped and corrupt data loads as empty', t => {
+  const good = createLeaderboardEntry({ name: 'ABC', score: 50, mode: 'classic', scoring: SCORING_VERSION });
+  useStorage(t, { neonSnakeLeaderboard: JSON.stringify([good, null, { ...good, score: -1 }, { ...good, scoring: 7 }]) });
+  t.mock.method(console, 'warn', () => {});
+
+  assert.deepEqual(loadLeaderboard().map(entry => entry.id), [good.id]);
+
+  localStorage.setItem('neonSnakeLeaderboard', '{not json');
+  assert.deepEqual(loadLeaderboard(), []);
+});
+
+test('each mode, difficulty and scoring keeps its own top scores', t => {
+  useStorage(t);
+  let entries = [];
+  for (let score = 1; score <= LEADERBOARD_SIZE + 2; score++) {
+    entries = addLeaderboardEntry(entries, createLeaderboardEntry({ name: 'ABC', score, mode: 'classic', scoring: SCORING_VERSION })).entries;
+  }
+  const legacy = addLeaderboardEntry(entries, createLeaderboardEntry({ name: 'OLD', score: 1, mode: 'classic' }));
+  saveLeaderboard(legacy.entries);
+
+  const saved = loadLeaderboard();
+  const ranked = getRankedEntries(saved, 'classic', 'normal', SCORING_VERSION);
+  assert.equal(ranked.length, LEADERBOARD_SIZE);
+  assert.equal(ranked[ranked.length - 1].score, 3);
+  assert.equal(legacy.rank, 1);
+  assert.equal(getRankedEntries(saved, 'classic', 'normal', null).length, LEADERBOARD_SIZE + 1);
+});
@@ -0,0 +1,60 @@
+// levels.test.js - Level files, layout and fruit weights
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FRUIT_TYPES } = require('../engine.js');
+const { parseLevel, applyFruitWeights, layoutLevel } = require('../levels.js');
+
+// A 5x4 map with a start, one portal pair and a fixed star
+const SMALL_LEVEL = {
+  id: 'small',
+  name: 'Small',
+  targetScore: 20,
+  map: [
+    '#####',
+    '#>1s#',
+    '#..1#',
+    '#####'
+  ]
+};
+
+test('a level is scaled up by a whole factor and centered on the grid', () => {
+  const layout = layoutLevel(parseLevel(SMALL_LEVEL), 12, 10);
+
+  // 12/5 and 10/4 both round down to a scale of 2, leaving a border of 1 each way
+  assert.deepEqual(layout.arena, { x: 1, y: 1, width: 10, height: 8 });
+  assert.equal(layout.walls.length, 14 * 4);
+  assert.ok(layout.walls.some(wall => wall.x === 2 && wall.y === 2));
+  assert.deepEqual(layout.start, { x: 4, y: 4 });
+  assert.deepEqual(layout.startDirection, { x: 1, y: 0 });
+});
+
+test('portals and fixed fruits stay single cells at the center of their block', () => {
+  const layout = layoutLevel(parseLevel(SMALL_LEVEL), 12, 10);
+
+  assert.deepEqual(layout.portals, [[{ x: 6, y: 4 }, { x: 8, y: 6 }]]);
+  assert.deepEqual(layout.fruits, [{ x: 8, y: 4, shape: 'star' }]);
+});
+
+test('a level that does not fit the grid has no layout', () => {
+  assert.equal(layoutLevel(parseLevel(SMALL_LEVEL), 4, 10), null);
+});
+
+test('fruit weight overrides are merged and normalized to add up to 1', () => {
+  const weighted = applyFruitWeights(FRUIT_TYPES, { star: 0, circle: 1 });
+  const total = weighted.reduce((sum, type) => sum + type.weight, 0);
+  const share = shape => weighted.find(type => type.shape === shape).weight;
+  const base = shape => FRUIT_TYPES.find(type => type.shape === shape).weight;
+
+  assert.ok(Math.abs(total - 1) < 1e-9);
+  assert.equal(share('star'), 0);
+  // Shapes without an override keep their ratio to each other
+  assert.ok(Math.abs(share('triangle') / share('diamond') - base('triangle') / base('diamond')) < 1e-9);
+});
+
+test('weights that would stop every fruit spawning are ignored', () => {
+  const zeroed = Object.fromEntries(FRUIT_TYPES.map(type => [type.shape, 0]));
+
+  assert.equal(applyFruitWeights(FRUIT_TYPES, zeroed), FRUIT_TYPES);
+});
@@ -0,0 +1,49 @@
+// replay.test.js - Replay files and their validation
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SnakeEngine } = require('../engine.js');
+const { createRecording, recordDirectionChange, finishRecording, serializeReplay, parseReplay } = require('../replay.js');
+
+/**
+ * Plays a short game into the wall
+ * @returns {Object} {recording, score} of the finished game
+ */
+function recordGame() {
+  const engine = new SnakeEngine({ cols: 16, rows: 10, seed: 7, config: { wrapEdges: false } });
+  const recording = createRecording(engine);
+  const up = { x: 0, y: -1 };
+  recordDirectionChange(recording, engine.tick, up, engine.direction);
+  engine.step(up);
+  while (!engine.gameOver) engine.step(null);
+  finishRecording(recording, engine);
+  return { recording, score: engine.score };
+}
+
+test('a replay file loads back into the recording it was made from', () => {
+  const { recording: original, score } = recordGame();
+  const data = serializeReplay(original, score);
+
+  const recording = parseReplay(JSON.stringify(data));
+
+  assert.equal(recording.seed, 7);
+  assert.equal(recording.endTick, original.endTick);
+  assert.equal(recording.endCause, 'wall');
+  assert.deepEqual(recording.inputs, original.inputs);
+});
+
+test('a replay with a changed field fails its checksum', () => {
+  const { recording, score } = recordGame();
+  const data = serializeReplay(recording, score);
+  data.finalScore += 100;
+
+  assert.throws(() => parseReplay(JSON.stringify(data)), /checksum/);
+});
+
+test('a replay with a bad config is rejected before it is played', () => {
+  const { recording, score } = recordGame();
+  const data = serializeReplay({ ...recording, config: { ...recording.config, fruitTypes: [] } }, score);
+
+  assert.throws(() => parseReplay(JSON.stringify(data)), /invalid config/);
+});
@@ -0,0 +1,77 @@
+// savegame.test.js - Saving a game in progress and resuming it
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SnakeEngine } = require('../engine.js');
+const { createRecording, recordDirectionChange } = require('../replay.js');
+const { createSavedGame, parseSavedGame } = require('../savegame.js');
+
+/**
+ * Plays a few turns of a game, recording them as main.js does
+ * @returns {Object} {engine, recording} partway through the game
+ */
+function playSomeTurns() {
+  const engine = new SnakeEngine({ cols: 20, rows: 12, seed: 42 });
+  const recording = createRecording(engine);
+  const turns = [{ x: 0, y: -1 }, { x: -1, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 0 }];
+  for (let tick = 0; tick < 40 && !engine.gameOver; tick++) {
+    const turn = tick % 10 === 0 ? turns[(tick / 10) % turns.length] : null;
+    if (turn) recordDirectionChange(recording, engine.tick, turn, engine.direction);
+    engine.step(turn);
+  }
+  return { engine, recording };
+}
+
+test('a saved game resumes exactly where it left off', () => {
+  const { engine, recording } = playSomeTurns();
+  const saved = JSON.parse(JSON.stringify(createSavedGame(engine, recording, { mode: 'classic' })));
+
+  const resumed = parseSavedGame(saved);
+
+  assert.deepEqual(resumed.engine.getState(), engine.getState());
+  assert.deepEqual(resumed.inputs, recording.inputs);
+  assert.equal(resumed.meta.mode, 'classic');
+
+  // Both copies keep playing the same game, random spawns included
+  for (let i = 0; i < 30; i++) {
+    engine.step(null);
+    resumed.engine.step(null);
+  }
+  assert.deepEqual(resumed.engine.getState(), engine.getState());
+});
+
+test('a save with a corrupt state is rejected', () => {
+  const { engine, recording } = playSomeTurns();
+  const saved = JSON.parse(JSON.stringify(createSavedGame(engine, recording, { mode: 'classic' })));
+  saved.state.players[0].snake[0].x = saved.cols;
+
+  assert.throws(() => parseSavedGame(saved), /corrupt/);
+});
+
+test('a save with a config the engine cannot play is rejected', () => {
+  const { engine, recording } = playSomeTurns();
+  const saved = JSON.parse(JSON.stringify(createSavedGame(engine, recording, { mode: 'classic' })));
+  saved.config.fruitTypes = [{ shape: 'circle', weight: 0, points: 5 }];
+
+  assert.throws(() => parseSavedGame(saved), /invalid config/);
+});
+
+test('a save whose players have no power-up list is rejected', () => {
+  const { engine, recording } = playSomeTurns();
+  const saved = JSON.parse(JSON.stringify(createSavedGame(engine, recording, { mode: 'classic' })));
+  delete saved.state.players[0].powerUps;
+
+  assert.throws(() => parseSavedGame(saved), /corrupt/);
+});
+
+test('a save whose players have no combo state or score breakdown is rejected', () => {
+  const { engine, recording } = playSomeTurns();
+  const saved = JSON.parse(JSON.stringify(createSavedGame(engine, recording, { mode: 'classic' })));
+  const withoutCombo = JSON.parse(JSON.stringify(saved));
+  delete withoutCombo.state.players[0].combo;
+  delete saved.state.players[0].scoreBreakdown;
+
+  assert.throws(() => parseSavedGame(withoutCombo), /corrupt/);
+  assert.throws(() => parseSavedGame(saved), /corrupt/);
+});
@@ -0,0 +1,91 @@
+// settings.test.js - Difficulty presets and settings validation
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  CUSTOM_PRESET, ASSIST_PRESET, DIFFICULTY_PRESETS, getPresetSettings, validateSettings,
+  detectPreset, settingsToEngineConfig, loadSettings
+} = require('../settings.js');
+
+/**
+ * Replaces localStorage with an in-memory store for one test
+ * @param {Object} t - Test context
+ * @param {Object} [items] - Stored strings keyed by storage key
+ */
+function useStorage(t, items = {}) {
+  const store = new Map(Object.entries(items));
+  global.localStorage = {
+    getItem: key => store.has(key) ? store.get(key) : null,
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: key => store.delete(key)
+  };
+  t.after(() => { delete global.localStorage; });
+}
+
+test('every preset is valid and is recognized as itself', () => {
+  Object.keys(DIFFICULTY_PRESETS).forEach(preset => {
+    const settings = getPresetSettings(preset);
+    assert.deepEqual(validateSettings(settings), [], preset);
+    assert.equal(detectPreset(settings), preset);
+  });
+});
+
+test('changing a gameplay value makes the settings Custom, but personal ones do not', () => {
+  const tweaked = getPresetSettings('hard');
+  tweaked.maxFruits += 1;
+  const personal = getPresetSettings('hard');
+  personal.inputQueueDepth = 1;
+  personal.audio.music = 0;
+
+  assert.equal(detectPreset(tweaked), CUSTOM_PRESET);
+  assert.equal(detectPreset(personal), 'hard');
+});
+
+test('assist speed is a difficulty of its own and slows the engine down', () => {
+  const settings = getPresetSettings('normal');
+  settings.assist = true;
+
+  const normal = settingsToEngineConfig(getPresetSettings('normal'));
+  const assisted = settingsToEngineConfig(settings);
+
+  assert.equal(detectPreset(settings), ASSIST_PRESET);
+  assert.ok(assisted.baseGameSpeed > normal.baseGameSpeed);
+  assert.ok(assisted.minGameSpeed > normal.minGameSpeed);
+  assert.ok(assisted.speedIncreaseRate < normal.speedIncreaseRate);
+});
+
+test('values out of range or of the wrong kind are reported', () => {
+  const settings = getPresetSettings('normal');
+  settings.cellSize = 10.5;
+  settings.maxBombs = 99;
+  settings.inputQueueDepth = 0;
+
+  const errors = validateSettings(settings);
+
+  assert.equal(errors.length, 3);
+  assert.match(errors[0], /Cell size .* whole number/);
+});
+
+test('settings that contradict each other are reported', () => {
+  const settings = getPresetSettings('normal');
+  settings.minGameSpeed = settings.baseGameSpeed + 10;
+  Object.keys(settings.fruitWeights).forEach(shape => { settings.fruitWeights[shape] = 0; });
+
+  assert.deepEqual(validateSettings(settings), [
+    'Fastest move time can\'t be slower than the starting move time.',
+    'At least one fruit needs a weight above 0.'
+  ]);
+});
+
+test('saved settings missing newer fields take Normal values, and invalid ones are ignored', t => {
+  t.mock.method(console, 'warn', () => {});
+  useStorage(t, { neonSnakeSettings: JSON.stringify({ maxFruits: 7 }) });
+
+  const settings = loadSettings();
+  assert.equal(settings.maxFruits, 7);
+  assert.equal(settings.inputQueueDepth, getPresetSettings('normal').inputQueueDepth);
+
+  localStorage.setItem('neonSnakeSettings', JSON.stringify({ maxFruits: 70 }));
+  assert.deepEqual(loadSettings(), getPresetSettings('normal'));
+});
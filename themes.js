@@ -0,0 +1,189 @@
+// themes.js - Color themes and snake skins
+// The engine names colors ('cyan', 'magenta', ...) instead of using CSS values;
+// a theme decides what each name looks like. The same theme colors the canvas
+// directly and the page through CSS custom properties (see styles.css :root).
+
+// =============================================================================
+// THEMES
+// =============================================================================
+
+const DEFAULT_THEME = 'neon';
+
+// Every theme defines the same colors. The first eight are the palette the
+// engine picks fruit and snake colors from; the rest color the arena and page.
+const THEMES = {
+  neon: {
+    label: 'Classic Neon',
+    glow: 1,
+    colors: {
+      cyan: '#0ff',
+      magenta: '#f0f',
+      red: '#f00',
+      yellow: '#ff0',
+      green: '#0f0',
+      orange: '#ff8800',
+      blue: '#00f',
+      purple: '#8a2be2',
+      wall: '#44f',
+      text: '#fff',
+      muted: '#ccc',
+      dim: '#888',
+      background: '#000',
+      bomb: '#fff',
+      bombMark: '#000',
+      voidTint: 'rgba(0,255,255,0.06)'
+    }
+  },
+  highContrast: {
+    label: 'High Contrast',
+    glow: 0,
+    colors: {
+      cyan: '#0ff',
+      magenta: '#f6f',
+      red: '#f44',
+      yellow: '#ff0',
+      green: '#3f3',
+      orange: '#fa0',
+      blue: '#6af',
+      purple: '#c8f',
+      wall: '#fff',
+      text: '#fff',
+      muted: '#fff',
+      dim: '#ddd',
+      background: '#000',
+      bomb: '#f44',
+      bombMark: '#000',
+      voidTint: 'rgba(255,255,255,0.12)'
+    }
+  },
+  // Okabe-Ito colors, which stay distinguishable with the common color vision deficiencies
+  colorblind: {
+    label: 'Colorblind Safe',
+    glow: 0.6,
+    colors: {
+      cyan: '#56b4e9',
+      magenta: '#cc79a7',
+      red: '#d55e00',
+      yellow: '#f0e442',
+      green: '#009e73',
+      orange: '#e69f00',
+      blue: '#0072b2',
+      purple: '#b8a2e8',
+      wall: '#7f8fa6',
+      text: '#fff',
+      muted: '#ccc',
+      dim: '#999',
+      background: '#000',
+      bomb: '#fff',
+      bombMark: '#000',
+      voidTint: 'rgba(86,180,233,0.08)'
+    }
+  },
+  monochrome: {
+    label: 'Monochrome',
+    glow: 0.5,
+    colors: {
+      cyan: '#eee',
+      magenta: '#ccc',
+      red: '#fff',
+      yellow: '#ddd',
+      green: '#aaa',
+      orange: '#bbb',
+      blue: '#888',
+      purple: '#999',
+      wall: '#666',
+      text: '#fff',
+      muted: '#bbb',
+      dim: '#777',
+      background: '#000',
+      bomb: '#fff',
+      bombMark: '#000',
+      voidTint: 'rgba(255,255,255,0.05)'
+    }
+  }
+};
+
+/**
+ * Lists a theme's CSS custom properties, e.g. colors.bombMark as --color-bomb-mark
+ * @param {Object} theme - Entry of THEMES
+ * @returns {Object} Property values keyed by property name
+ */
+function getThemeProperties(theme) {
+  const properties = { '--glow': String(theme.glow) };
+  Object.keys(theme.colors).forEach(name => {
+    properties['--color-' + name.replace(/[A-Z]/g, letter => '-' + letter.toLowerCase())] = theme.colors[name];
+  });
+  return properties;
+}
+
+// =============================================================================
+// SNAKE SKINS
+// =============================================================================
+
+const DEFAULT_SKIN = 'solid';
+const SKIN_PROGRESS_STORAGE_KEY = 'neonSnakeSkinProgress';
+
+// Skins unlock once a ranked game reaches their score, in any mode or difficulty
+const SNAKE_SKINS = {
+  solid: { label: 'Solid', unlockScore: 0 },
+  gradient: { label: 'Gradient', unlockScore: 100 },
+  striped: { label: 'Striped', unlockScore: 250 },
+  trail: { label: 'Trail', unlockScore: 500 }
+};
+
+/**
+ * Loads the best ranked score ever reached, which decides the unlocked skins.
+ * Kept apart from the leaderboard so clearing scores doesn't lock skins again.
+ * @returns {number} Best score, or 0 if none is saved
+ */
+function loadSkinProgress() {
+  try {
+    const saved = parseInt(localStorage.getItem(SKIN_PROGRESS_STORAGE_KEY), 10);
+    return saved > 0 ? saved : 0;
+  } catch (error) {
+    console.warn('Unable to load skin progress from localStorage:', error);
+    return 0;
+  }
+}
+
+/**
+ * Records a ranked score, unlocking any skins it reaches
+ * @param {number} score - Final score of a ranked game
+ * @returns {Array} Keys of skins this score unlocked for the first time
+ */
+function saveSkinProgress(score) {
+  const previous = loadSkinProgress();
+  if (score <= previous) return [];
+
+  try {
+    localStorage.setItem(SKIN_PROGRESS_STORAGE_KEY, String(score));
+  } catch (error) {
+    console.warn('Unable to save skin progress to localStorage:', error);
+  }
+  return Object.keys(SNAKE_SKINS).filter(skin =>
+    SNAKE_SKINS[skin].unlockScore > previous && SNAKE_SKINS[skin].unlockScore <= score);
+}
+
+/**
+ * Checks whether a skin is available
+ * @param {string} skin - Key of SNAKE_SKINS
+ * @param {number} progress - loadSkinProgress() result
+ * @returns {boolean} True if the skin exists and is unlocked
+ */
+function isSkinUnlocked(skin, progress) {
+  return SNAKE_SKINS.hasOwnProperty(skin) && SNAKE_SKINS[skin].unlockScore <= progress;
+}
+
+// Allow themes and skins to be inspected from Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_THEME,
+    THEMES,
+    getThemeProperties,
+    DEFAULT_SKIN,
+    SNAKE_SKINS,
+    loadSkinProgress,
+    saveSkinProgress,
+    isSkinUnlocked
+  };
+}
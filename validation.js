@@ -0,0 +1,128 @@
+// validation.js - Checks on engine options read back from files and storage
+// Saved games and replay files both rebuild a SnakeEngine from data the player
+// could have edited, so both run it through these checks before the engine
+// sees it. The engine itself trusts its config.
+
+// Browsers load engine.js first as globals; Node resolves them explicitly
+const ValidationEngineDefaults = typeof DEFAULT_ENGINE_CONFIG !== 'undefined' ? DEFAULT_ENGINE_CONFIG : require('./engine.js').DEFAULT_ENGINE_CONFIG;
+const ValidationComboRules = typeof COMBO_RULES !== 'undefined' ? COMBO_RULES : require('./engine.js').COMBO_RULES;
+
+const ENGINE_MAX_PLAYERS = 2;            // Versus is the most snakes the engine plays
+
+// =============================================================================
+// CELLS & DIRECTIONS
+// =============================================================================
+
+/**
+ * Checks that a value is a cell inside the grid
+ * @param {*} cell - Value to check
+ * @param {number} cols - Grid width
+ * @param {number} rows - Grid height
+ * @returns {boolean} True for {x, y} with integer coordinates on the grid
+ */
+function isGridCell(cell, cols, rows) {
+  return !!cell && Number.isInteger(cell.x) && Number.isInteger(cell.y) &&
+    cell.x >= 0 && cell.x < cols && cell.y >= 0 && cell.y < rows;
+}
+
+/**
+ * Checks that a value is one of the four unit directions
+ * @param {*} dir - Value to check
+ * @returns {boolean} True for {x, y} one step up, down, left or right
+ */
+function isUnitDirection(dir) {
+  return !!dir && Number.isInteger(dir.x) && Number.isInteger(dir.y) && Math.abs(dir.x) + Math.abs(dir.y) === 1;
+}
+
+// =============================================================================
+// ENGINE CONFIG
+// =============================================================================
+
+/**
+ * Checks that a value is a whole, non-negative number
+ * @param {*} value - Value to check
+ * @returns {boolean} True for integers >= 0
+ */
+function isWholeCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Checks a fruit table the engine can pick from
+ * @param {*} fruitTypes - Value to check
+ * @returns {boolean} True for a non-empty list of {shape, weight, points} with some weight
+ */
+function isFruitTypeList(fruitTypes) {
+  return Array.isArray(fruitTypes) && fruitTypes.length > 0 &&
+    fruitTypes.every(type => !!type && typeof type.shape === 'string' &&
+      Number.isFinite(type.weight) && type.weight >= 0 && isWholeCount(type.points)) &&
+    fruitTypes.some(type => type.weight > 0);
+}
+
+/**
+ * Checks a laid-out level (see levels.js layoutLevel)
+ * @param {*} level - Value to check
+ * @param {number} cols - Grid width
+ * @param {number} rows - Grid height
+ * @returns {boolean} True if the engine can play the level on this grid
+ */
+function isLaidOutLevel(level, cols, rows) {
+  const isCell = cell => isGridCell(cell, cols, rows);
+  const arena = level && level.arena;
+  return !!level && typeof level === 'object' &&
+    Number.isInteger(level.targetScore) && level.targetScore > 0 &&
+    isFruitTypeList(level.fruitTypes) &&
+    !!arena && isWholeCount(arena.x) && isWholeCount(arena.y) &&
+    Number.isInteger(arena.width) && arena.width > 0 && arena.x + arena.width <= cols &&
+    Number.isInteger(arena.height) && arena.height > 0 && arena.y + arena.height <= rows &&
+    Array.isArray(level.walls) && level.walls.every(isCell) &&
+    Array.isArray(level.portals) && level.portals.every(pair => Array.isArray(pair) && pair.length === 2 && pair.every(isCell)) &&
+    (level.fruits === undefined || (Array.isArray(level.fruits) && level.fruits.every(fruit => isCell(fruit) && typeof fruit.shape === 'string'))) &&
+    isCell(level.start) && isUnitDirection(level.startDirection);
+}
+
+/**
+ * Checks a config before an engine is built from it: numbers must be usable,
+ * fruit and bomb limits must fit on the grid, and the fruit table, combo rules
+ * and levels must have the shape the engine expects
+ * @param {*} config - Engine config overrides
+ * @param {number} cols - Grid width
+ * @param {number} rows - Grid height
+ * @returns {boolean} True if the engine can be built from the config
+ */
+function isEngineConfig(config, cols, rows) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return false;
+
+  const playerCount = config.playerCount === undefined ? 1 : config.playerCount;
+  const levels = config.levels === undefined ? null : config.levels;
+  const startLevel = config.startLevel === undefined ? 0 : config.startLevel;
+  const isAmount = value => Number.isFinite(value) && value >= 0;
+  const numbersValid = Object.keys(ValidationEngineDefaults)
+    .filter(key => typeof ValidationEngineDefaults[key] === 'number' && config[key] !== undefined)
+    .every(key => isAmount(config[key]));
+  const isLimit = value => value === undefined || (isWholeCount(value) && value <= cols * rows);
+  return numbersValid && isLimit(config.maxFruits) && isLimit(config.maxBombs) &&
+    Number.isInteger(playerCount) && playerCount >= 1 && playerCount <= ENGINE_MAX_PLAYERS &&
+    (config.wrapEdges === undefined || typeof config.wrapEdges === 'boolean') &&
+    (config.combo === undefined || config.combo === null || (typeof config.combo === 'object' &&
+      Object.keys(ValidationComboRules).every(key => isAmount(config.combo[key])))) &&
+    (config.fruitColors === undefined || (Array.isArray(config.fruitColors) && config.fruitColors.length > 0 &&
+      config.fruitColors.every(color => typeof color === 'string'))) &&
+    (config.fruitTypes === undefined || isFruitTypeList(config.fruitTypes)) &&
+    (levels === null || (
+      playerCount === 1 && Array.isArray(levels) && levels.length > 0 &&
+      levels.every(level => isLaidOutLevel(level, cols, rows)) &&
+      isWholeCount(startLevel) && startLevel < levels.length));
+}
+
+// Allow the checks to be shared by saves and replays under Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ENGINE_MAX_PLAYERS,
+    isGridCell,
+    isUnitDirection,
+    isFruitTypeList,
+    isLaidOutLevel,
+    isEngineConfig
+  };
+}